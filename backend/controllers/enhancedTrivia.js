@@ -40,26 +40,19 @@ const generatePersonalizedTrivia = async (req, res) => {
       }
     }
 
-    // Get family performance data if available
+    // Personalize with the family's performance history when they have one
+    // (trivia is still generated without it if the history can't be loaded)
     let familyProfile = null;
     if (familyId) {
-      // Fetch family's trivia history for better personalization
-      const { data: history } = await supabase
-        .from('trivia_sessions')
-        .select('scores, questions_used, completed_at')
-        .eq('family_id', familyId)
-        .eq('completed', true)
-        .order('completed_at', { ascending: false })
-        .limit(10);
-
-      // Get recently used questions to avoid repeats
-      const recentQuestionIds = history?.flatMap(session => 
-        session.questions_used || []
-      ) || [];
-
-      // Analyze performance
-      if (history && history.length > 0) {
-        familyProfile = await enhancedGptTriviaService.analyzeFamilyPerformance(familyId);
+      try {
+        const performance = await enhancedGptTriviaService.analyzeFamilyPerformance(familyId, {
+          timeZone: await getFamilyTimeZone(familyId)
+        });
+        if (performance.gamesPlayed > 0) {
+          familyProfile = performance;
+        }
+      } catch (error) {
+        console.error('Error analyzing family performance:', error);
       }
     }
 
@@ -94,8 +87,12 @@ const generatePersonalizedTrivia = async (req, res) => {
     const questionsForDB = result.data.questions.map(q => ({
       category: q.category,
       question: q.question,
+      type: q.type,
       choices: q.choices,
       answer: q.correct_answer,
+      accepted_answers: q.accepted_answers,
+      tolerance: q.tolerance,
+      answer_key: q.answer_key,
       difficulty: q.difficulty,
       created_by: userId,
       generation_source: 'enhanced-gpt-4o',
@@ -188,32 +185,28 @@ const getTriviaRecommendations = async (req, res) => {
     }
 
     // Analyze family performance
-    const performance = await enhancedGptTriviaService.analyzeFamilyPerformance(familyId);
-
-    // Get family statistics
-    const { data: stats } = await supabase
-      .from('trivia_sessions')
-      .select('*')
-      .eq('family_id', familyId)
-      .eq('completed', true);
+    const performance = await enhancedGptTriviaService.analyzeFamilyPerformance(familyId, {
+      timeZone: await getFamilyTimeZone(familyId)
+    });
 
-    const totalGames = stats?.length || 0;
-    const averageScore = stats?.reduce((sum, session) => {
-      const scores = Object.values(session.scores || {});
-      return sum + (scores.length > 0 ? scores.reduce((a, b) => a + b, 0) / scores.length : 0);
-    }, 0) / Math.max(totalGames, 1);
+    // Percent of questions answered correctly
+    const averageScore = Math.round(performance.averageScore * 100);
 
     // Generate recommendations
     const recommendations = {
       performance: {
-        totalGamesPlayed: totalGames,
-        averageScore: Math.round(averageScore),
+        totalGamesPlayed: performance.gamesPlayed,
+        questionsAnswered: performance.questionsAnswered,
+        averageScore,
         currentLevel: performance.recommendedDifficulty,
         strongCategories: performance.strongCategories,
-        improvementAreas: performance.weakCategories
+        improvementAreas: performance.weakCategories,
+        bestTimeOfDay: performance.bestTimeOfDay
       },
       suggestions: {
-        nextDifficulty: getNextDifficultyLevel(performance.recommendedDifficulty, averageScore),
+        nextDifficulty: performance.questionsAnswered > 0
+          ? getNextDifficultyLevel(performance.recommendedDifficulty, averageScore)
+          : performance.recommendedDifficulty,
         recommendedCategories: getRecommendedCategories(performance),
         themes: getUpcomingThemes(),
         challenges: generateChallenges(performance)
@@ -221,7 +214,7 @@ const getTriviaRecommendations = async (req, res) => {
       insights: {
         familyStrengths: generateInsights(performance, 'strengths'),
         learningOpportunities: generateInsights(performance, 'opportunities'),
-        funFacts: generateFunFacts(stats)
+        funFacts: generateFunFacts(performance)
       }
     };
 
@@ -293,6 +286,19 @@ async function logAIUsage(data) {
   }
 }
 
+/**
+ * Get a family's time zone from their preferences (UTC when they haven't set one)
+ */
+async function getFamilyTimeZone(familyId) {
+  const { data: preferences } = await supabase
+    .from('family_preferences')
+    .select('timezone')
+    .eq('family_id', familyId)
+    .maybeSingle();
+
+  return preferences?.timezone || 'UTC';
+}
+
 /**
  * Determine next difficulty level based on performance
  */
@@ -375,12 +381,14 @@ function getUpcomingThemes() {
  * Generate personalized challenges
  */
 function generateChallenges(performance) {
+  const [weakestCategory] = performance.weakCategories;
+
   return [
-    {
+    ...(weakestCategory ? [{
       name: 'Category Master',
-      description: `Score 100% in ${performance.weakCategories[0]} category`,
+      description: `Score 100% in ${formatCategory(weakestCategory)} category`,
       reward: 'Unlock expert questions in this category'
-    },
+    }] : []),
     {
       name: 'Streak Builder',
       description: 'Play 5 games in a row',
@@ -398,15 +406,22 @@ function generateChallenges(performance) {
  * Generate insights based on performance
  */
 function generateInsights(performance, type) {
+  const { strongCategories, weakCategories, averageAnswerTime, gamesPlayed } = performance;
+
   if (type === 'strengths') {
     return [
-      `Your family shows exceptional knowledge in ${performance.strongCategories.join(' and ')}!`,
-      'Quick response times indicate great teamwork',
-      'Consistent participation shows strong family engagement'
-    ];
+      strongCategories.length > 0 &&
+        `Your family shows exceptional knowledge in ${strongCategories.slice(0, 2).map(formatCategory).join(' and ')}!`,
+      averageAnswerTime !== null &&
+        `Your family answers in ${averageAnswerTime} seconds on average`,
+      gamesPlayed > 0 &&
+        `${gamesPlayed} game${gamesPlayed === 1 ? '' : 's'} played together shows strong family engagement`
+    ].filter(Boolean);
   } else {
     return [
-      `Exploring ${performance.weakCategories[0]} topics could be a fun learning adventure`,
+      weakCategories.length > 0
+        ? `Exploring ${formatCategory(weakCategories[0])} topics could be a fun learning adventure`
+        : 'Try a category you haven\'t played yet for a fun learning adventure',
       'Try discussing questions after each round for better retention',
       'Mixed difficulty levels keep everyone engaged'
     ];
@@ -414,16 +429,31 @@ function generateInsights(performance, type) {
 }
 
 /**
- * Generate fun facts from game statistics
+ * Generate fun facts from the family's performance history
  */
-function generateFunFacts(stats) {
-  if (!stats || stats.length === 0) return [];
-  
+function generateFunFacts(performance) {
+  if (performance.questionsAnswered === 0) return [];
+
+  const [bestCategory] = Object.entries(performance.categoryPerformance)
+    .sort(([, a], [, b]) => b.accuracy - a.accuracy || b.answered - a.answered);
+
   return [
-    `Your family has answered ${stats.length * 5} questions together!`,
-    'Your favorite time to play is evening (based on game timestamps)',
-    'Science questions have the highest success rate in your family'
-  ];
+    `Your family has answered ${performance.questionsAnswered} questions together!`,
+    performance.bestTimeOfDay &&
+      `Your favorite time to play is ${performance.bestTimeOfDay === 'night' ? 'at night' : `in the ${performance.bestTimeOfDay}`} (based on game timestamps)`,
+    bestCategory &&
+      `${formatCategory(bestCategory[0])} questions have the highest success rate in your family (${Math.round(bestCategory[1].accuracy * 100)}%)`
+  ].filter(Boolean);
+}
+
+/**
+ * Turn a category key into a readable name ('space_exploration' -> 'Space Exploration')
+ */
+function formatCategory(category) {
+  return category
+    .split('_')
+    .map(word => word.charAt(0).toUpperCase() + word.slice(1))
+    .join(' ');
 }
 
 /**
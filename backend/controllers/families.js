@@ -1,5 +1,7 @@
 const { createClient } = require('@supabase/supabase-js');
-const { validateFamilyName, validateEmail } = require('../utils/validation');
+const { validateFamilyName, validateEmail, validateMemberHandicap, validateLeaderboardWindow } = require('../utils/validation');
+const { resolveHandicap } = require('../utils/handicaps');
+const leaderboardService = require('../services/leaderboardService');
 const crypto = require('crypto');
 
 // Initialize Supabase client
@@ -496,9 +498,199 @@ const getUserFamilies = async (req, res) => {
   }
 };
 
+/**
+ * Sets a member's age bracket and/or custom handicap (family admin only)
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ */
+const updateMemberHandicap = async (req, res) => {
+  try {
+    const { familyId, userId: memberId } = req.params;
+    const userId = req.user?.id;
+
+    if (!userId) {
+      return res.status(401).json({ 
+        error: 'User authentication required' 
+      });
+    }
+
+    const validation = validateMemberHandicap(req.body);
+    if (!validation.valid) {
+      return res.status(400).json({ 
+        error: validation.error 
+      });
+    }
+
+    // Check if user is an admin of the family
+    const { data: adminCheck, error: adminError } = await supabase
+      .from('family_members')
+      .select('role')
+      .eq('user_id', userId)
+      .eq('family_id', familyId)
+      .eq('role', 'admin')
+      .single();
+
+    if (adminError || !adminCheck) {
+      return res.status(403).json({ 
+        error: 'Only family admins can set handicaps' 
+      });
+    }
+
+    const { data: membership, error: updateError } = await supabase
+      .from('family_members')
+      .update(validation.update)
+      .eq('family_id', familyId)
+      .eq('user_id', memberId)
+      .select('user_id, role, age_bracket, handicap')
+      .maybeSingle();
+
+    if (updateError) {
+      console.error('Error updating member handicap:', updateError);
+      return res.status(500).json({ 
+        error: 'Failed to update handicap' 
+      });
+    }
+
+    if (!membership) {
+      return res.status(404).json({ 
+        error: 'Member not found in this family' 
+      });
+    }
+
+    res.status(200).json({
+      success: true,
+      message: 'Handicap updated successfully',
+      data: {
+        member: {
+          user_id: membership.user_id,
+          role: membership.role,
+          age_bracket: membership.age_bracket,
+          handicap: membership.handicap,
+          // What will actually apply in the next game
+          effective_handicap: resolveHandicap(membership)
+        }
+      }
+    });
+
+  } catch (error) {
+    console.error('Unexpected error in updateMemberHandicap:', error);
+    res.status(500).json({ 
+      error: 'Internal server error' 
+    });
+  }
+};
+
+/**
+ * Gets a family's leaderboard over a window (this week, this month, this season or all-time)
+ * Totals are worked out from the family's completed sessions in the window
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ */
+const getFamilyLeaderboard = async (req, res) => {
+  try {
+    const { familyId } = req.params;
+    const userId = req.user?.id;
+
+    if (!userId) {
+      return res.status(401).json({ 
+        error: 'User authentication required' 
+      });
+    }
+
+    const validation = validateLeaderboardWindow(req.query.window);
+    if (!validation.valid) {
+      return res.status(400).json({ 
+        error: validation.error 
+      });
+    }
+
+    // Check if user is a member of the family
+    const { data: membership, error: memberError } = await supabase
+      .from('family_members')
+      .select('role')
+      .eq('user_id', userId)
+      .eq('family_id', familyId)
+      .single();
+
+    if (memberError || !membership) {
+      return res.status(403).json({ 
+        error: 'You are not a member of this family' 
+      });
+    }
+
+    const { window, since, leaderboard } = await leaderboardService.getWindowedLeaderboard(familyId, validation.window);
+
+    res.status(200).json({
+      success: true,
+      data: {
+        window,
+        since,
+        leaderboard
+      }
+    });
+
+  } catch (error) {
+    console.error('Unexpected error in getFamilyLeaderboard:', error);
+    res.status(500).json({ 
+      error: 'Internal server error' 
+    });
+  }
+};
+
+/**
+ * Gets every family member's per-category mastery stats: answers, accuracy,
+ * average answer time and trend per category, plus their strengths
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ */
+const getFamilyCategoryStats = async (req, res) => {
+  try {
+    const { familyId } = req.params;
+    const userId = req.user?.id;
+
+    if (!userId) {
+      return res.status(401).json({ 
+        error: 'User authentication required' 
+      });
+    }
+
+    // Check if user is a member of the family
+    const { data: membership, error: memberError } = await supabase
+      .from('family_members')
+      .select('role')
+      .eq('user_id', userId)
+      .eq('family_id', familyId)
+      .single();
+
+    if (memberError || !membership) {
+      return res.status(403).json({ 
+        error: 'You are not a member of this family' 
+      });
+    }
+
+    const members = await leaderboardService.getFamilyCategoryStats(familyId);
+
+    res.status(200).json({
+      success: true,
+      data: {
+        members
+      }
+    });
+
+  } catch (error) {
+    console.error('Unexpected error in getFamilyCategoryStats:', error);
+    res.status(500).json({ 
+      error: 'Internal server error' 
+    });
+  }
+};
+
 module.exports = {
   createFamily,
   inviteToFamily,
   joinFamily,
-  getUserFamilies
+  getUserFamilies,
+  updateMemberHandicap,
+  getFamilyLeaderboard,
+  getFamilyCategoryStats
 }; 
\ No newline at end of file
@@ -1,8 +1,12 @@
 const { createClient } = require('@supabase/supabase-js');
 // Import GPT trivia generation service
 const { generateTriviaPack, getFallbackTriviaPack } = require('../services/gptTriviaService');
-// Import enhanced AI service for topic-based generation
-const enhancedGptTriviaService = require('../services/enhancedGptTriviaService');
+const questionSourceService = require('../services/questionSourceService');
+const triviaSessionService = require('../services/triviaSessionService');
+const { resolveHandicap } = require('../utils/handicaps');
+const { gradeAnswer } = require('../utils/grading');
+const { formatQuestionForClient } = require('../utils/roomSerializer');
+const { validateGameRules, validateUUID } = require('../utils/validation');
 
 // Initialize Supabase client with service role key for admin operations
 const supabase = createClient(
@@ -12,10 +16,11 @@ const supabase = createClient(
 
 /**
  * Start a new trivia session for a family
- * - Fetches 5 random questions from the database
- * - Creates a new trivia_session record
+ * - Picks the questions the same way real-time games do (AI for the topics, then the database)
+ * - Creates a new trivia_session record through the shared session service
  * - Returns session details with questions
  * - Now supports topic selection and AI personalization
+ * - Answers are scored with the chosen scoring strategy (default 'classic')
  */
 const startTriviaSession = async (req, res) => {
   try {
@@ -24,7 +29,8 @@ const startTriviaSession = async (req, res) => {
       use_ai = false,
       topics = [],
       difficulty = 'mixed',
-      age_group = 'mixed' 
+      age_group = 'mixed',
+      scoring = 'classic'
     } = req.body;
     const user_id = req.user.id; // From auth middleware
 
@@ -35,6 +41,15 @@ const startTriviaSession = async (req, res) => {
       });
     }
 
+    // REST sessions play the default game rules with the chosen scoring strategy
+    const rulesValidation = validateGameRules({ scoring });
+    if (!rulesValidation.valid) {
+      return res.status(400).json({ 
+        error: rulesValidation.error 
+      });
+    }
+    const rules = rulesValidation.rules;
+
     // Verify user is a member of the family
     const { data: familyMember, error: memberError } = await supabase
       .from('family_members')
@@ -71,135 +86,39 @@ const startTriviaSession = async (req, res) => {
       });
     }
 
-    let questions = [];
-    let generationSource = 'database';
-
-    // If AI generation is requested and topics are specified
-    if (use_ai && topics.length > 0) {
-      try {
-        console.log('🤖 Generating AI-powered questions with topics:', topics);
-        
-        // Convert topics array to category weights
-        const categoryWeights = {};
-        topics.forEach(topic => {
-          categoryWeights[topic.toLowerCase()] = 1.0 / topics.length;
-        });
-
-        // Generate personalized questions using enhanced AI service
-        const aiResult = await enhancedGptTriviaService.generatePersonalizedTrivia({
-          familyId: family_id,
-          ageGroup: age_group,
-          difficultyLevel: difficulty,
-          categories: categoryWeights,
-          useCache: true // Use cache to save API costs
-        });
-
-        if (aiResult.success && aiResult.data.questions.length > 0) {
-          // Store AI-generated questions in database for future use
-          const questionsForDB = aiResult.data.questions.map(q => ({
-            category: q.category,
-            question: q.question,
-            choices: q.choices,
-            answer: q.correct_answer,
-            difficulty: q.difficulty,
-            fun_fact: q.fun_fact,
-            hint: q.hint,
-            time_limit: q.timeLimit,
-            points: q.points,
-            created_by: user_id,
-            generation_source: 'enhanced-ai',
-            metadata: {
-              ai_generated: true,
-              topics_requested: topics,
-              personalized: true
-            }
-          }));
-
-          const { data: insertedQuestions, error: insertError } = await supabase
-            .from('questions')
-            .insert(questionsForDB)
-            .select('id, category, question, choices, difficulty, fun_fact, hint, time_limit, points');
-
-          if (!insertError && insertedQuestions) {
-            questions = insertedQuestions;
-            generationSource = 'ai-personalized';
-          }
-        }
-      } catch (aiError) {
-        console.error('AI generation failed, falling back to database:', aiError);
-      }
-    }
-
-    // If no AI questions were generated, fetch from database
-    if (questions.length === 0) {
-      // Build query based on topics if specified
-      let query = supabase
-        .from('questions')
-        .select('id, category, question, choices, difficulty, fun_fact, hint, time_limit, points');
-
-      // Filter by topics if specified
-      if (topics.length > 0) {
-        query = query.in('category', topics.map(t => t.toLowerCase()));
-      }
-
-      // Filter by difficulty if specified and not 'mixed'
-      if (difficulty && difficulty !== 'mixed') {
-        query = query.eq('difficulty', difficulty);
-      }
-
-      // Fetch questions with limit
-      const { data: dbQuestions, error: questionsError } = await query.limit(20);
-
-      if (questionsError) {
-        console.error('Error fetching questions:', questionsError);
-        return res.status(500).json({ 
-          error: 'Failed to fetch trivia questions' 
-        });
-      }
-
-      if (!dbQuestions || dbQuestions.length === 0) {
-        // If no questions found with filters, try without filters
-        const { data: fallbackQuestions } = await supabase
-          .from('questions')
-          .select('id, category, question, choices, difficulty, fun_fact, hint, time_limit, points')
-          .limit(20);
-
-        if (!fallbackQuestions || fallbackQuestions.length === 0) {
-          return res.status(404).json({ 
-            error: 'No trivia questions available. Please add questions to the database.' 
-          });
-        }
+    const { questions, generationSource } = await questionSourceService.loadQuestions({
+      familyId: family_id,
+      topics,
+      difficulty,
+      ageGroup: age_group,
+      useAi: use_ai,
+      createdBy: user_id
+    });
 
-        questions = fallbackQuestions;
-      } else {
-        questions = dbQuestions;
-      }
+    // Answers are graded against the questions table, so only stored questions can be played
+    const storedQuestions = questions.filter(q => validateUUID(q.id).valid);
+    if (storedQuestions.length === 0) {
+      return res.status(404).json({ 
+        error: 'No trivia questions available. Please add questions to the database.' 
+      });
     }
 
-    // Shuffle questions and take only 5
-    const shuffledQuestions = questions.sort(() => Math.random() - 0.5).slice(0, 5);
-    const questionIds = shuffledQuestions.map(q => q.id);
+    // Shuffle questions and take only the game's worth
+    const sessionQuestions = triviaSessionService.selectQuestions(storedQuestions, rules);
+    const questionIds = sessionQuestions.map(q => q.id);
 
     // Create new trivia session
-    const { data: session, error: sessionError } = await supabase
-      .from('trivia_sessions')
-      .insert({
-        family_id,
-        questions_used: questionIds,
-        scores: {}, // Initialize empty scores object
-        completed: false,
-        metadata: {
-          generation_source: generationSource,
-          topics_requested: topics,
-          difficulty_requested: difficulty,
-          age_group: age_group,
-          ai_generated: generationSource.includes('ai')
-        }
-      })
-      .select()
-      .single();
-
-    if (sessionError) {
+    let session;
+    try {
+      ({ session } = await triviaSessionService.startSession(family_id, user_id, {
+        questions: sessionQuestions,
+        generationSource,
+        rules,
+        topics,
+        difficulty,
+        ageGroup: age_group
+      }));
+    } catch (sessionError) {
       console.error('Error creating trivia session:', sessionError);
       return res.status(500).json({ 
         error: 'Failed to create trivia session' 
@@ -225,18 +144,11 @@ const startTriviaSession = async (req, res) => {
       }
     }
 
-    // Return session with questions (without correct answers)
-    const questionsForClient = shuffledQuestions.map(q => ({
-      id: q.id,
-      category: q.category,
-      question: q.question,
-      choices: q.choices,
-      difficulty: q.difficulty,
-      // Include enhanced metadata if available
-      timeLimit: q.time_limit || 30,
-      points: q.points || 100,
-      ...(q.hint && { hint: q.hint }), // Include hint only if available
-      ...(q.fun_fact && { funFact: q.fun_fact }) // Include fun fact only if available
+    // Return session with questions (without correct answers), shaped like the real-time game's
+    const questionsForClient = sessionQuestions.map((q, index) => ({
+      ...formatQuestionForClient(q, index + 1),
+      // REST sessions have no hint lifeline, so an allowed hint is sent with its question
+      ...(q.hint && { hint: q.hint })
     }));
 
     res.status(201).json({
@@ -251,7 +163,8 @@ const startTriviaSession = async (req, res) => {
           difficulty: difficulty,
           ageGroup: age_group,
           aiGenerated: generationSource.includes('ai'),
-          generationSource
+          generationSource,
+          scoring
         }
       }
     });
@@ -266,17 +179,20 @@ const startTriviaSession = async (req, res) => {
 
 /**
  * Submit an answer for a trivia question
- * - Validates the session and question
+ * - Validates the session and question (each player answers each question once)
+ * - Scores the answer with the session's scoring strategy and the player's handicap,
+ *   and records it the same way real-time games do
  * - Updates the session scores
  * - Returns whether the answer was correct
  */
 const submitAnswer = async (req, res) => {
   try {
-    const { session_id, question_id, answer } = req.body;
+    const { session_id, question_id, answer, time_taken, wager } = req.body;
     const user_id = req.user.id;
 
     // Validate required fields
-    if (!session_id || !question_id || !answer) {
+    // A numeric guess of 0 is still an answer
+    if (!session_id || !question_id || answer === undefined || answer === null || answer === '') {
       return res.status(400).json({ 
         error: 'session_id, question_id, and answer are required' 
       });
@@ -288,7 +204,7 @@ const submitAnswer = async (req, res) => {
       .select(`
         *,
         families!inner(
-          family_members!inner(user_id)
+          family_members!inner(user_id, age_bracket, handicap)
         )
       `)
       .eq('id', session_id)
@@ -303,7 +219,8 @@ const submitAnswer = async (req, res) => {
     }
 
     // Verify question is part of this session
-    if (!session.questions_used.includes(question_id)) {
+    const questionNumber = session.questions_used.indexOf(question_id) + 1;
+    if (questionNumber === 0) {
       return res.status(400).json({ 
         error: 'Question is not part of this session' 
       });
@@ -312,7 +229,7 @@ const submitAnswer = async (req, res) => {
     // Get the correct answer for this question
     const { data: question, error: questionError } = await supabase
       .from('questions')
-      .select('answer')
+      .select('id, category, type, answer, accepted_answers, tolerance, answer_key, difficulty, points, time_limit')
       .eq('id', question_id)
       .single();
 
@@ -322,37 +239,53 @@ const submitAnswer = async (req, res) => {
       });
     }
 
-    // Check if answer is correct
-    const isCorrect = answer.trim().toLowerCase() === question.answer.trim().toLowerCase();
-    
-    // Update session scores
-    const currentScores = session.scores || {};
-    if (!currentScores[user_id]) {
-      currentScores[user_id] = 0;
-    }
-    
-    if (isCorrect) {
-      currentScores[user_id] += 1;
-    }
-
-    // Update the session with new scores
-    const { error: updateError } = await supabase
-      .from('trivia_sessions')
-      .update({ scores: currentScores })
-      .eq('id', session_id);
-
-    if (updateError) {
+    // Grade the answer with the question type's grader
+    const { isCorrect, distance, credit } = gradeAnswer(question, answer);
+
+    // Score with the session's strategy (the REST flow has no server delivery stamp, so the reported time is used)
+    const timeLimit = question.time_limit || 30;
+    const player = {
+      userId: user_id,
+      playerName: req.user.email?.split('@')[0] || 'Player',
+      handicap: resolveHandicap(session.families.family_members[0])
+    };
+    // Record the answer and save the session's new scores (answers saved at the same time are all kept)
+    let result;
+    try {
+      result = await triviaSessionService.recordSessionAnswer(session, player, questionNumber, question, {
+        selectedAnswer: answer,
+        isCorrect,
+        credit,
+        distance,
+        timeTaken: typeof time_taken === 'number' ? Math.min(Math.max(time_taken, 0), timeLimit) : timeLimit,
+        wager
+      });
+    } catch (updateError) {
       console.error('Error updating session scores:', updateError);
       return res.status(500).json({ 
         error: 'Failed to update scores' 
       });
     }
 
+    // Already answered, or the session changed in a way the answer can't be saved on
+    if (!result.success) {
+      return res.status(409).json({ 
+        error: result.error 
+      });
+    }
+
+    const { gameState, pointsEarned, rawPoints, combo } = result;
+
     res.json({
       message: 'Answer submitted successfully',
       correct: isCorrect,
+      credit,
       correct_answer: question.answer,
-      current_score: currentScores[user_id]
+      ...(question.fun_fact && { fun_fact: question.fun_fact }),
+      points_earned: pointsEarned,
+      raw_points: rawPoints,
+      combo,
+      current_score: gameState.scores[user_id]
     });
 
   } catch (error) {
@@ -366,7 +299,7 @@ const submitAnswer = async (req, res) => {
 /**
  * Complete a trivia session
  * - Marks session as completed
- * - Updates family leaderboard
+ * - Saves every answer and updates the family leaderboard exactly like a finished real-time game
  * - Returns final scores and updated leaderboard
  */
 const completeSession = async (req, res) => {
@@ -401,85 +334,21 @@ const completeSession = async (req, res) => {
       });
     }
 
-    // Mark session as completed
-    const { error: completeError } = await supabase
-      .from('trivia_sessions')
-      .update({ 
-        completed: true,
-        completed_at: new Date().toISOString()
-      })
-      .eq('id', session_id);
-
-    if (completeError) {
+    let results;
+    try {
+      results = await triviaSessionService.completeSession(session);
+    } catch (completeError) {
       console.error('Error completing session:', completeError);
       return res.status(500).json({ 
         error: 'Failed to complete session' 
       });
     }
 
-    // Update leaderboard for all participants
-    const scores = session.scores || {};
-    const family_id = session.family_id;
-
-    for (const [participant_user_id, score] of Object.entries(scores)) {
-      // Get current leaderboard entry
-      const { data: currentEntry, error: leaderboardError } = await supabase
-        .from('leaderboards')
-        .select('*')
-        .eq('family_id', family_id)
-        .eq('user_id', participant_user_id)
-        .maybeSingle();
-
-      if (leaderboardError) {
-        console.error('Error fetching leaderboard entry:', leaderboardError);
-        continue;
-      }
-
-      const newScore = (currentEntry?.total_score || 0) + score;
-      const newStreak = score > 0 ? (currentEntry?.current_streak || 0) + 1 : 0;
-
-      if (currentEntry) {
-        // Update existing entry
-        await supabase
-          .from('leaderboards')
-          .update({
-            total_score: newScore,
-            current_streak: newStreak,
-            last_played_at: new Date().toISOString(),
-            updated_at: new Date().toISOString()
-          })
-          .eq('id', currentEntry.id);
-      } else {
-        // Create new entry
-        await supabase
-          .from('leaderboards')
-          .insert({
-            family_id,
-            user_id: participant_user_id,
-            total_score: newScore,
-            current_streak: newStreak,
-            last_played_at: new Date().toISOString()
-          });
-      }
-    }
-
-    // Fetch updated leaderboard
-    const { data: leaderboard, error: leaderboardFetchError } = await supabase
-      .from('leaderboards')
-      .select(
-        `*,auth.users(email)`
-      )
-      .eq('family_id', family_id)
-      .order('total_score', { ascending: false });
-
-    if (leaderboardFetchError) {
-      console.error('Error fetching updated leaderboard:', leaderboardFetchError);
-    }
-
     res.json({
       message: 'Session completed successfully',
-      final_scores: scores,
-      leaderboard: leaderboard || []
+      final_scores: session.scores || {},
+      player_stats: results.playerStats,
+      leaderboard: results.familyLeaderboard
     });
 
   } catch (error) {
@@ -528,8 +397,12 @@ const generateTrivia = async (req, res) => {
     const questionsForDB = questionsToStore.map(q => ({
       category: q.category,
       question: q.question,
+      type: q.type,
       choices: q.choices,
       answer: q.correct_answer,
+      accepted_answers: q.accepted_answers,
+      tolerance: q.tolerance,
+      answer_key: q.answer_key,
       difficulty: q.difficulty,
       created_by: user_id,
       generation_source: generationSource
@@ -6,6 +6,48 @@ const supabase = createClient(
   process.env.SUPABASE_ANON_KEY // Use anon key for client-side operations
 );
 
+// Service role client for membership lookups, which must bypass RLS
+const supabaseAdmin = createClient(
+  process.env.SUPABASE_URL,
+  process.env.SUPABASE_SERVICE_ROLE_KEY
+);
+
+// User returned for the development bypass token
+const DEV_USER = {
+  id: '550e8400-e29b-41d4-a716-446655440000',
+  email: 'dev@example.com',
+  aud: 'authenticated',
+  role: 'authenticated',
+};
+
+/**
+ * Verify a Supabase access token and resolve the user it belongs to
+ * In development, 'dev-access-token' is accepted to skip Supabase auth
+ * @param {string} token - Supabase JWT access token
+ * @returns {Promise<Object|null>} User information, or null if the token is invalid
+ */
+const verifyAccessToken = async (token) => {
+  // Development bypass: accept 'dev-access-token' for local dev to skip Supabase auth
+  if (process.env.NODE_ENV !== 'production' && token === 'dev-access-token') {
+    return { ...DEV_USER };
+  }
+
+  // Verify token with Supabase
+  const { data: { user }, error } = await supabase.auth.getUser(token);
+
+  if (error || !user) {
+    console.error('Token verification failed:', error);
+    return null;
+  }
+
+  return {
+    id: user.id,
+    email: user.email,
+    aud: user.aud,
+    role: user.role
+  };
+};
+
 /**
  * Middleware to authenticate requests using Supabase JWT tokens
  * Extracts user information from Authorization header and adds to req.user
@@ -26,34 +68,16 @@ const authenticateToken = async (req, res, next) => {
 
     const token = authHeader.substring(7); // Remove 'Bearer ' prefix
 
-    // Development bypass: accept 'dev-access-token' for local dev to skip Supabase auth
-    if (process.env.NODE_ENV !== 'production' && token === 'dev-access-token') {
-      req.user = {
-        id: '550e8400-e29b-41d4-a716-446655440000',
-        email: 'dev@example.com',
-        aud: 'authenticated',
-        role: 'authenticated',
-      };
-      return next();
-    }
-
-    // Verify token with Supabase
-    const { data: { user }, error } = await supabase.auth.getUser(token);
+    const user = await verifyAccessToken(token);
 
-    if (error || !user) {
-      console.error('Token verification failed:', error);
+    if (!user) {
       return res.status(401).json({ 
         error: 'Invalid or expired token' 
       });
     }
 
     // Add user information to request object
-    req.user = {
-      id: user.id,
-      email: user.email,
-      aud: user.aud,
-      role: user.role
-    };
+    req.user = user;
 
     next();
 
@@ -109,7 +133,74 @@ const optionalAuth = async (req, res, next) => {
   }
 };
 
+/**
+ * Socket.IO middleware to authenticate connections using Supabase JWT tokens
+ * Reads the token from the handshake (`auth: { token }`) or the Authorization header
+ * and adds user information to socket.user
+ * @param {Object} socket - Socket.IO socket
+ * @param {Function} next - Socket.IO next middleware function
+ */
+const authenticateSocket = async (socket, next) => {
+  try {
+    const authHeader = socket.handshake.headers?.authorization;
+    const token = socket.handshake.auth?.token ||
+      (authHeader && authHeader.startsWith('Bearer ') ? authHeader.substring(7) : null);
+
+    if (!token) {
+      return next(new Error('Authorization token required'));
+    }
+
+    const user = await verifyAccessToken(token);
+
+    if (!user) {
+      return next(new Error('Invalid or expired token'));
+    }
+
+    socket.user = user;
+    next();
+
+  } catch (error) {
+    console.error('Socket authentication middleware error:', error);
+    next(new Error('Authentication service error'));
+  }
+};
+
+/**
+ * Look up a user's membership of a family
+ * @param {string} familyId - The family identifier
+ * @param {string} userId - The user identifier
+ * @returns {Promise<Object|null>} { id, role, age_bracket, handicap }, or null if the user isn't a member
+ */
+const getFamilyMembership = async (familyId, userId) => {
+  const { data: membership, error } = await supabaseAdmin
+    .from('family_members')
+    .select('id, role, age_bracket, handicap')
+    .eq('family_id', familyId)
+    .eq('user_id', userId)
+    .maybeSingle();
+
+  if (error) {
+    throw error;
+  }
+
+  return membership;
+};
+
+/**
+ * Check whether a user belongs to a family
+ * @param {string} familyId - The family identifier
+ * @param {string} userId - The user identifier
+ * @returns {Promise<boolean>} True if the user is a member of the family
+ */
+const isFamilyMember = async (familyId, userId) => {
+  return !!(await getFamilyMembership(familyId, userId));
+};
+
 module.exports = {
   authenticateToken,
-  optionalAuth
+  optionalAuth,
+  authenticateSocket,
+  isFamilyMember,
+  getFamilyMembership,
+  verifyAccessToken
 }; 
\ No newline at end of file
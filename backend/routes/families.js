@@ -2,7 +2,7 @@ const express = require('express');
 const router = express.Router();
 
 // Import controllers
-const { createFamily, inviteToFamily, joinFamily, getUserFamilies } = require('../controllers/families');
+const { createFamily, inviteToFamily, joinFamily, getUserFamilies, updateMemberHandicap, getFamilyLeaderboard, getFamilyCategoryStats } = require('../controllers/families');
 
 // Import middleware
 const { authenticateToken } = require('../middlewares/auth');
@@ -38,4 +38,27 @@ router.post('/invite', authenticateToken, inviteToFamily);
  */
 router.post('/join', authenticateToken, joinFamily);
 
+/**
+ * PUT /families/:familyId/members/:userId/handicap
+ * Sets a member's age bracket and/or custom handicap for real-time games
+ * Requires authentication (family admin only)
+ * Body: { ageBracket?: 'under_8' | '8_12' | '13_17' | 'adult' | null, handicap?: { pointsMultiplier, extraSeconds } | null }
+ */
+router.put('/:familyId/members/:userId/handicap', authenticateToken, updateMemberHandicap);
+
+/**
+ * GET /families/:familyId/leaderboard
+ * Gets the family leaderboard over a window, from the family's completed sessions
+ * Requires authentication (family members only)
+ * Query: { window?: 'week' | 'month' | 'season' | 'all' } (defaults to 'all')
+ */
+router.get('/:familyId/leaderboard', authenticateToken, getFamilyLeaderboard);
+
+/**
+ * GET /families/:familyId/category-stats
+ * Gets each member's per-category mastery stats (answers, accuracy, average time, trend) and strengths
+ * Requires authentication (family members only)
+ */
+router.get('/:familyId/category-stats', authenticateToken, getFamilyCategoryStats);
+
 module.exports = router; 
\ No newline at end of file
@@ -76,6 +76,7 @@ router.get('/topics/stats', getTopicStats);
  * - topics: Array of topic IDs to focus on (optional)
  * - difficulty: String difficulty level (optional)
  * - age_group: String age group (optional)
+ * - scoring: Scoring strategy: 'classic', 'no-time-bonus', 'streak' or 'wager' (optional, default 'classic')
  * 
  * Response:
  * - session: Object containing session details and 5 questions
@@ -84,16 +85,21 @@ router.post('/start-session', authenticateToken, startTriviaSession);
 
 /**
  * POST /trivia/submit-answer
- * Submit an answer for a trivia question in an active session
+ * Submit an answer for a trivia question in an active session (once per question)
  * 
  * Request body:
  * - session_id: UUID of the trivia session
  * - question_id: UUID of the question being answered
  * - answer: String answer provided by user
+ * - time_taken: Seconds the user took to answer (optional, used for the time bonus)
+ * - wager: Points staked on this answer (optional, 'wager' scoring only)
  * 
  * Response:
  * - correct: Boolean indicating if answer was correct
  * - correct_answer: String showing the correct answer
+ * - points_earned: Points this answer scored (with the user's handicap)
+ * - raw_points: Points this answer would score without a handicap
+ * - combo: Correct answers in a row, including this one (0 after a wrong answer)
  * - current_score: Number showing user's current score in session
  */
 router.post('/submit-answer', authenticateToken, submitAnswer);
@@ -107,6 +113,7 @@ router.post('/submit-answer', authenticateToken, submitAnswer);
  * 
  * Response:
  * - final_scores: Object with final scores for all participants
+ * - player_stats: Object with each participant's game and leaderboard totals
  * - leaderboard: Array of updated leaderboard entries for the family
  */
 router.post('/complete-session', authenticateToken, completeSession);
@@ -0,0 +1,83 @@
+/**
+ * Upload Question Media Script
+ * Attaches a picture or sound clip to a question: uploads the file to the
+ * media store (see utils/mediaStore.js) and points the question at it
+ *
+ * Usage: npm run upload:media -- <questionId> <file>
+ */
+
+require('dotenv').config({ path: require('path').resolve(__dirname, '../.env') });
+const fs = require('fs');
+const path = require('path');
+const { createClient } = require('@supabase/supabase-js');
+const { getMediaStore } = require('../utils/mediaStore');
+
+// Supported file extensions: { extension: [media_type, content type] }
+const MEDIA_FILE_TYPES = {
+  '.jpg': ['image', 'image/jpeg'],
+  '.jpeg': ['image', 'image/jpeg'],
+  '.png': ['image', 'image/png'],
+  '.gif': ['image', 'image/gif'],
+  '.webp': ['image', 'image/webp'],
+  '.mp3': ['audio', 'audio/mpeg'],
+  '.m4a': ['audio', 'audio/mp4'],
+  '.wav': ['audio', 'audio/wav'],
+  '.ogg': ['audio', 'audio/ogg']
+};
+
+const supabase = createClient(
+  process.env.SUPABASE_URL,
+  process.env.SUPABASE_SERVICE_ROLE_KEY
+);
+
+async function uploadQuestionMedia(questionId, filePath) {
+  const fileType = MEDIA_FILE_TYPES[path.extname(filePath).toLowerCase()];
+  if (!fileType) {
+    console.error(`❌ Unsupported file type. Use one of: ${Object.keys(MEDIA_FILE_TYPES).join(', ')}`);
+    process.exit(1);
+  }
+  const [mediaType, contentType] = fileType;
+
+  try {
+    const { data: question, error: questionError } = await supabase
+      .from('questions')
+      .select('id, question')
+      .eq('id', questionId)
+      .single();
+
+    if (questionError || !question) {
+      console.error(`❌ Question ${questionId} not found`);
+      process.exit(1);
+    }
+
+    const mediaPath = `questions/${questionId}/${path.basename(filePath)}`;
+    const mediaStore = getMediaStore();
+
+    console.log(`📤 Uploading ${filePath} as ${mediaPath}...`);
+    await mediaStore.upload(mediaPath, fs.readFileSync(filePath), contentType);
+
+    const { error: updateError } = await supabase
+      .from('questions')
+      .update({ media_type: mediaType, media_path: mediaPath })
+      .eq('id', questionId);
+
+    if (updateError) {
+      console.error('❌ Error updating question:', updateError);
+      process.exit(1);
+    }
+
+    console.log(`✅ "${question.question}" now has ${mediaType === 'image' ? 'a picture' : 'a sound clip'}`);
+    console.log(`   ${mediaStore.getUrl(mediaPath)}`);
+  } catch (error) {
+    console.error('\n❌ Unexpected error:', error);
+    process.exit(1);
+  }
+}
+
+const [questionId, filePath] = process.argv.slice(2);
+if (!questionId || !filePath) {
+  console.error('Usage: npm run upload:media -- <questionId> <file>');
+  process.exit(1);
+}
+
+uploadQuestionMedia(questionId, filePath);
@@ -1,5 +1,8 @@
 const { OpenAI } = require('openai');
 const crypto = require('crypto');
+const { normalizeCategory } = require('../utils/categories');
+const { normalizeGeneratedQuestion } = require('../utils/generatedQuestions');
+const leaderboardService = require('./leaderboardService');
 
 // Initialize OpenAI client
 const openai = new OpenAI({
@@ -10,6 +13,78 @@ const openai = new OpenAI({
 const questionCache = new Map();
 const CACHE_TTL = 24 * 60 * 60 * 1000; // 24 hours
 
+// How many of a family's latest games are analyzed to personalize their trivia
+const PERFORMANCE_HISTORY_GAMES = 50;
+
+// New trivia avoids the questions of this many of the family's latest games
+const RECENT_QUESTION_GAMES = 10;
+
+// Answers a category (or difficulty) needs before the family counts as strong or weak in it
+const MIN_CATEGORY_ANSWERS = 3;
+
+// Accuracy (0 to 1) at or above which a category is a strength, and below which it needs work
+const STRONG_CATEGORY_ACCURACY = 0.7;
+const WEAK_CATEGORY_ACCURACY = 0.5;
+
+// Answers a family needs before their difficulty is worked out from their accuracy
+const MIN_ANSWERS_FOR_DIFFICULTY = 10;
+
+// Accuracy a family needs for each difficulty level, hardest first (below all of them is beginner)
+const DIFFICULTY_ACCURACY = [
+  { level: 'expert', accuracy: 0.85 },
+  { level: 'advanced', accuracy: 0.7 },
+  { level: 'intermediate', accuracy: 0.5 }
+];
+
+// Parts of the day a game can be played in, by the local hour each one ends at
+const TIMES_OF_DAY = [
+  { name: 'night', endHour: 5 },
+  { name: 'morning', endHour: 12 },
+  { name: 'afternoon', endHour: 17 },
+  { name: 'evening', endHour: 22 },
+  { name: 'night', endHour: 24 }
+];
+
+/**
+ * Work out which part of the day a time falls in for a family
+ * @param {string} time - ISO timestamp
+ * @param {string} timeZone - The family's IANA time zone (UTC when it isn't a valid one)
+ * @returns {string} 'morning', 'afternoon', 'evening' or 'night'
+ */
+const getTimeOfDay = (time, timeZone) => {
+  let hour;
+  try {
+    hour = Number(new Intl.DateTimeFormat('en-US', { hour: 'numeric', hourCycle: 'h23', timeZone }).format(new Date(time)));
+  } catch (error) {
+    hour = new Date(time).getUTCHours();
+  }
+  return TIMES_OF_DAY.find(({ endHour }) => hour < endHour).name;
+};
+
+/**
+ * Add up answer results by one of their fields
+ * @param {Array} results - { category, difficulty, answered, credit } (credit is the sum of the answers' credit)
+ * @param {string} field - 'category' or 'difficulty'
+ * @returns {Object} { [value]: { answered, accuracy } } (accuracy from 0 to 1); results without the field are left out
+ */
+const tallyResults = (results, field) => {
+  const totals = {};
+  results.forEach(result => {
+    const key = result[field];
+    if (!key) {
+      return;
+    }
+    totals[key] = totals[key] || { answered: 0, credit: 0 };
+    totals[key].answered += result.answered;
+    totals[key].credit += result.credit;
+  });
+
+  return Object.fromEntries(Object.entries(totals).map(([key, { answered, credit }]) => [
+    key,
+    { answered, accuracy: Math.round((credit / answered) * 100) / 100 }
+  ]));
+};
+
 /**
  * Enhanced AI Trivia Service with personalization, caching, and adaptive difficulty
  */
@@ -171,6 +246,15 @@ Question Requirements:
 2. Include fun facts or explanations with each answer
 3. Make incorrect choices plausible but clearly distinguishable
 4. Ensure cultural sensitivity and inclusivity
+5. Mix question types: mostly multiple_choice, plus at least one of true_false, free_text, numeric, ordering or matching
+
+Question Types:
+- multiple_choice: 4 choices, correct_answer is one of them
+- true_false: choices ["True", "False"], correct_answer is "True" or "False"
+- free_text: players type the answer, so choices is []; correct_answer is short (a name, place or word) and accepted_answers lists other common spellings or names
+- numeric: players guess a number and the closest guess wins (e.g. "How tall is the Eiffel Tower in meters?"), so choices is []; correct_answer is just the number, and tolerance is how far off still counts as exactly right (0 if it must be exact)
+- ordering: players put 3-6 items in order (e.g. "Put these inventions in chronological order"); correct_order lists them in the right order
+- matching: players match 3-6 prompts to answers (e.g. "Match the animal to its habitat"); pairs maps each prompt to its answer
 
 Difficulty Distribution:
 - Easy questions (${Math.round(difficultyMix.easy * 5)}): Simple, confidence-building
@@ -195,8 +279,13 @@ Category Distribution:`;
   "questions": [
     {
       "question": "Question text",
+      "type": "multiple_choice|true_false|free_text|numeric",
       "choices": ["A", "B", "C", "D"],
       "correct_answer": "Correct choice",
+      "accepted_answers": ["Other accepted spellings (free_text only)"],
+      "tolerance": 0,
+      "correct_order": ["First", "Second", "Third (ordering only)"],
+      "pairs": { "Prompt": "Its answer (matching only)" },
       "category": "category_name",
       "difficulty": "easy|medium|hard",
       "fun_fact": "Interesting explanation or additional information",
@@ -242,14 +331,18 @@ Always provide accurate information and cite-worthy facts.`;
    * Enhance questions with additional features
    */
   async enhanceQuestions(questions, { excludeUsedQuestions, familyId }) {
-    return questions.map((q, index) => ({
-      ...q,
-      id: this.generateQuestionId(q),
-      order: index + 1,
-      timeLimit: this.getTimeLimitForDifficulty(q.difficulty),
-      points: this.getPointsForDifficulty(q.difficulty),
-      used: excludeUsedQuestions.includes(q.id) || false
-    })).filter(q => !q.used);
+    return questions
+      .map(q => ({ ...q, ...normalizeGeneratedQuestion(q) }))
+      // Questions generated without a usable answer can't be graded
+      .filter(q => q.type !== null)
+      .map((q, index) => ({
+        ...q,
+        id: this.generateQuestionId(q),
+        order: index + 1,
+        timeLimit: this.getTimeLimitForDifficulty(q.difficulty),
+        points: this.getPointsForDifficulty(q.difficulty),
+        used: excludeUsedQuestions.includes(q.id) || false
+      })).filter(q => !q.used);
   }
 
   /**
@@ -348,7 +441,9 @@ Always provide accurate information and cite-worthy facts.`;
   async generateSimpleTrivia(ageGroup, difficultyLevel) {
     try {
       const simplePrompt = `Generate 5 ${ageGroup}-appropriate trivia questions at ${difficultyLevel} difficulty level. 
-      Mix different categories. Return JSON with question, choices array, correct_answer, category, and difficulty fields.`;
+      Mix different categories and question types. Return JSON with question, type (multiple_choice, true_false, free_text, numeric, ordering or matching),
+      choices array (empty for free_text and numeric), correct_answer, accepted_answers (free_text), tolerance (numeric),
+      correct_order (ordering: the items in order), pairs (matching: { prompt: answer }), category, and difficulty fields.`;
 
       const completion = await openai.chat.completions.create({
         model: "gpt-4o",
@@ -398,17 +493,123 @@ Always provide accurate information and cite-worthy facts.`;
   }
 
   /**
-   * Analyze family performance to adjust difficulty
+   * Analyze a family's game history to personalize their trivia
+   * Accuracy comes from the trivia_answers of the family's latest games; questions of those
+   * games the family was shown without a saved answer count through question_performance
+   * @param {string} familyId - The family identifier
+   * @param {Object} options - { timeZone } the family's time zone, for the time of day they play
+   * @returns {Promise<Object>} { gamesPlayed, questionsAnswered, averageScore (accuracy from 0 to 1),
+   *   averageAnswerTime, recommendedDifficulty, categoryPerformance, difficultyPerformance,
+   *   strongCategories, weakCategories, preferredCategories, bestTimeOfDay, recentQuestionIds }
    */
-  async analyzeFamilyPerformance(familyId) {
-    // This would query the database for historical performance
-    // and return insights for difficulty adjustment
-    // Placeholder implementation
+  async analyzeFamilyPerformance(familyId, { timeZone = 'UTC' } = {}) {
+    const { repository } = leaderboardService;
+    // Newest first
+    const sessions = await repository.getRecentSessions(familyId, PERFORMANCE_HISTORY_GAMES);
+    const [answers, questionPerformance] = await Promise.all([
+      repository.getSessionAnswers(sessions.map(session => session.id)),
+      repository.getQuestionPerformance(familyId)
+    ]);
+
+    // Only answers a player actually gave count; unanswered questions are left out
+    const givenAnswers = answers.filter(answer => answer.user_answer !== null && answer.user_answer !== undefined);
+    const answeredQuestionIds = new Set(answers.map(answer => answer.question_id).filter(Boolean));
+    // question_performance covers all time, so only the questions of the games analyzed here are used
+    const sessionQuestionIds = new Set(sessions.flatMap(session => session.questions_used || []));
+    const results = [
+      ...givenAnswers.map(answer => ({
+        category: normalizeCategory(answer.category),
+        difficulty: answer.difficulty,
+        answered: 1,
+        credit: Number(answer.credit ?? (answer.is_correct ? 1 : 0))
+      })),
+      ...questionPerformance
+        .filter(row => row.times_shown > 0 && sessionQuestionIds.has(row.question_id) && !answeredQuestionIds.has(row.question_id))
+        .map(row => ({
+          category: normalizeCategory(row.category),
+          difficulty: row.difficulty,
+          answered: row.times_shown,
+          credit: Math.min(row.times_correct || 0, row.times_shown)
+        }))
+    ];
+
+    const questionsAnswered = results.reduce((sum, result) => sum + result.answered, 0);
+    const totalCredit = results.reduce((sum, result) => sum + result.credit, 0);
+    const averageScore = questionsAnswered > 0 ? Math.round((totalCredit / questionsAnswered) * 100) / 100 : 0;
+
+    const answerTimes = givenAnswers
+      .map(answer => answer.time_taken_seconds)
+      .filter(time => typeof time === 'number');
+    const averageAnswerTime = answerTimes.length > 0
+      ? Math.round((answerTimes.reduce((sum, time) => sum + time, 0) / answerTimes.length) * 10) / 10
+      : null;
+
+    // Strong and weak categories, best (or worst) first, once they've had enough answers
+    const categoryPerformance = tallyResults(results, 'category');
+    const ratedCategories = Object.entries(categoryPerformance)
+      .filter(([, { answered }]) => answered >= MIN_CATEGORY_ANSWERS);
+    const strongCategories = ratedCategories
+      .filter(([, { accuracy }]) => accuracy >= STRONG_CATEGORY_ACCURACY)
+      .sort(([, a], [, b]) => b.accuracy - a.accuracy)
+      .map(([category]) => category);
+    const weakCategories = ratedCategories
+      .filter(([, { accuracy }]) => accuracy < WEAK_CATEGORY_ACCURACY)
+      .sort(([, a], [, b]) => a.accuracy - b.accuracy)
+      .map(([category]) => category);
+
+    // The categories the family plays most, weighted by how often they've played them
+    const playedCategories = Object.entries(categoryPerformance)
+      .sort(([, a], [, b]) => b.answered - a.answered)
+      .slice(0, 6);
+    const categoryAnswers = playedCategories.reduce((sum, [, { answered }]) => sum + answered, 0);
+    const preferredCategories = playedCategories.length > 0
+      ? Object.fromEntries(playedCategories.map(([category, { answered }]) => [
+        category,
+        Math.round((answered / categoryAnswers) * 100) / 100
+      ]))
+      : null;
+
+    // Difficulty follows the family's accuracy; expert also needs them to get most hard questions right
+    const difficultyPerformance = tallyResults(results, 'difficulty');
+    let recommendedDifficulty = 'intermediate';
+    if (questionsAnswered >= MIN_ANSWERS_FOR_DIFFICULTY) {
+      recommendedDifficulty = DIFFICULTY_ACCURACY.find(({ accuracy }) => averageScore >= accuracy)?.level || 'beginner';
+
+      const hard = difficultyPerformance.hard;
+      const hardAccuracyNeeded = DIFFICULTY_ACCURACY.find(({ level }) => level === 'advanced').accuracy;
+      if (recommendedDifficulty === 'expert' && !(hard && hard.answered >= MIN_CATEGORY_ANSWERS && hard.accuracy >= hardAccuracyNeeded)) {
+        recommendedDifficulty = 'advanced';
+      }
+    }
+
+    // The part of the day the family finishes most of their games in
+    const gamesByTimeOfDay = {};
+    sessions
+      .filter(session => session.completed_at)
+      .forEach(session => {
+        const timeOfDay = getTimeOfDay(session.completed_at, timeZone);
+        gamesByTimeOfDay[timeOfDay] = (gamesByTimeOfDay[timeOfDay] || 0) + 1;
+      });
+    const bestTimeOfDay = Object.entries(gamesByTimeOfDay)
+      .sort(([, a], [, b]) => b - a)[0]?.[0] || null;
+
+    const recentQuestionIds = [...new Set(
+      sessions.slice(0, RECENT_QUESTION_GAMES).flatMap(session => session.questions_used || [])
+    )];
+
     return {
-      averageScore: 0.75,
-      recommendedDifficulty: 'intermediate',
-      strongCategories: ['science', 'geography'],
-      weakCategories: ['history', 'literature']
+      gamesPlayed: sessions.length,
+      questionsAnswered,
+      averageScore,
+      averageAnswerTime,
+      recommendedDifficulty,
+      categoryPerformance,
+      difficultyPerformance,
+      strongCategories,
+      weakCategories,
+      preferredCategories,
+      bestTimeOfDay,
+      recentQuestionIds
     };
   }
 
@@ -0,0 +1,1772 @@
+/**
+ * Game Engine - Runs the real-time trivia game flow for a family room
+ * Handles joining, starting, scoring, advancing and ending games.
+ * All client communication goes through an injected transport, so a full game
+ * can be driven without a socket server.
+ */
+
+const crypto = require('crypto');
+const defaultGameService = require('./gameService');
+const defaultLeaderboardService = require('./leaderboardService');
+const defaultQuestionSource = require('./questionSourceService');
+const defaultSessionService = require('./triviaSessionService');
+const { validateGameRules, validateTeams } = require('../utils/validation');
+const { PARTIAL_CREDIT_TYPES, getQuestionType, gradeAnswer } = require('../utils/grading');
+const { getMaxWager, isValidWager } = require('../utils/scoring');
+const {
+  LIFELINE_NAMES,
+  EXTRA_TIME_SECONDS,
+  HINT_COST_POINTS,
+  pickFiftyFiftyRemovals,
+  countFamilyVotes
+} = require('../utils/lifelines');
+const {
+  formatQuestionForClient,
+  formatPlayerForClient,
+  formatSpectatorForClient,
+  getScoresWithNames,
+  getTeamStandings,
+  getGameMode,
+  getBuzzerState,
+  getCurrentQuestionState,
+  getWagerPhaseState,
+  serializeRoom,
+  buildStateSnapshot
+} = require('../utils/roomSerializer');
+
+// Extra time allowed past a question's time limit before the server closes it (absorbs network latency)
+const QUESTION_TIMEOUT_GRACE_MS = 1000;
+
+// Round-trip latency credited back to players when measuring answer time on the server
+const ANSWER_LATENCY_ALLOWANCE_MS = 500;
+
+// How long players have to place their wager before the final question (finalWager rule)
+const WAGER_TIME_LIMIT_SECONDS = 20;
+
+// Longest wait for players to load a question's picture or sound clip before its timer starts anyway
+const MEDIA_PRELOAD_TIMEOUT_SECONDS = 10;
+
+// Default pauses between game phases (the pause between questions is the room's revealDelaySeconds rule)
+const DEFAULT_DELAYS = {
+  endGame: 3000, // 3 second delay before ending game
+  cleanup: 10000, // 10 second delay for cleanup so clients can process results
+  // How long a dropped player's seat (score, answers, host role) is held for them to rejoin
+  reconnectGrace: process.env.GAME_RECONNECT_GRACE_MS !== undefined
+    ? Number(process.env.GAME_RECONNECT_GRACE_MS)
+    : 30000
+};
+
+/**
+ * Check whether every player in the room has an answer recorded for a question
+ * @param {Object} room - Game room
+ * @param {number} questionNumber - 1-based question number
+ * @returns {boolean} True once all players have answered
+ */
+const hasEveryoneAnswered = (room, questionNumber) => {
+  const playerAnswers = room.gameState.playerAnswers || {};
+  return room.players.every(player => playerAnswers[`${player.userId}-q${questionNumber}`]);
+};
+
+/**
+ * Check whether every connected player has loaded the media of the question being prepared
+ * Disconnected players aren't waited for; the preload timeout covers them
+ * @param {Object} room - Game room
+ * @returns {boolean} True once the question's countdown can start
+ */
+const isEveryoneMediaReady = (room) => {
+  const { readyPlayers } = room.gameState.mediaPreload;
+  return room.players
+    .filter(player => player.connected !== false)
+    .every(player => readyPlayers.includes(player.userId));
+};
+
+/**
+ * Work out when a player's time on the question in play runs out, including
+ * any extra time lifeline they used and the server's grace period
+ * @param {Object} room - Game room
+ * @param {string} userId - The player's user ID
+ * @param {number} questionNumber - 1-based question number in play
+ * @returns {number} Deadline as a millisecond timestamp
+ */
+const getPlayerDeadline = (room, userId, questionNumber) => {
+  const { questionStartTime, timeLimit, lifelineUses = {} } = room.gameState;
+  const extraSeconds = lifelineUses[`${userId}-q${questionNumber}`]?.extraTime?.seconds || 0;
+  return new Date(questionStartTime).getTime() + (timeLimit + extraSeconds) * 1000 + QUESTION_TIMEOUT_GRACE_MS;
+};
+
+/**
+ * Work out when the question in play closes: once the last player's time has run out
+ * @param {Object} room - Game room
+ * @param {number} questionNumber - 1-based question number in play
+ * @returns {number} Deadline as a millisecond timestamp
+ */
+const getQuestionDeadline = (room, questionNumber) => {
+  const { questionStartTime, timeLimit } = room.gameState;
+  const baseDeadline = new Date(questionStartTime).getTime() + timeLimit * 1000 + QUESTION_TIMEOUT_GRACE_MS;
+  return Math.max(baseDeadline, ...room.players.map(player => getPlayerDeadline(room, player.userId, questionNumber)));
+};
+
+/**
+ * Check whether a numeric question is closed the "closest guess wins" way
+ * (buzzer games close on the first correct answer instead)
+ * @param {Object} room - Game room
+ * @param {Object} question - Full question stored on the server
+ * @returns {boolean} True for numeric questions outside buzzer games
+ */
+const isClosestWinsQuestion = (room, question) =>
+  getQuestionType(question) === 'numeric' && getGameMode(room) !== 'buzzer';
+
+/**
+ * Turn a selected answer into the key teammates' votes are counted by
+ * (ordering and matching answers are compared as a whole)
+ * @param {string|Array|Object} selectedAnswer - Recorded answer
+ * @returns {string} Vote key
+ */
+const getVoteKey = (selectedAnswer) => (typeof selectedAnswer === 'string'
+  ? selectedAnswer.trim().toLowerCase()
+  : JSON.stringify(selectedAnswer).toLowerCase());
+
+/**
+ * Work out a team's answer to a question from its members' answers
+ * - first: the earliest answer from any teammate counts
+ * - majority: the most popular answer counts (ties go to whichever was picked first),
+ *   decided once every teammate still in the room has answered or the question closes
+ * @param {Object} team - { id, members, answerMode }
+ * @param {Object} room - Game room
+ * @param {number} questionNumber - 1-based question number
+ * @param {boolean} questionClosed - True once no more answers will be accepted
+ * @returns {Object|null} Team answer, or null while it's still undecided
+ */
+const decideTeamAnswer = (team, room, questionNumber, questionClosed) => {
+  const playerAnswers = room.gameState.playerAnswers || {};
+  const memberAnswers = team.members
+    .map(userId => playerAnswers[`${userId}-q${questionNumber}`])
+    .filter(Boolean)
+    .sort((a, b) => new Date(a.submittedAt) - new Date(b.submittedAt));
+
+  let countingAnswer = null;
+
+  if (team.answerMode === 'majority') {
+    const stillAnswering = team.members.some(userId =>
+      room.players.some(p => p.userId === userId) && !playerAnswers[`${userId}-q${questionNumber}`]
+    );
+    if (stillAnswering && !questionClosed) {
+      return null;
+    }
+
+    // Timed-out teammates (no selected answer) don't get a vote
+    const votes = {};
+    const castVotes = memberAnswers.filter(answer => answer.selectedAnswer !== null);
+    castVotes.forEach(answer => {
+      const vote = getVoteKey(answer.selectedAnswer);
+      votes[vote] = (votes[vote] || 0) + 1;
+    });
+    const topVoteCount = Math.max(0, ...Object.values(votes));
+    countingAnswer = castVotes.find(answer =>
+      votes[getVoteKey(answer.selectedAnswer)] === topVoteCount
+    ) || null;
+  } else {
+    if (memberAnswers.length === 0 && !questionClosed) {
+      return null;
+    }
+    countingAnswer = memberAnswers[0] || null;
+  }
+
+  return {
+    teamId: team.id,
+    questionNumber,
+    selectedAnswer: countingAnswer ? countingAnswer.selectedAnswer : null,
+    isCorrect: countingAnswer ? countingAnswer.isCorrect : false,
+    pointsEarned: countingAnswer ? countingAnswer.pointsEarned : 0,
+    decidedBy: countingAnswer ? countingAnswer.userId : null,
+    answerMode: team.answerMode
+  };
+};
+
+class GameEngine {
+  /**
+   * @param {Object} options - Engine dependencies
+   * @param {Object} options.transport - { emitToRoom(familyId, event, payload, exceptSocketId), emitToPlayer(socketId, event, payload) }
+   * @param {Object} options.gameService - Room state store (defaults to the shared GameService)
+   * @param {Object} options.leaderboardService - Session finalizer (defaults to the shared LeaderboardService)
+   * @param {Object} options.questionSource - Provides loadQuestions(options) (defaults to QuestionSourceService)
+   * @param {Object} options.sessionService - Picks questions and scores answers (defaults to the shared TriviaSessionService)
+   * @param {Object} options.delays - Overrides for the pauses between game phases, in milliseconds
+   */
+  constructor({
+    transport,
+    gameService = defaultGameService,
+    leaderboardService = defaultLeaderboardService,
+    questionSource = defaultQuestionSource,
+    sessionService = defaultSessionService,
+    delays = {}
+  }) {
+    if (!transport) {
+      throw new Error('GameEngine requires a transport');
+    }
+
+    this.transport = transport;
+    this.gameService = gameService;
+    this.leaderboardService = leaderboardService;
+    this.questionSource = questionSource;
+    this.sessionService = sessionService;
+    this.delays = { ...DEFAULT_DELAYS, ...delays };
+  }
+
+  /**
+   * Add a player to their family's room, creating the room if needed
+   * @param {string} familyId - The family identifier
+   * @param {string} socketId - The player's socket ID
+   * @param {Object} playerInfo - { userId, playerName, handicap } (handicap from the family membership)
+   * @returns {Object} { success, room, isNewRoom } or { success: false, error }
+   */
+  joinRoom(familyId, socketId, { userId, playerName, handicap }) {
+    // Check if room exists, if not create it
+    let room = this.gameService.getRoom(familyId);
+    let isNewRoom = false;
+
+    // A player already seated in the room (e.g. after a dropped connection) is rejoining
+    const isReconnect = !!room && room.players.some(p => p.userId === userId);
+
+    if (!room) {
+      // Create new room with this player as host
+      room = this.gameService.createRoom(familyId, socketId, { userId, playerName, handicap });
+      isNewRoom = true;
+      console.log(`🏠 Created new room for family: ${familyId}`);
+    } else {
+      // Join existing room
+      room = this.gameService.joinRoom(familyId, socketId, { userId, playerName, handicap });
+      if (!room) {
+        return { success: false, error: 'Failed to join room' };
+      }
+      if (isReconnect) {
+        this.gameService.clearReconnectTimer(familyId, userId);
+      }
+    }
+
+    // Send success response to the joining player
+    const state = buildStateSnapshot(room, userId);
+    this.transport.emitToPlayer(socketId, 'room-joined', {
+      success: true,
+      room: {
+        familyId: room.familyId,
+        players: state.players,
+        isHost: room.host === socketId
+      },
+      state,
+      message: isNewRoom ? 'Room created and joined successfully' : 'Joined room successfully'
+    });
+
+    if (isReconnect) {
+      const player = room.players.find(p => p.userId === userId);
+      this.transport.emitToRoom(familyId, 'player-reconnected', {
+        room: serializeRoom(room),
+        player: formatPlayerForClient(player),
+        message: `${player.playerName} reconnected`
+      }, socketId);
+
+      // Put the returning player back on the question that's in play
+      this.resendCurrentQuestion(familyId, socketId, userId);
+    } else if (!isNewRoom) {
+      // Notify other players in the room about the new player
+      const newPlayer = room.players.find(p => p.socketId === socketId);
+      this.transport.emitToRoom(familyId, 'player-joined', {
+        room: serializeRoom(room),
+        newPlayer: formatPlayerForClient(newPlayer),
+        message: `${playerName} joined the game`
+      }, socketId);
+    }
+
+    console.log(`✅ ${playerName} successfully joined room for family: ${familyId} (${room.players.length} players total)`);
+    return { success: true, room, isNewRoom };
+  }
+
+  /**
+   * Let a family member watch the room without playing
+   * @param {string} familyId - The family identifier
+   * @param {string} socketId - The spectator's socket ID
+   * @param {Object} spectatorInfo - { userId, playerName }
+   * @returns {Object} { success, room } or { success: false, error }
+   */
+  joinAsSpectator(familyId, socketId, { userId, playerName }) {
+    const room = this.gameService.getRoom(familyId);
+    if (!room) {
+      return { success: false, error: 'There is no game room to watch for this family yet' };
+    }
+
+    if (room.players.some(p => p.userId === userId)) {
+      return { success: false, error: 'You are already playing in this room' };
+    }
+
+    this.gameService.joinAsSpectator(familyId, socketId, { userId, playerName });
+
+    const state = buildStateSnapshot(room, userId);
+    this.transport.emitToPlayer(socketId, 'room-joined', {
+      success: true,
+      room: {
+        familyId: room.familyId,
+        players: state.players,
+        isHost: false
+      },
+      state,
+      spectator: true,
+      message: 'Watching the game as a spectator'
+    });
+
+    const spectator = room.spectators.find(s => s.socketId === socketId);
+    this.transport.emitToRoom(familyId, 'spectator-joined', {
+      room: serializeRoom(room),
+      spectator: formatSpectatorForClient(spectator),
+      message: `${playerName} is watching the game`
+    }, socketId);
+
+    console.log(`✅ ${playerName} is spectating family: ${familyId} (${room.spectators.length} spectators total)`);
+    return { success: true, room };
+  }
+
+  /**
+   * Handle a dropped connection: hold the player's seat for the reconnect grace
+   * period, or remove them straight away when the grace period is disabled
+   * @param {string} socketId - The socket ID that disconnected
+   * @returns {Object|null} Updated room or null if the player wasn't in a room
+   */
+  handleDisconnect(socketId) {
+    // Spectators have no seat to hold
+    const playerInfo = this.gameService.getPlayerInfo(socketId);
+    if (!(this.delays.reconnectGrace > 0) || playerInfo?.role === 'spectator') {
+      return this.leaveRoom(socketId);
+    }
+
+    const disconnected = this.gameService.markDisconnected(socketId);
+    if (!disconnected) {
+      return null;
+    }
+
+    const { room, player } = disconnected;
+    this.holdSeat(room.familyId, player.userId);
+
+    this.transport.emitToRoom(room.familyId, 'player-disconnected', {
+      room: serializeRoom(room),
+      player: formatPlayerForClient(player),
+      reconnectGraceMs: this.delays.reconnectGrace,
+      message: `${player.playerName} lost connection`
+    });
+
+    return room;
+  }
+
+  /**
+   * Start the reconnect grace period for a disconnected player; when it runs
+   * out they are removed from the room as if they had left
+   * @param {string} familyId - The family identifier
+   * @param {string} userId - The disconnected user
+   */
+  holdSeat(familyId, userId) {
+    this.gameService.startReconnectTimer(familyId, userId, this.delays.reconnectGrace, () => {
+      const updatedRoom = this.gameService.removePlayer(familyId, userId);
+      console.log(`⌛ Reconnect grace period expired for user ${userId} in family ${familyId}`);
+      if (updatedRoom) {
+        this.transport.emitToRoom(familyId, 'player-left', {
+          room: serializeRoom(updatedRoom),
+          message: 'A player has left the game'
+        });
+      }
+    });
+  }
+
+  /**
+   * Remove a player and notify the rest of the room
+   * @param {string} socketId - The socket ID that left
+   * @returns {Object|null} Updated room or null if the room is gone
+   */
+  leaveRoom(socketId) {
+    const playerInfo = this.gameService.getPlayerInfo(socketId);
+    const updatedRoom = this.gameService.leaveRoom(socketId);
+
+    if (updatedRoom && playerInfo.role === 'spectator') {
+      this.transport.emitToRoom(updatedRoom.familyId, 'spectator-left', {
+        room: serializeRoom(updatedRoom),
+        message: `${playerInfo.playerName} stopped watching`
+      });
+    } else if (updatedRoom) {
+      // Notify remaining players in the room
+      this.transport.emitToRoom(updatedRoom.familyId, 'player-left', {
+        room: serializeRoom(updatedRoom),
+        message: 'A player has left the game'
+      });
+    }
+    return updatedRoom;
+  }
+
+  /**
+   * Start a game in the family's room (host only)
+   * @param {string} familyId - The family identifier
+   * @param {string} socketId - Socket ID of the requester
+   * @param {Object} options - { topics, difficulty, ageGroup, rules, teams } (see validateGameRules and validateTeams)
+   * @returns {Promise<Object>} { success } or { success: false, error }
+   */
+  async startGame(familyId, socketId, { topics = [], difficulty = 'mixed', ageGroup = 'mixed', rules, teams } = {}) {
+    // Get room information
+    const room = this.gameService.getRoom(familyId);
+    if (!room) {
+      return { success: false, error: 'Game room not found' };
+    }
+
+    // Verify that the requester is the host
+    if (room.host !== socketId) {
+      return { success: false, error: 'Only the host can start the game' };
+    }
+
+    // Check if game is already in progress
+    if (room.gameState.status === 'playing') {
+      return { success: false, error: 'Game is already in progress' };
+    }
+
+    // Ensure we have at least 1 player (the host)
+    if (room.players.length < 1) {
+      return { success: false, error: 'Need at least 1 player to start the game' };
+    }
+
+    const rulesValidation = validateGameRules(rules);
+    if (!rulesValidation.valid) {
+      return { success: false, error: rulesValidation.error };
+    }
+    const gameRules = rulesValidation.rules;
+
+    const teamsValidation = validateTeams(teams, room.players.map(p => p.userId));
+    if (!teamsValidation.valid) {
+      return { success: false, error: teamsValidation.error };
+    }
+    const gameTeams = teamsValidation.teams;
+
+    const { questions, generationSource } = await this.questionSource.loadQuestions({
+      familyId,
+      topics,
+      difficulty,
+      ageGroup,
+      createdBy: room.players.find(p => p.socketId === socketId)?.userId
+    });
+
+    if (!questions || questions.length === 0) {
+      return { success: false, error: 'No trivia questions available. Please add questions to the database.' };
+    }
+
+    // Shuffle questions, take only the game's worth and apply the room's time and hint rules
+    const shuffledQuestions = this.sessionService.selectQuestions(questions, gameRules);
+
+    // Prepare questions for clients (without correct answers)
+    const questionsForClient = shuffledQuestions.map((q, index) => formatQuestionForClient(q, index + 1));
+
+    // Initialize scores for all players (and teams, in a team game)
+    const initialScores = {};
+    room.players.forEach(player => {
+      initialScores[player.userId] = 0;
+    });
+
+    // Every player starts with the lifeline allowances from the rules
+    const initialLifelines = {};
+    room.players.forEach(player => {
+      initialLifelines[player.userId] = { ...gameRules.lifelines };
+    });
+
+    const initialTeamScores = {};
+    (gameTeams || []).forEach(team => {
+      initialTeamScores[team.id] = 0;
+    });
+
+    // Nothing scheduled for a previous game in this room may fire into the new one
+    this.gameService.clearQuestionTimer(familyId);
+
+    // Update game state to playing
+    const updatedRoom = this.gameService.updateGameState(familyId, {
+      status: 'playing',
+      gameId: crypto.randomUUID(), // Tells this game's scheduled steps apart from a previous game's
+      questions: shuffledQuestions, // Store full questions with answers on server
+      currentQuestion: 0,
+      scores: initialScores,
+      rawScores: { ...initialScores }, // Scores before handicaps
+      playerAnswers: {},
+      teams: gameTeams,
+      teamScores: initialTeamScores,
+      teamAnswers: {},
+      wagerPhase: null,
+      mediaPreload: null, // { questionNumber, readyPlayers, deadline } while players load a question's media
+      finalWagers: null, // { userId: wager } once the final round's wagers are locked
+      lifelinesLeft: initialLifelines,
+      lifelineUses: {}, // { 'userId-qN': { fiftyFifty, extraTime, hint, askFamily } } for lifelines used on a question
+      startedAt: new Date(),
+      metadata: {
+        generationSource,
+        topics: topics || [],
+        difficulty,
+        ageGroup,
+        rules: gameRules
+      }
+    });
+
+    if (!updatedRoom) {
+      return { success: false, error: 'Failed to update game state' };
+    }
+
+    console.log(`🚀 Game started for family: ${familyId} with ${room.players.length} players (source: ${generationSource})`);
+
+    // Send game started event to all players in the room
+    this.transport.emitToRoom(familyId, 'game-started', {
+      success: true,
+      gameState: {
+        status: 'playing',
+        totalQuestions: questionsForClient.length,
+        currentQuestion: 0,
+        scores: initialScores,
+        teams: getTeamStandings(updatedRoom),
+        players: room.players.map(formatPlayerForClient)
+      },
+      questions: questionsForClient,
+      metadata: {
+        generationSource,
+        topics: topics || [],
+        difficulty,
+        ageGroup,
+        rules: gameRules,
+        aiGenerated: generationSource.includes('ai')
+      },
+      message: `Game started! Get ready for ${questionsForClient.length} trivia questions.`
+    });
+
+    // Send the first question to all players and start its countdown
+    this.beginQuestion(familyId, 1);
+
+    return { success: true };
+  }
+
+  /**
+   * Start the next question: the final question of a finalWager game first
+   * takes everyone's wager, any other question is delivered straight away
+   * @param {string} familyId - The family identifier
+   * @param {number} questionNumber - 1-based question number to start
+   */
+  beginQuestion(familyId, questionNumber) {
+    const room = this.gameService.getRoom(familyId);
+    if (!room || room.gameState.status !== 'playing') {
+      return;
+    }
+
+    if (this.sessionService.isFinalWagerQuestion(room.gameState, questionNumber)) {
+      this.requestWagers(familyId, questionNumber);
+      return;
+    }
+
+    this.deliverQuestion(familyId, questionNumber);
+  }
+
+  /**
+   * Open the wager phase for the final question: tell players its category and
+   * how much each of them may stake, and lock the wagers when the countdown ends
+   * @param {string} familyId - The family identifier
+   * @param {number} questionNumber - 1-based number of the final question
+   */
+  requestWagers(familyId, questionNumber) {
+    const updatedRoom = this.gameService.updateGameState(familyId, {
+      wagerPhase: {
+        questionNumber,
+        wagers: {},
+        timeLimit: WAGER_TIME_LIMIT_SECONDS,
+        deadline: new Date(Date.now() + WAGER_TIME_LIMIT_SECONDS * 1000)
+      }
+    });
+
+    const wagerPhase = getWagerPhaseState(updatedRoom);
+    this.transport.emitToRoom(familyId, 'wager-requested', {
+      ...wagerPhase,
+      message: `Final question! The category is ${wagerPhase.category}. Place your wager within ${WAGER_TIME_LIMIT_SECONDS} seconds.`
+    });
+
+    this.gameService.startQuestionTimer(
+      familyId,
+      WAGER_TIME_LIMIT_SECONDS * 1000 + QUESTION_TIMEOUT_GRACE_MS,
+      () => this.lockWagers(familyId)
+    );
+  }
+
+  /**
+   * Record a player's wager for the final question, locking the wagers once everyone has placed one
+   * @param {string} socketId - Socket ID of the wagering player
+   * @param {Object} wagerInfo - { familyId, wager }
+   * @returns {Object} { success, wager } or { success: false, error }
+   */
+  submitWager(socketId, { familyId, wager }) {
+    const playerInfo = this.gameService.getPlayerInfo(socketId);
+    if (!playerInfo) {
+      return { success: false, error: 'Player not found in any room' };
+    }
+
+    // A player can only act in their own family's room
+    if (playerInfo.familyId !== familyId) {
+      return { success: false, error: 'You are not in this game room' };
+    }
+
+    if (playerInfo.role === 'spectator') {
+      return { success: false, error: 'Spectators cannot place wagers' };
+    }
+
+    const room = this.gameService.getRoom(familyId);
+    if (!room) {
+      return { success: false, error: 'Game room not found' };
+    }
+
+    const { wagerPhase } = room.gameState;
+    if (room.gameState.status !== 'playing' || !wagerPhase) {
+      return { success: false, error: 'Wagers are not being taken right now' };
+    }
+
+    if (wagerPhase.wagers[playerInfo.userId] !== undefined) {
+      return { success: false, error: 'You have already placed your wager' };
+    }
+
+    // A player can stake anything up to their current score (nothing when they have no points)
+    const currentScore = room.gameState.scores[playerInfo.userId];
+    if (!isValidWager(wager, currentScore)) {
+      const maxWager = getMaxWager(currentScore);
+      return { success: false, error: `Wager must be a whole number between 0 and ${maxWager}` };
+    }
+
+    wagerPhase.wagers[playerInfo.userId] = wager;
+    this.gameService.updateGameState(familyId, { wagerPhase });
+
+    console.log(`🎲 ${playerInfo.playerName} wagered ${wager} points on the final question`);
+
+    this.transport.emitToPlayer(socketId, 'wager-submitted', {
+      success: true,
+      questionNumber: wagerPhase.questionNumber,
+      wager,
+      message: `Wager locked in: ${wager} points`
+    });
+
+    // Everyone sees who has wagered, but not how much
+    const totalWagersReceived = room.players.filter(p => wagerPhase.wagers[p.userId] !== undefined).length;
+    this.transport.emitToRoom(familyId, 'wager-received', {
+      questionNumber: wagerPhase.questionNumber,
+      userId: playerInfo.userId,
+      playerName: playerInfo.playerName,
+      totalWagersReceived,
+      totalPlayersInRoom: room.players.length,
+      message: `${playerInfo.playerName} placed their wager`
+    });
+
+    if (totalWagersReceived === room.players.length) {
+      this.lockWagers(familyId);
+    }
+
+    return { success: true, wager };
+  }
+
+  /**
+   * Close the wager phase and reveal the final question
+   * Players who didn't place a wager stake nothing
+   * @param {string} familyId - The family identifier
+   */
+  lockWagers(familyId) {
+    try {
+      const room = this.gameService.getRoom(familyId);
+      if (!room || room.gameState.status !== 'playing' || !room.gameState.wagerPhase) {
+        return;
+      }
+
+      this.gameService.clearQuestionTimer(familyId);
+
+      const { questionNumber, wagers } = room.gameState.wagerPhase;
+      const finalWagers = {};
+      const defaultedPlayers = [];
+      room.players.forEach(player => {
+        if (wagers[player.userId] === undefined) {
+          defaultedPlayers.push({ userId: player.userId, playerName: player.playerName });
+        }
+        finalWagers[player.userId] = wagers[player.userId] ?? 0;
+      });
+
+      this.gameService.updateGameState(familyId, { wagerPhase: null, finalWagers });
+
+      console.log(`🔒 Wagers locked for family ${familyId} (${defaultedPlayers.length} players wagered nothing)`);
+
+      this.transport.emitToRoom(familyId, 'wagers-locked', {
+        questionNumber,
+        defaultedPlayers,
+        message: 'Wagers are locked. Here comes the final question!'
+      });
+
+      this.deliverQuestion(familyId, questionNumber);
+    } catch (error) {
+      console.error('❌ Error locking wagers:', error);
+    }
+  }
+
+  /**
+   * Send a question to every player in the room and start its server-side countdown
+   * A question with a picture or sound clip gives players up to MEDIA_PRELOAD_TIMEOUT_SECONDS
+   * to load it first; its countdown starts once they all have (see markMediaReady)
+   * @param {string} familyId - The family identifier
+   * @param {number} questionNumber - 1-based question number to deliver
+   */
+  deliverQuestion(familyId, questionNumber) {
+    const room = this.gameService.getRoom(familyId);
+    if (!room || room.gameState.status !== 'playing') {
+      return;
+    }
+
+    const question = room.gameState.questions[questionNumber - 1];
+    const questionForClient = formatQuestionForClient(question, questionNumber);
+    const deliveredAt = new Date();
+    const mediaPreload = questionForClient.media
+      ? {
+        questionNumber,
+        readyPlayers: [],
+        deadline: new Date(deliveredAt.getTime() + MEDIA_PRELOAD_TIMEOUT_SECONDS * 1000)
+      }
+      : null;
+
+    // Stamp the delivery time so answer times are measured by the server, not the client
+    // (questions with media are stamped when their countdown starts)
+    this.gameService.updateGameState(familyId, {
+      currentQuestion: questionNumber - 1,
+      questionStartTime: mediaPreload ? null : deliveredAt,
+      timeLimit: questionForClient.timeLimit,
+      mediaPreload
+    });
+
+    this.transport.emitToRoom(familyId, 'question-delivered', {
+      questionNumber,
+      question: questionForClient,
+      timeLimit: questionForClient.timeLimit,
+      deliveredAt: deliveredAt.toISOString(),
+      mode: getGameMode(room),
+      buzzer: getBuzzerState(room, questionNumber),
+      finalRound: this.sessionService.isFinalWagerQuestion(room.gameState, questionNumber),
+      ...(mediaPreload && {
+        mediaPreload: { timeLimit: MEDIA_PRELOAD_TIMEOUT_SECONDS, deadline: mediaPreload.deadline.toISOString() }
+      }),
+      message: mediaPreload
+        ? `Question ${questionNumber} is loading...`
+        : `Question ${questionNumber} is ready! You have ${questionForClient.timeLimit} seconds to answer.`
+    });
+
+    if (mediaPreload) {
+      this.gameService.startQuestionTimer(
+        familyId,
+        MEDIA_PRELOAD_TIMEOUT_SECONDS * 1000,
+        () => this.startQuestionCountdown(familyId, questionNumber)
+      );
+      return;
+    }
+
+    this.gameService.startQuestionTimer(
+      familyId,
+      questionForClient.timeLimit * 1000 + QUESTION_TIMEOUT_GRACE_MS,
+      () => this.handleQuestionTimeout(familyId, questionNumber)
+    );
+  }
+
+  /**
+   * Record that a player has loaded the current question's media, starting the
+   * question's countdown once every connected player has
+   * @param {string} socketId - Socket ID of the player
+   * @param {Object} readyInfo - { familyId, questionNumber }
+   * @returns {Object} { success } or { success: false, error }
+   */
+  markMediaReady(socketId, { familyId, questionNumber }) {
+    const playerInfo = this.gameService.getPlayerInfo(socketId);
+    if (!playerInfo) {
+      return { success: false, error: 'Player not found in any room' };
+    }
+
+    // A player can only act in their own family's room
+    if (playerInfo.familyId !== familyId) {
+      return { success: false, error: 'You are not in this game room' };
+    }
+
+    // Spectators load the media too, but the game doesn't wait for them
+    if (playerInfo.role === 'spectator') {
+      return { success: true };
+    }
+
+    const room = this.gameService.getRoom(familyId);
+    if (!room) {
+      return { success: false, error: 'Game room not found' };
+    }
+
+    // Clients may send the question number as a string
+    const { mediaPreload } = room.gameState;
+    if (room.gameState.status !== 'playing' || mediaPreload?.questionNumber !== Number(questionNumber)) {
+      return { success: false, error: 'This question is not waiting for media to load' };
+    }
+
+    if (!mediaPreload.readyPlayers.includes(playerInfo.userId)) {
+      mediaPreload.readyPlayers.push(playerInfo.userId);
+      this.gameService.updateGameState(familyId, { mediaPreload });
+    }
+
+    if (isEveryoneMediaReady(room)) {
+      this.startQuestionCountdown(familyId, mediaPreload.questionNumber);
+    }
+
+    return { success: true };
+  }
+
+  /**
+   * Start the countdown of a question whose media players were loading
+   * Players who hadn't finished loading it by now start without it
+   * @param {string} familyId - The family identifier
+   * @param {number} questionNumber - 1-based question number
+   */
+  startQuestionCountdown(familyId, questionNumber) {
+    try {
+      const room = this.gameService.getRoom(familyId);
+      const { mediaPreload } = room?.gameState || {};
+      if (!room || room.gameState.status !== 'playing' || mediaPreload?.questionNumber !== questionNumber) {
+        return;
+      }
+
+      this.gameService.clearQuestionTimer(familyId);
+
+      const notReadyPlayers = room.players
+        .filter(player => !mediaPreload.readyPlayers.includes(player.userId))
+        .map(player => ({ userId: player.userId, playerName: player.playerName }));
+      const startedAt = new Date();
+      const { timeLimit } = room.gameState;
+
+      this.gameService.updateGameState(familyId, { questionStartTime: startedAt, mediaPreload: null });
+
+      this.transport.emitToRoom(familyId, 'question-started', {
+        questionNumber,
+        timeLimit,
+        startedAt: startedAt.toISOString(),
+        notReadyPlayers,
+        message: `Question ${questionNumber} is ready! You have ${timeLimit} seconds to answer.`
+      });
+
+      this.gameService.startQuestionTimer(
+        familyId,
+        timeLimit * 1000 + QUESTION_TIMEOUT_GRACE_MS,
+        () => this.handleQuestionTimeout(familyId, questionNumber)
+      );
+    } catch (error) {
+      console.error('❌ Error starting question countdown:', error);
+    }
+  }
+
+  /**
+   * Pick up games restored from the room store after a restart, rescheduling
+   * whatever was pending when the previous process stopped
+   * @param {Array} rooms - Rooms returned by GameService.restoreRooms()
+   */
+  resumeRooms(rooms) {
+    rooms.forEach(room => {
+      const { familyId, gameState } = room;
+
+      if (gameState.status === 'finished') {
+        // Results were already broadcast, the room was only waiting for cleanup
+        this.gameService.cleanupRoom(familyId);
+        return;
+      }
+
+      // Nobody is connected after a restart, so hold every seat just like a dropped connection
+      if (this.delays.reconnectGrace > 0) {
+        room.players.forEach(player => this.holdSeat(familyId, player.userId));
+      }
+
+      if (gameState.status !== 'playing') {
+        return;
+      }
+
+      // Wagers for the final question were being taken: keep their original deadline
+      if (gameState.wagerPhase) {
+        this.gameService.startQuestionTimer(
+          familyId,
+          Math.max(new Date(gameState.wagerPhase.deadline).getTime() + QUESTION_TIMEOUT_GRACE_MS - Date.now(), 0),
+          () => this.lockWagers(familyId)
+        );
+        console.log(`♻️ Resumed wagers for family ${familyId}`);
+        return;
+      }
+
+      const questionNumber = gameState.currentQuestion + 1;
+
+      // Players were loading the question's media: its countdown starts at the original preload deadline
+      if (gameState.mediaPreload) {
+        this.gameService.startQuestionTimer(
+          familyId,
+          Math.max(new Date(gameState.mediaPreload.deadline).getTime() - Date.now(), 0),
+          () => this.startQuestionCountdown(familyId, questionNumber)
+        );
+        console.log(`♻️ Resumed media preload for family ${familyId} at question ${questionNumber}`);
+        return;
+      }
+
+      if (!gameState.questionStartTime) {
+        this.beginQuestion(familyId, questionNumber);
+        return;
+      }
+
+      if (hasEveryoneAnswered(room, questionNumber) || getBuzzerState(room, questionNumber)?.winner) {
+        this.advance(familyId, questionNumber);
+        return;
+      }
+
+      // Keep the original deadline so the restart doesn't hand players extra time
+      const deadline = getQuestionDeadline(room, questionNumber);
+
+      this.gameService.startQuestionTimer(
+        familyId,
+        Math.max(deadline - Date.now(), 0),
+        () => this.handleQuestionTimeout(familyId, questionNumber)
+      );
+
+      console.log(`♻️ Resumed game for family ${familyId} at question ${questionNumber}`);
+    });
+  }
+
+  /**
+   * Re-send the question currently in play to a single player (e.g. after a reconnect),
+   * with the time actually left on the server's countdown (or the wager request, while wagers are taken)
+   * @param {string} familyId - The family identifier
+   * @param {string} socketId - The player's socket ID
+   * @param {string} userId - The player's user ID
+   */
+  resendCurrentQuestion(familyId, socketId, userId) {
+    const room = this.gameService.getRoom(familyId);
+    if (!room) {
+      return;
+    }
+
+    // Between the last regular question and the final one, the player is asked for their wager instead
+    const wagerPhase = getWagerPhaseState(room);
+    if (wagerPhase) {
+      this.transport.emitToPlayer(socketId, 'wager-requested', {
+        ...wagerPhase,
+        hasWagered: wagerPhase.wageredPlayers.includes(userId),
+        resumed: true,
+        message: `Welcome back! ${wagerPhase.timeRemaining} seconds left to place your wager.`
+      });
+      return;
+    }
+
+    // The question's media is still loading: send it so the player can load it too
+    const { mediaPreload } = room.gameState;
+    if (room.gameState.status === 'playing' && mediaPreload) {
+      const { questionNumber, deadline } = mediaPreload;
+      const question = formatQuestionForClient(room.gameState.questions[questionNumber - 1], questionNumber);
+      this.transport.emitToPlayer(socketId, 'question-delivered', {
+        questionNumber,
+        question,
+        timeLimit: question.timeLimit,
+        mode: getGameMode(room),
+        buzzer: getBuzzerState(room, questionNumber),
+        totalQuestions: room.gameState.questions.length,
+        finalRound: this.sessionService.isFinalWagerQuestion(room.gameState, questionNumber),
+        mediaPreload: {
+          timeLimit: MEDIA_PRELOAD_TIMEOUT_SECONDS,
+          deadline: new Date(deadline).toISOString(),
+          timeRemaining: Math.max(Math.ceil((new Date(deadline).getTime() - Date.now()) / 1000), 0)
+        },
+        resumed: true,
+        message: `Welcome back! Question ${questionNumber} is loading...`
+      });
+      return;
+    }
+
+    const currentQuestion = getCurrentQuestionState(room);
+    if (!currentQuestion) {
+      return;
+    }
+
+    const { questionNumber } = currentQuestion;
+    const playerAnswers = room.gameState.playerAnswers || {};
+
+    // Bring back the effect of any lifelines the player already used on this question
+    const lifelinesUsed = (room.gameState.lifelineUses || {})[`${userId}-q${questionNumber}`] || null;
+    const removedChoices = lifelinesUsed?.fiftyFifty?.removedChoices || [];
+    const timeRemaining = Math.max(Math.ceil((getPlayerDeadline(room, userId, questionNumber) - QUESTION_TIMEOUT_GRACE_MS - Date.now()) / 1000), 0);
+
+    this.transport.emitToPlayer(socketId, 'question-delivered', {
+      ...currentQuestion,
+      question: {
+        ...currentQuestion.question,
+        choices: currentQuestion.question.choices.filter(choice => !removedChoices.includes(choice))
+      },
+      timeRemaining,
+      hasAnswered: !!playerAnswers[`${userId}-q${questionNumber}`],
+      totalQuestions: room.gameState.questions.length,
+      finalRound: this.sessionService.isFinalWagerQuestion(room.gameState, questionNumber),
+      lifelinesUsed,
+      lifelinesLeft: (room.gameState.lifelinesLeft || {})[userId] || room.gameState.metadata.rules.lifelines,
+      resumed: true,
+      message: `Welcome back! ${timeRemaining} seconds left on question ${questionNumber}.`
+    });
+  }
+
+  /**
+   * Send the requesting player a sanitized snapshot of their room
+   * @param {string} socketId - Socket ID of the requester
+   * @param {string} familyId - The family identifier
+   * @returns {Object} { success } or { success: false, error }
+   */
+  syncState(socketId, familyId) {
+    const playerInfo = this.gameService.getPlayerInfo(socketId);
+    if (!playerInfo || playerInfo.familyId !== familyId) {
+      return { success: false, error: 'You are not in this game room' };
+    }
+
+    const room = this.gameService.getRoom(familyId);
+    if (!room) {
+      return { success: false, error: 'Game room not found' };
+    }
+
+    this.transport.emitToPlayer(socketId, 'state-sync', buildStateSnapshot(room, playerInfo.userId));
+    return { success: true };
+  }
+
+  /**
+   * Score and record a player's answer, then advance once everyone has answered
+   * In a buzzer game the first correct answer (in the order the server received them)
+   * wins the question and closes it; a wrong answer locks that player out of the question
+   * @param {string} socketId - Socket ID of the answering player
+   * @param {Object} answer - { familyId, questionNumber, selectedAnswer, timeTaken }
+   * @returns {Object} { success, isCorrect, pointsEarned } or { success: false, error }
+   */
+  submitAnswer(socketId, { familyId, questionNumber, selectedAnswer: answer, timeTaken }) {
+    // Stamp the receive time first: it decides who buzzed in first
+    const receivedAt = new Date();
+
+    // Numeric guesses may arrive as numbers; answers are recorded as text,
+    // except ordering (an array) and matching (a { prompt: choice } object) answers
+    const selectedAnswer = typeof answer === 'object' ? answer : String(answer);
+
+    // Get player info
+    const playerInfo = this.gameService.getPlayerInfo(socketId);
+    if (!playerInfo) {
+      return { success: false, error: 'Player not found in any room' };
+    }
+
+    // A player can only act in their own family's room
+    if (playerInfo.familyId !== familyId) {
+      return { success: false, error: 'You are not in this game room' };
+    }
+
+    if (playerInfo.role === 'spectator') {
+      return { success: false, error: 'Spectators cannot answer questions' };
+    }
+
+    // Get room information
+    const room = this.gameService.getRoom(familyId);
+    if (!room) {
+      return { success: false, error: 'Game room not found' };
+    }
+
+    // Check if game is in progress
+    if (room.gameState.status !== 'playing') {
+      return { success: false, error: 'Game is not currently in progress' };
+    }
+
+    if (room.gameState.wagerPhase) {
+      return { success: false, error: 'Wagers for the final question are still being taken' };
+    }
+
+    if (room.gameState.mediaPreload) {
+      return { success: false, error: 'The question has not started yet' };
+    }
+
+    // Validate question number
+    if (questionNumber < 1 || questionNumber > room.gameState.questions.length) {
+      return { success: false, error: 'Invalid question number' };
+    }
+
+    // Only the question currently on screen accepts answers
+    if (questionNumber - 1 !== room.gameState.currentQuestion) {
+      return { success: false, error: 'This question is no longer accepting answers' };
+    }
+
+    // Get the current question with correct answer
+    const currentQuestion = room.gameState.questions[questionNumber - 1];
+    if (!currentQuestion) {
+      return { success: false, error: 'Question not found' };
+    }
+
+    // Check if player has already answered this question
+    if (!room.gameState.playerAnswers) {
+      room.gameState.playerAnswers = {};
+    }
+
+    const isBuzzerGame = getGameMode(room) === 'buzzer';
+    if (isBuzzerGame && getBuzzerState(room, questionNumber).winner) {
+      return { success: false, error: 'Someone has already buzzed in with the right answer' };
+    }
+
+    const answerKey = `${playerInfo.userId}-q${questionNumber}`;
+    if (room.gameState.playerAnswers[answerKey]) {
+      return {
+        success: false,
+        error: isBuzzerGame ? 'You are locked out of this question' : 'You have already answered this question'
+      };
+    }
+
+    // The question stays open for players who used extra time, but not for everyone else
+    if (receivedAt.getTime() > getPlayerDeadline(room, playerInfo.userId, questionNumber)) {
+      return { success: false, error: 'Time is up for this question' };
+    }
+
+    const lifelinesUsed = (room.gameState.lifelineUses || {})[answerKey] || null;
+
+    // Ordering answers are a list and matching answers a { prompt: choice } map
+    const questionType = getQuestionType(currentQuestion);
+    if (questionType === 'ordering' && !Array.isArray(selectedAnswer)) {
+      return { success: false, error: 'Ordering answers must be a list of the choices in order' };
+    }
+    if (questionType === 'matching' && (typeof selectedAnswer !== 'object' || Array.isArray(selectedAnswer))) {
+      return { success: false, error: 'Matching answers must map each prompt to a choice' };
+    }
+    if (!PARTIAL_CREDIT_TYPES.includes(questionType) && typeof selectedAnswer === 'object') {
+      return { success: false, error: 'This question takes a single answer' };
+    }
+
+    // Grade the answer with the question type's grader
+    const { isCorrect, distance, credit } = gradeAnswer(currentQuestion, selectedAnswer);
+    const closestWins = isClosestWinsQuestion(room, currentQuestion);
+    const partialCredit = PARTIAL_CREDIT_TYPES.includes(questionType);
+
+    // Measure answer time from the server-side delivery stamp; the client-reported value is only kept for auditing
+    const maxTimeForQuestion = currentQuestion.time_limit || 30;
+    const extraSeconds = lifelinesUsed?.extraTime?.seconds || 0;
+    const elapsedMs = receivedAt.getTime() - new Date(room.gameState.questionStartTime).getTime() - ANSWER_LATENCY_ALLOWANCE_MS;
+    const serverTimeTaken = Math.min(maxTimeForQuestion + extraSeconds, Math.max(0, Math.round(elapsedMs / 100) / 10));
+    const clientTimeTaken = typeof timeTaken === 'number' ? timeTaken : null;
+
+    // Score and record the answer, adding its points to the player's total score (handicapped and raw)
+    const player = room.players.find(p => p.userId === playerInfo.userId) || playerInfo;
+    const {
+      pointsEarned,
+      rawPoints,
+      combo,
+      comboMultiplier,
+      isFinalRound,
+      wager
+    } = this.sessionService.recordAnswer(room.gameState, player, questionNumber, {
+      selectedAnswer,
+      isCorrect,
+      credit,
+      distance,
+      timeTaken: serverTimeTaken,
+      submittedAt: receivedAt
+    }, { lifelinesUsed, clientTimeTaken });
+
+    // Update room state
+    this.gameService.updateGameState(familyId, {
+      playerAnswers: room.gameState.playerAnswers,
+      scores: room.gameState.scores,
+      rawScores: room.gameState.rawScores
+    });
+
+    // In a team game this answer may settle the player's team answer
+    // (a numeric guess isn't settled until the closest guesses are known)
+    if (!closestWins) {
+      this.settleTeamAnswers(familyId, questionNumber, false);
+    }
+
+    console.log(`✅ Answer processed for ${playerInfo.playerName}: ${isCorrect ? 'CORRECT' : 'INCORRECT'} (${pointsEarned >= 0 ? '+' : ''}${pointsEarned} points)`);
+
+    // A wrong buzz doesn't reveal the answer while the others can still buzz in,
+    // and a numeric guess might still turn out closest when the question closes
+    const revealAnswer = isCorrect || (!isBuzzerGame && !closestWins);
+
+    // Prepare response with fun fact if available
+    const responseData = {
+      success: true,
+      questionNumber,
+      isCorrect,
+      ...(partialCredit && { credit }),
+      pointsEarned,
+      rawPoints,
+      combo,
+      comboMultiplier,
+      ...(isFinalRound && { wager }),
+      yourAnswer: selectedAnswer,
+      newTotalScore: room.gameState.scores[playerInfo.userId],
+      message: isCorrect
+        ? `Correct! You earned ${pointsEarned} points.`
+        : closestWins
+          ? 'Not exact! If nobody gets closer, your guess still wins when the question closes.'
+          : credit > 0 && revealAnswer && !isFinalRound
+            ? `Partly right (${Math.round(credit * 100)}%)! You earned ${pointsEarned} points. The correct answer was: ${currentQuestion.answer}`
+            : isFinalRound && wager > 0
+              ? `Incorrect, you lost your ${wager} point wager. The correct answer was: ${currentQuestion.answer}`
+              : revealAnswer
+                ? `Incorrect. The correct answer was: ${currentQuestion.answer}`
+                : 'Wrong! You are locked out of this question.'
+    };
+
+    if (revealAnswer) {
+      responseData.correctAnswer = currentQuestion.answer;
+
+      // Include fun fact if available (for AI-generated questions)
+      if (currentQuestion.fun_fact) {
+        responseData.funFact = currentQuestion.fun_fact;
+      }
+    }
+
+    // Send confirmation to the submitting player
+    this.transport.emitToPlayer(socketId, 'answer-submitted', responseData);
+
+    // Broadcast updated scores to all players in the room
+    this.transport.emitToRoom(familyId, 'scores-updated', {
+      questionNumber,
+      mode: getGameMode(room),
+      buzzer: getBuzzerState(room, questionNumber),
+      // The winning buzz closes the question, so everyone gets the answer
+      ...(isBuzzerGame && isCorrect && { correctAnswer: currentQuestion.answer }),
+      submittedBy: {
+        userId: playerInfo.userId,
+        playerName: playerInfo.playerName,
+        isCorrect,
+        ...(partialCredit && { credit }),
+        pointsEarned,
+        combo,
+        comboMultiplier,
+        ...(isFinalRound && { wager })
+      },
+      currentScores: getScoresWithNames(room),
+      teamStandings: getTeamStandings(room),
+      totalAnswersReceived: Object.keys(room.gameState.playerAnswers).filter(key =>
+        key.endsWith(`-q${questionNumber}`)
+      ).length,
+      totalPlayersInRoom: room.players.length,
+      message: `${playerInfo.playerName} submitted their answer for question ${questionNumber}`
+    });
+
+    // Check if all players have answered this question (or someone won the buzzer)
+    if (hasEveryoneAnswered(room, questionNumber) || (isBuzzerGame && isCorrect)) {
+      // Question is closed, move to next question or end game
+      this.advance(familyId, questionNumber);
+    }
+
+    return { success: true, isCorrect, pointsEarned };
+  }
+
+  /**
+   * Spend one of a player's lifelines on the question in play
+   * Each lifeline works once per question and only until the player answers.
+   * Its effect is sent to that player alone; the room only hears which lifeline was used
+   * @param {string} socketId - Socket ID of the player
+   * @param {Object} request - { familyId, questionNumber, lifeline } (see utils/lifelines.js)
+   * @returns {Object} { success, lifeline, result } or { success: false, error }
+   */
+  useLifeline(socketId, { familyId, questionNumber, lifeline }) {
+    const playerInfo = this.gameService.getPlayerInfo(socketId);
+    if (!playerInfo) {
+      return { success: false, error: 'Player not found in any room' };
+    }
+
+    // A player can only act in their own family's room
+    if (playerInfo.familyId !== familyId) {
+      return { success: false, error: 'You are not in this game room' };
+    }
+
+    if (playerInfo.role === 'spectator') {
+      return { success: false, error: 'Spectators cannot use lifelines' };
+    }
+
+    if (!LIFELINE_NAMES.includes(lifeline)) {
+      return { success: false, error: `lifeline must be one of: ${LIFELINE_NAMES.join(', ')}` };
+    }
+
+    const room = this.gameService.getRoom(familyId);
+    if (!room) {
+      return { success: false, error: 'Game room not found' };
+    }
+
+    if (room.gameState.status !== 'playing' || room.gameState.wagerPhase) {
+      return { success: false, error: 'There is no question to use a lifeline on' };
+    }
+
+    if (room.gameState.mediaPreload) {
+      return { success: false, error: 'The question has not started yet' };
+    }
+
+    if (questionNumber - 1 !== room.gameState.currentQuestion) {
+      return { success: false, error: 'This question is no longer accepting answers' };
+    }
+
+    const { userId, playerName } = playerInfo;
+    const answerKey = `${userId}-q${questionNumber}`;
+    const playerAnswers = room.gameState.playerAnswers || {};
+    if (playerAnswers[answerKey]) {
+      return { success: false, error: 'You have already answered this question' };
+    }
+
+    if (Date.now() > getPlayerDeadline(room, userId, questionNumber)) {
+      return { success: false, error: 'Time is up for this question' };
+    }
+
+    // Players who joined after the start get the game's full allowance
+    const lifelinesLeft = room.gameState.lifelinesLeft || {};
+    const playerLifelines = lifelinesLeft[userId] || { ...room.gameState.metadata.rules.lifelines };
+    if (!(playerLifelines[lifeline] > 0)) {
+      return { success: false, error: `You have no ${lifeline} lifelines left` };
+    }
+
+    const lifelineUses = room.gameState.lifelineUses || {};
+    const usedOnQuestion = lifelineUses[answerKey] || {};
+    if (usedOnQuestion[lifeline]) {
+      return { success: false, error: 'You have already used this lifeline on this question' };
+    }
+
+    const question = room.gameState.questions[questionNumber - 1];
+    let result;
+    let message;
+
+    switch (lifeline) {
+      case 'fiftyFifty': {
+        if (getQuestionType(question) !== 'multiple_choice') {
+          return { success: false, error: '50/50 only works on multiple choice questions' };
+        }
+        const removedChoices = pickFiftyFiftyRemovals(question);
+        if (removedChoices.length === 0) {
+          return { success: false, error: 'This question has too few choices for 50/50' };
+        }
+        result = { removedChoices };
+        message = `50/50! ${removedChoices.length} wrong answers removed.`;
+        break;
+      }
+      case 'extraTime':
+        result = { seconds: EXTRA_TIME_SECONDS };
+        message = `You have ${EXTRA_TIME_SECONDS} extra seconds!`;
+        break;
+      case 'hint':
+        // Hints are removed from the questions when the rules turn them off; don't rely on that alone
+        if (!room.gameState.metadata.rules.hintsAllowed) {
+          return { success: false, error: 'Hints are turned off for this game' };
+        }
+        if (!question.hint) {
+          return { success: false, error: 'This question has no hint' };
+        }
+        result = { hint: question.hint, cost: HINT_COST_POINTS };
+        message = `Hint revealed for ${HINT_COST_POINTS} points.`;
+        break;
+      case 'askFamily': {
+        if (PARTIAL_CREDIT_TYPES.includes(getQuestionType(question))) {
+          return { success: false, error: 'Ask the family does not work on ordering or matching questions' };
+        }
+        const answersSoFar = Object.values(playerAnswers).filter(answer => answer.questionNumber === questionNumber);
+        result = { votes: countFamilyVotes(answersSoFar, userId) };
+        message = 'Here is how your family has answered so far.';
+        break;
+      }
+    }
+
+    usedOnQuestion[lifeline] = result;
+    lifelineUses[answerKey] = usedOnQuestion;
+    lifelinesLeft[userId] = { ...playerLifelines, [lifeline]: playerLifelines[lifeline] - 1 };
+    const update = { lifelineUses, lifelinesLeft };
+
+    // A hint is paid for straight away, whether or not the answer turns out right
+    if (lifeline === 'hint') {
+      const rawScores = room.gameState.rawScores || {};
+      room.gameState.scores[userId] = (room.gameState.scores[userId] || 0) - result.cost;
+      rawScores[userId] = (rawScores[userId] || 0) - result.cost;
+      update.scores = room.gameState.scores;
+      update.rawScores = rawScores;
+    }
+
+    this.gameService.updateGameState(familyId, update);
+
+    // Extra time keeps the question open until the player's new deadline
+    if (lifeline === 'extraTime') {
+      this.gameService.startQuestionTimer(
+        familyId,
+        Math.max(getQuestionDeadline(room, questionNumber) - Date.now(), 0),
+        () => this.handleQuestionTimeout(familyId, questionNumber)
+      );
+    }
+
+    console.log(`🛟 ${playerName} used the ${lifeline} lifeline on question ${questionNumber}`);
+
+    this.transport.emitToPlayer(socketId, 'lifeline-used', {
+      success: true,
+      questionNumber,
+      lifeline,
+      ...result,
+      lifelinesLeft: lifelinesLeft[userId],
+      newTotalScore: room.gameState.scores[userId],
+      message
+    });
+
+    this.transport.emitToRoom(familyId, 'player-used-lifeline', {
+      questionNumber,
+      userId,
+      playerName,
+      lifeline,
+      currentScores: getScoresWithNames(room),
+      message: `${playerName} used a lifeline`
+    }, socketId);
+
+    return { success: true, lifeline, result };
+  }
+
+  /**
+   * Decide and record the answer of every team whose answer to a question is now settled
+   * Does nothing in a solo game
+   * @param {string} familyId - The family identifier
+   * @param {number} questionNumber - 1-based question number
+   * @param {boolean} questionClosed - True once no more answers will be accepted
+   */
+  settleTeamAnswers(familyId, questionNumber, questionClosed) {
+    const room = this.gameService.getRoom(familyId);
+    if (!room || !room.gameState.teams) {
+      return;
+    }
+
+    const teamAnswers = room.gameState.teamAnswers || {};
+    room.gameState.teams.forEach(team => {
+      if (teamAnswers[`${team.id}-q${questionNumber}`]) {
+        return;
+      }
+
+      const teamAnswer = decideTeamAnswer(team, room, questionNumber, questionClosed);
+      if (teamAnswer) {
+        this.gameService.recordTeamAnswer(familyId, teamAnswer);
+      }
+    });
+  }
+
+  /**
+   * Award a closed numeric question to the closest guesses when nobody was within its tolerance
+   * The winners' answers are re-scored as correct and the room is told who won.
+   * Does nothing for other question types, in buzzer games, or once someone has been awarded the question
+   * @param {string} familyId - The family identifier
+   * @param {number} questionNumber - 1-based question number that just closed
+   */
+  awardClosestAnswers(familyId, questionNumber) {
+    const room = this.gameService.getRoom(familyId);
+    const question = room?.gameState.questions[questionNumber - 1];
+    if (!question || !isClosestWinsQuestion(room, question)) {
+      return;
+    }
+
+    const playerAnswers = room.gameState.playerAnswers || {};
+    const guesses = Object.values(playerAnswers).filter(answer => answer.questionNumber === questionNumber);
+    if (guesses.some(answer => answer.isCorrect)) {
+      return;
+    }
+
+    const distances = guesses.filter(answer => typeof answer.distance === 'number').map(answer => answer.distance);
+    if (distances.length === 0) {
+      return;
+    }
+
+    const closestDistance = Math.min(...distances);
+    const { scores } = room.gameState;
+    const rawScores = room.gameState.rawScores || {};
+    const winners = [];
+
+    guesses
+      .filter(answer => answer.distance === closestDistance)
+      .forEach(answer => {
+        const player = room.players.find(p => p.userId === answer.userId);
+        const { pointsEarned, rawPoints, combo, comboMultiplier } = this.sessionService.scoreAnswer(room.gameState, player, questionNumber, {
+          isCorrect: true,
+          timeTaken: answer.timeTaken
+        });
+        scores[answer.userId] = (scores[answer.userId] || 0) + pointsEarned - answer.pointsEarned;
+        rawScores[answer.userId] = (rawScores[answer.userId] || 0) + rawPoints - answer.rawPoints;
+
+        Object.assign(answer, { isCorrect: true, closest: true, pointsEarned, rawPoints, combo, comboMultiplier });
+        winners.push({
+          userId: answer.userId,
+          playerName: answer.playerName,
+          selectedAnswer: answer.selectedAnswer,
+          distance: answer.distance,
+          pointsEarned
+        });
+      });
+
+    this.gameService.updateGameState(familyId, { playerAnswers, scores, rawScores });
+
+    console.log(`🎯 Closest guess to question ${questionNumber} for family ${familyId}: ${winners.map(w => w.playerName).join(', ')} (off by ${closestDistance})`);
+
+    this.transport.emitToRoom(familyId, 'closest-answer', {
+      questionNumber,
+      correctAnswer: question.answer,
+      winners,
+      currentScores: getScoresWithNames(room),
+      teamStandings: getTeamStandings(room),
+      message: `Closest guess: ${winners.map(w => w.playerName).join(', ')} (the answer was ${question.answer})`
+    });
+  }
+
+  /**
+   * Close a question whose countdown elapsed: record a zero-point timeout (or a
+   * lost wager, on the final wager question) for every player who hasn't answered,
+   * reveal the answer and move the game on
+   * @param {string} familyId - The family identifier
+   * @param {number} questionNumber - 1-based question number that expired
+   */
+  handleQuestionTimeout(familyId, questionNumber) {
+    try {
+      const room = this.gameService.getRoom(familyId);
+      if (!room || room.gameState.status !== 'playing' || room.gameState.currentQuestion !== questionNumber - 1) {
+        return;
+      }
+
+      const question = room.gameState.questions[questionNumber - 1];
+      const playerAnswers = room.gameState.playerAnswers || {};
+      const timedOutPlayers = [];
+
+      // Not answering the final wager question loses the wager
+      const isFinalRound = this.sessionService.isFinalWagerQuestion(room.gameState, questionNumber);
+      const { scores } = room.gameState;
+      const rawScores = room.gameState.rawScores || {};
+
+      room.players.forEach(player => {
+        const answerKey = `${player.userId}-q${questionNumber}`;
+        if (playerAnswers[answerKey]) {
+          return;
+        }
+
+        const wager = isFinalRound ? (room.gameState.finalWagers?.[player.userId] ?? 0) : undefined;
+        const pointsEarned = isFinalRound ? -wager : 0;
+        const lifelinesUsed = (room.gameState.lifelineUses || {})[answerKey] || null;
+        scores[player.userId] = (scores[player.userId] || 0) + pointsEarned;
+        rawScores[player.userId] = (rawScores[player.userId] || 0) + pointsEarned;
+
+        playerAnswers[answerKey] = {
+          userId: player.userId,
+          playerName: player.playerName,
+          questionNumber,
+          selectedAnswer: null,
+          correctAnswer: question.answer,
+          isCorrect: false,
+          pointsEarned,
+          rawPoints: pointsEarned,
+          combo: 0,
+          comboMultiplier: 1,
+          ...(isFinalRound && { wager }),
+          lifelinesUsed,
+          timeTaken: room.gameState.timeLimit + (lifelinesUsed?.extraTime?.seconds || 0),
+          clientTimeTaken: null,
+          timedOut: true,
+          submittedAt: new Date()
+        };
+        timedOutPlayers.push({ userId: player.userId, playerName: player.playerName, ...(isFinalRound && { wager }) });
+      });
+
+      this.gameService.updateGameState(familyId, { playerAnswers, scores, rawScores });
+      this.awardClosestAnswers(familyId, questionNumber);
+      this.settleTeamAnswers(familyId, questionNumber, true);
+
+      console.log(`⏰ Question ${questionNumber} timed out for family ${familyId} (${timedOutPlayers.length} players did not answer)`);
+
+      this.transport.emitToRoom(familyId, 'question-timeout', {
+        questionNumber,
+        mode: getGameMode(room),
+        correctAnswer: question.answer,
+        ...(question.fun_fact && { funFact: question.fun_fact }),
+        timedOutPlayers,
+        currentScores: getScoresWithNames(room),
+        teamStandings: getTeamStandings(room),
+        message: `Time's up! The correct answer was: ${question.answer}`
+      });
+
+      this.advance(familyId, questionNumber);
+    } catch (error) {
+      console.error('❌ Error handling question timeout:', error);
+    }
+  }
+
+  /**
+   * Move past a closed question: start the next one after a short pause,
+   * or end the game once every question has been played
+   * @param {string} familyId - The family identifier
+   * @param {number} questionNumber - 1-based question number that just closed
+   */
+  advance(familyId, questionNumber) {
+    const room = this.gameService.getRoom(familyId);
+    if (!room) {
+      return;
+    }
+
+    this.gameService.clearQuestionTimer(familyId);
+
+    // The question is closed, so the closest numeric guesses can be found
+    // and any team still undecided (e.g. every member left) is settled now
+    this.awardClosestAnswers(familyId, questionNumber);
+    this.settleTeamAnswers(familyId, questionNumber, true);
+
+    const nextQuestionNumber = questionNumber + 1;
+
+    if (nextQuestionNumber <= room.gameState.questions.length) {
+      this.scheduleGameStep(familyId, room.gameState.metadata.rules.revealDelaySeconds * 1000, () => {
+        this.beginQuestion(familyId, nextQuestionNumber);
+      });
+      return;
+    }
+
+    // Game is complete, trigger end-game processing directly
+    this.scheduleGameStep(familyId, this.delays.endGame, async () => {
+      try {
+        console.log(`🏁 Auto-ending game for family ${familyId} - all questions completed`);
+
+        const result = await this.finish(familyId, 'all-questions-completed');
+        if (!result.success) {
+          console.error(`Failed to auto-end game: ${result.error}`);
+        }
+      } catch (error) {
+        console.error('❌ Error auto-ending game:', error);
+        this.transport.emitToRoom(familyId, 'end-game-error', {
+          error: 'Internal server error while ending game',
+          details: error.message
+        });
+      }
+    });
+  }
+
+  /**
+   * Run the game's next step after a pause
+   * The pause runs on the room's question timer, so ending, restarting or cleaning up
+   * the room cancels it, and the step is skipped if another game has started since
+   * @param {string} familyId - The family identifier
+   * @param {number} delayMs - Milliseconds to wait
+   * @param {Function} step - What to do once the pause is over
+   */
+  scheduleGameStep(familyId, delayMs, step) {
+    const { gameId } = this.gameService.getRoom(familyId).gameState;
+
+    this.gameService.startQuestionTimer(familyId, delayMs, () => {
+      if (this.gameService.getRoom(familyId)?.gameState.gameId !== gameId) {
+        return;
+      }
+      step();
+    });
+  }
+
+  /**
+   * End the game, broadcast the final results and save the game
+   * The results are worked out from the game itself and broadcast first, so players
+   * always see them; saving the session and leaderboard is best-effort, and the
+   * updated totals follow in leaderboard-updated once they're saved
+   * @param {string} familyId - The family identifier
+   * @param {string} reason - Why the game ended
+   * @returns {Promise<Object>} { success, results } or { success: false, error }
+   */
+  async finish(familyId, reason = 'completed') {
+    const room = this.gameService.getRoom(familyId);
+    if (!room) {
+      return { success: false, error: 'Game room not found' };
+    }
+
+    if (room.gameState.status === 'finished') {
+      return { success: false, error: 'Game has already ended' };
+    }
+
+    console.log(`🏁 Ending game for family ${familyId} - Reason: ${reason}`);
+
+    // End the game and get final room data
+    const finalRoomData = this.gameService.endGame(familyId);
+    if (!finalRoomData) {
+      return { success: false, error: 'Failed to end game session' };
+    }
+
+    const { gameState, players } = finalRoomData;
+
+    try {
+      const { totalQuestions, playerStats, teamResults, gameAnalytics } =
+        this.leaderboardService.buildGameResults(gameState, players);
+
+      // Prepare comprehensive final results for broadcast
+      const gameResults = {
+        sessionId: null,
+        familyId,
+        reason,
+        gameStats: {
+          totalQuestions,
+          completedAt: finalRoomData.finishedAt,
+          analytics: gameAnalytics
+        },
+        playerResults: playerStats,
+        teamResults,
+        leaderboard: null,
+        message: '🎉 Game completed! Here are your final results:'
+      };
+
+      // Broadcast final results to all players in the room
+      this.transport.emitToRoom(familyId, 'game-ended', gameResults);
+
+      console.log(`✅ Game ended successfully for family ${familyId}`);
+
+      // Save the session and update the leaderboard (players already have their results if this fails)
+      try {
+        const finalResults = await this.leaderboardService.finalizeGameSession(familyId, gameState, players);
+        const savedResults = {
+          sessionId: finalResults.sessionId,
+          playerResults: finalResults.playerStats,
+          leaderboard: finalResults.familyLeaderboard
+        };
+
+        this.transport.emitToRoom(familyId, 'leaderboard-updated', savedResults);
+        return { success: true, results: { ...gameResults, ...savedResults } };
+      } catch (error) {
+        console.error(`❌ Failed to save the game for family ${familyId}, results were not recorded:`, error);
+        return { success: true, results: gameResults };
+      }
+    } finally {
+      this.scheduleCleanup(familyId, gameState.gameId);
+    }
+  }
+
+  /**
+   * Clean up a finished game's room after a delay so clients can process the results
+   * The room is kept if another game has started in it since
+   * @param {string} familyId - The family identifier
+   * @param {string} gameId - The finished game's ID
+   */
+  scheduleCleanup(familyId, gameId) {
+    setTimeout(() => {
+      const room = this.gameService.getRoom(familyId);
+      if (!room || room.gameState.gameId !== gameId || room.gameState.status !== 'finished') {
+        return;
+      }
+
+      this.gameService.cleanupRoom(familyId);
+      console.log(`🧹 Game room cleaned up for family ${familyId}`);
+    }, this.delays.cleanup);
+  }
+
+  /**
+   * Handle a player's request to end the game
+   * @param {string} socketId - Socket ID of the requester
+   * @param {Object} options - { reason, requireHost }
+   * @returns {Promise<Object>} { success, results } or { success: false, error }
+   */
+  async endGame(socketId, { reason = 'completed', requireHost = false } = {}) {
+    const playerInfo = this.gameService.getPlayerInfo(socketId);
+    if (!playerInfo) {
+      return { success: false, error: 'Player not found in any game room' };
+    }
+
+    if (playerInfo.role === 'spectator') {
+      return { success: false, error: 'Spectators cannot end the game' };
+    }
+
+    const { familyId } = playerInfo;
+    const room = this.gameService.getRoom(familyId);
+    if (!room) {
+      return { success: false, error: 'Game room not found' };
+    }
+
+    // Only host can manually end the game (for cases like timeout or early end)
+    const isHost = room.players.find(p => p.socketId === socketId)?.isHost;
+    if (!isHost && (requireHost || reason === 'host-ended')) {
+      return { success: false, error: 'Only the host can end the game manually' };
+    }
+
+    return this.finish(familyId, reason);
+  }
+}
+
+module.exports = GameEngine;
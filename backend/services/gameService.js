@@ -3,13 +3,76 @@
  * Handles game state, player connections, and room management
  */
 
+const { createRoomStore } = require('../utils/roomStore');
+
 class GameService {
-  constructor() {
-    // Store active game rooms: { familyId: { players: [], gameState: {}, host: socketId } }
+  /**
+   * @param {Object} roomStore - Where room snapshots are persisted (see utils/roomStore.js)
+   */
+  constructor(roomStore = createRoomStore()) {
+    this.roomStore = roomStore;
+
+    // Store active game rooms: { familyId: { players: [], spectators: [], gameState: {}, host: socketId } }
     this.activeRooms = new Map();
     
-    // Store socket to family mapping: { socketId: { familyId, userId, playerName } }
+    // Store socket to family mapping: { socketId: { familyId, userId, playerName, role? } }
+    // role is 'spectator' for sockets watching a room; players have no role
     this.socketToFamily = new Map();
+
+    // Store server-side question countdowns: { familyId: Timeout }
+    this.questionTimers = new Map();
+
+    // Store seats held for disconnected players: { 'familyId:userId': Timeout }
+    this.reconnectTimers = new Map();
+  }
+
+  /**
+   * Snapshot a room to the room store, or drop it from the store if the room is gone
+   * Persistence failures are logged but never interrupt the game
+   * @param {string} familyId - The family identifier
+   */
+  persistRoom(familyId) {
+    try {
+      const room = this.activeRooms.get(familyId);
+      if (room) {
+        this.roomStore.save(room);
+      } else {
+        this.roomStore.remove(familyId);
+      }
+    } catch (error) {
+      console.error(`❌ Failed to persist game room for family ${familyId}:`, error);
+    }
+  }
+
+  /**
+   * Reload rooms saved by the room store (e.g. after a restart)
+   * Socket IDs from the previous process are stale, so players reattach by rejoining
+   * @returns {Array} Restored rooms
+   */
+  restoreRooms() {
+    let savedRooms = [];
+    try {
+      savedRooms = this.roomStore.load();
+    } catch (error) {
+      console.error('❌ Failed to load saved game rooms:', error);
+    }
+
+    savedRooms.forEach(room => {
+      room.host = null;
+      // Spectators simply join again; there's no seat to hold for them
+      room.spectators = [];
+      room.players.forEach(player => {
+        player.socketId = null;
+        player.connected = false;
+        player.disconnectedAt = new Date().toISOString();
+      });
+      this.activeRooms.set(room.familyId, room);
+    });
+
+    if (savedRooms.length > 0) {
+      console.log(`♻️ Restored ${savedRooms.length} game room(s) from the room store`);
+    }
+    return savedRooms;
   }
 
   /**
@@ -45,10 +108,13 @@ class GameService {
           socketId,
           userId: hostInfo.userId,
           playerName: hostInfo.playerName,
+          handicap: hostInfo.handicap || null,
           isHost: true,
+          connected: true,
           joinedAt: new Date()
         }
       ],
+      spectators: [],
       gameState: {
         status: 'waiting', // waiting, playing, finished
         currentQuestion: null,
@@ -61,6 +127,7 @@ class GameService {
 
     this.activeRooms.set(familyId, roomData);
     this.socketToFamily.set(socketId, { familyId, userId: hostInfo.userId, playerName: hostInfo.playerName });
+    this.persistRoom(familyId);
 
     console.log(`🎮 Created game room for family: ${familyId} with host: ${hostInfo.playerName}`);
     return roomData;
@@ -79,23 +146,39 @@ class GameService {
       return null;
     }
 
+    // Someone who was watching is now playing
+    this.removeSpectatorByUser(room, playerInfo.userId);
+
     // Check if player is already in the room
     const existingPlayer = room.players.find(p => p.userId === playerInfo.userId);
     if (existingPlayer) {
       // Update socket ID for reconnection
+      if (existingPlayer.socketId) {
+        this.socketToFamily.delete(existingPlayer.socketId);
+      }
       existingPlayer.socketId = socketId;
+      existingPlayer.connected = true;
+      delete existingPlayer.disconnectedAt;
+
+      // A reattaching host takes the host role back with their new socket
+      if (existingPlayer.isHost) {
+        room.host = socketId;
+      }
     } else {
       // Add new player
       room.players.push({
         socketId,
         userId: playerInfo.userId,
         playerName: playerInfo.playerName,
+        handicap: playerInfo.handicap || null,
         isHost: false,
+        connected: true,
         joinedAt: new Date()
       });
     }
 
     this.socketToFamily.set(socketId, { familyId, userId: playerInfo.userId, playerName: playerInfo.playerName });
+    this.persistRoom(familyId);
 
     console.log(`👥 Player ${playerInfo.playerName} joined room for family: ${familyId}`);
     return room;
@@ -112,34 +195,185 @@ class GameService {
       return null;
     }
 
-    const { familyId } = playerData;
+    this.socketToFamily.delete(socketId);
+
+    if (playerData.role === 'spectator') {
+      const room = this.activeRooms.get(playerData.familyId);
+      if (!room) {
+        return null;
+      }
+      room.spectators = room.spectators.filter(s => s.socketId !== socketId);
+      this.persistRoom(playerData.familyId);
+      console.log(`👀 Spectator ${playerData.playerName} stopped watching family: ${playerData.familyId}`);
+      return room;
+    }
+
+    return this.removePlayer(playerData.familyId, playerData.userId);
+  }
+
+  /**
+   * Add a spectator to an existing game room
+   * Spectators receive the room's broadcasts but are never listed in players,
+   * can't answer and aren't waited on before a question closes
+   * @param {string} familyId - The family identifier
+   * @param {string} socketId - The spectator's socket ID
+   * @param {Object} spectatorInfo - { userId, playerName }
+   * @returns {Object|null} Updated room data or null if room doesn't exist
+   */
+  joinAsSpectator(familyId, socketId, spectatorInfo) {
+    const room = this.activeRooms.get(familyId);
+    if (!room) {
+      return null;
+    }
+
+    // Watching from a new device replaces the old one
+    this.removeSpectatorByUser(room, spectatorInfo.userId);
+
+    room.spectators.push({
+      socketId,
+      userId: spectatorInfo.userId,
+      playerName: spectatorInfo.playerName,
+      joinedAt: new Date()
+    });
+
+    this.socketToFamily.set(socketId, {
+      familyId,
+      userId: spectatorInfo.userId,
+      playerName: spectatorInfo.playerName,
+      role: 'spectator'
+    });
+    this.persistRoom(familyId);
+
+    console.log(`👀 Spectator ${spectatorInfo.playerName} is watching family: ${familyId}`);
+    return room;
+  }
+
+  /**
+   * Drop a user's spectator entry (and its socket mapping) from a room
+   * @param {Object} room - Game room
+   * @param {string} userId - The user to remove
+   */
+  removeSpectatorByUser(room, userId) {
+    room.spectators
+      .filter(s => s.userId === userId)
+      .forEach(s => this.socketToFamily.delete(s.socketId));
+    room.spectators = room.spectators.filter(s => s.userId !== userId);
+  }
+
+  /**
+   * Remove a player from a game room by user ID
+   * Used when a player leaves for good, including when a held seat expires
+   * @param {string} familyId - The family identifier
+   * @param {string} userId - The user to remove
+   * @returns {Object|null} Updated room data or null if the room is gone
+   */
+  removePlayer(familyId, userId) {
     const room = this.activeRooms.get(familyId);
     if (!room) {
       return null;
     }
 
+    const player = room.players.find(p => p.userId === userId);
+    if (!player) {
+      return room;
+    }
+
     // Remove player from room
-    room.players = room.players.filter(p => p.socketId !== socketId);
-    this.socketToFamily.delete(socketId);
+    room.players = room.players.filter(p => p.userId !== userId);
+    if (player.socketId) {
+      this.socketToFamily.delete(player.socketId);
+    }
+    this.clearReconnectTimer(familyId, userId);
 
-    // If no players left, remove the room
+    // If no players left, remove the room (spectators have nothing left to watch)
     if (room.players.length === 0) {
+      room.spectators.forEach(s => this.socketToFamily.delete(s.socketId));
+      this.clearQuestionTimer(familyId);
       this.activeRooms.delete(familyId);
+      this.persistRoom(familyId);
       console.log(`🗑️ Removed empty game room for family: ${familyId}`);
       return null;
     }
 
-    // If host left, assign new host
-    if (room.host === socketId && room.players.length > 0) {
-      room.host = room.players[0].socketId;
-      room.players[0].isHost = true;
-      console.log(`👑 New host assigned for family ${familyId}: ${room.players[0].playerName}`);
+    // If host left, assign new host (preferring someone who is still connected)
+    if (player.isHost) {
+      const newHost = room.players.find(p => p.connected !== false) || room.players[0];
+      room.host = newHost.socketId;
+      newHost.isHost = true;
+      console.log(`👑 New host assigned for family ${familyId}: ${newHost.playerName}`);
     }
 
+    this.persistRoom(familyId);
+
     console.log(`👋 Player left room for family: ${familyId}`);
     return room;
   }
 
+  /**
+   * Mark a player as disconnected without removing them from the room
+   * Their scores and answers are kept and, if they are the host, the host role is held for them
+   * @param {string} socketId - The socket ID that dropped
+   * @returns {Object|null} { room, player } or null if not found
+   */
+  markDisconnected(socketId) {
+    const playerData = this.socketToFamily.get(socketId);
+    if (!playerData) {
+      return null;
+    }
+
+    const room = this.activeRooms.get(playerData.familyId);
+    const player = room && room.players.find(p => p.userId === playerData.userId);
+    if (!player) {
+      return null;
+    }
+
+    this.socketToFamily.delete(socketId);
+    player.connected = false;
+    player.disconnectedAt = new Date().toISOString();
+    this.persistRoom(playerData.familyId);
+
+    console.log(`📴 Player ${player.playerName} disconnected from room for family: ${playerData.familyId}`);
+    return { room, player };
+  }
+
+  /**
+   * Hold a disconnected player's seat until they rejoin or the grace period runs out
+   * Any timer already running for the player is replaced
+   * @param {string} familyId - The family identifier
+   * @param {string} userId - The disconnected user
+   * @param {number} durationMs - Milliseconds to hold the seat
+   * @param {Function} onExpire - Callback invoked when the grace period elapses
+   */
+  startReconnectTimer(familyId, userId, durationMs, onExpire) {
+    this.clearReconnectTimer(familyId, userId);
+
+    const timerKey = `${familyId}:${userId}`;
+    const timer = setTimeout(() => {
+      this.reconnectTimers.delete(timerKey);
+      onExpire();
+    }, durationMs);
+
+    this.reconnectTimers.set(timerKey, timer);
+  }
+
+  /**
+   * Cancel the grace period for a disconnected player
+   * @param {string} familyId - The family identifier
+   * @param {string} userId - The user whose seat was held
+   * @returns {boolean} True if a grace period was cancelled
+   */
+  clearReconnectTimer(familyId, userId) {
+    const timerKey = `${familyId}:${userId}`;
+    const timer = this.reconnectTimers.get(timerKey);
+    if (!timer) {
+      return false;
+    }
+
+    clearTimeout(timer);
+    this.reconnectTimers.delete(timerKey);
+    return true;
+  }
+
   /**
    * Get player info by socket ID
    * @param {string} socketId - The socket ID
@@ -162,9 +396,70 @@ class GameService {
     }
 
     room.gameState = { ...room.gameState, ...gameStateUpdate };
+    this.persistRoom(familyId);
     return room;
   }
 
+  /**
+   * Record how a team's answer to a question was decided and add its points to the team score
+   * A team's answer is only recorded once per question
+   * @param {string} familyId - The family identifier
+   * @param {Object} teamAnswer - { teamId, questionNumber, selectedAnswer, isCorrect, pointsEarned, decidedBy, answerMode }
+   * @returns {Object|null} Updated room data or null if not found (or already recorded)
+   */
+  recordTeamAnswer(familyId, teamAnswer) {
+    const room = this.activeRooms.get(familyId);
+    if (!room) {
+      return null;
+    }
+
+    const teamAnswers = room.gameState.teamAnswers || {};
+    const answerKey = `${teamAnswer.teamId}-q${teamAnswer.questionNumber}`;
+    if (teamAnswers[answerKey]) {
+      return null;
+    }
+
+    const teamScores = room.gameState.teamScores || {};
+    teamAnswers[answerKey] = teamAnswer;
+    teamScores[teamAnswer.teamId] = (teamScores[teamAnswer.teamId] || 0) + teamAnswer.pointsEarned;
+
+    return this.updateGameState(familyId, { teamAnswers, teamScores });
+  }
+
+  /**
+   * Start the server-side countdown for the room's current question
+   * Any countdown already running for the room is replaced
+   * @param {string} familyId - The family identifier
+   * @param {number} durationMs - Milliseconds until the question expires
+   * @param {Function} onExpire - Callback invoked when the countdown elapses
+   */
+  startQuestionTimer(familyId, durationMs, onExpire) {
+    this.clearQuestionTimer(familyId);
+
+    const timer = setTimeout(() => {
+      this.questionTimers.delete(familyId);
+      onExpire();
+    }, durationMs);
+
+    this.questionTimers.set(familyId, timer);
+  }
+
+  /**
+   * Cancel the running question countdown for a room
+   * @param {string} familyId - The family identifier
+   * @returns {boolean} True if a countdown was cancelled
+   */
+  clearQuestionTimer(familyId) {
+    const timer = this.questionTimers.get(familyId);
+    if (!timer) {
+      return false;
+    }
+
+    clearTimeout(timer);
+    this.questionTimers.delete(familyId);
+    return true;
+  }
+
   /**
    * End a game session and mark room as finished
    * @param {string} familyId - The family identifier
@@ -177,9 +472,13 @@ class GameService {
       return null;
     }
 
+    // Stop the countdown so it can't fire after the game is over
+    this.clearQuestionTimer(familyId);
+
     // Mark game as finished
     room.gameState.status = 'finished';
     room.gameState.finishedAt = new Date().toISOString();
+    this.persistRoom(familyId);
 
     console.log(`🏁 Game ended for family: ${familyId}`);
     
@@ -199,7 +498,13 @@ class GameService {
    * @returns {boolean} True if room was removed, false if not found
    */
   cleanupRoom(familyId) {
+    this.clearQuestionTimer(familyId);
+    const room = this.activeRooms.get(familyId);
+    if (room) {
+      room.players.forEach(player => this.clearReconnectTimer(familyId, player.userId));
+    }
     const wasRemoved = this.activeRooms.delete(familyId);
+    this.persistRoom(familyId);
     
     // Also remove socket mappings for this family
     for (const [socketId, playerData] of this.socketToFamily.entries()) {
@@ -223,10 +528,13 @@ class GameService {
     const totalRooms = this.activeRooms.size;
     const totalPlayers = Array.from(this.activeRooms.values())
       .reduce((sum, room) => sum + room.players.length, 0);
+    const totalSpectators = Array.from(this.activeRooms.values())
+      .reduce((sum, room) => sum + room.spectators.length, 0);
     
     return {
       totalRooms,
       totalPlayers,
+      totalSpectators,
       averagePlayersPerRoom: totalRooms > 0 ? (totalPlayers / totalRooms).toFixed(1) : 0
     };
   }
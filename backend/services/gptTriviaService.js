@@ -1,10 +1,81 @@
 const { OpenAI } = require('openai');
+const { QUESTION_TYPES } = require('../utils/grading');
+const { normalizeGeneratedQuestion } = require('../utils/generatedQuestions');
 
 // Initialize OpenAI client with API key from environment
 const openai = new OpenAI({
   apiKey: process.env.OPENAI_API_KEY
 });
 
+// Items an ordering or matching puzzle may have
+const MIN_PUZZLE_ITEMS = 3;
+const MAX_PUZZLE_ITEMS = 6;
+
+/**
+ * Check a generated question against the format for its type and fill in the
+ * answer fields the database stores (see normalizeGeneratedQuestion)
+ * @param {Object} question - Question as generated
+ * @param {number} index - Position in the pack, for error messages
+ * @throws {Error} When the question doesn't fit its type's format
+ */
+const validateQuestion = (question, index) => {
+  const type = question.type || 'multiple_choice';
+  const label = `Question ${index + 1}`;
+
+  if (!QUESTION_TYPES.includes(type)) {
+    throw new Error(`${label}: unsupported question type ${type}`);
+  }
+
+  // Free-text and numeric answers are typed, and true/false always has the same two choices
+  const needsChoices = !['true_false', 'free_text', 'numeric'].includes(type);
+  if (!question.question || !question.category || !question.difficulty || (needsChoices && !question.choices)) {
+    throw new Error(`${label} is missing required fields`);
+  }
+
+  switch (type) {
+    case 'multiple_choice':
+      if (!question.correct_answer) {
+        throw new Error(`${label} is missing required fields`);
+      }
+      if (!Array.isArray(question.choices) || question.choices.length !== 4) {
+        throw new Error(`${label} must have exactly 4 choices`);
+      }
+      if (!question.choices.includes(question.correct_answer)) {
+        throw new Error(`${label}: correct answer not found in choices`);
+      }
+      break;
+
+    case 'ordering': {
+      const order = question.correct_order;
+      if (!Array.isArray(order) || order.length < MIN_PUZZLE_ITEMS || order.length > MAX_PUZZLE_ITEMS) {
+        throw new Error(`${label}: correct_order must list ${MIN_PUZZLE_ITEMS} to ${MAX_PUZZLE_ITEMS} items`);
+      }
+      if (!Array.isArray(question.choices) || question.choices.length !== order.length || !order.every(item => question.choices.includes(item))) {
+        throw new Error(`${label}: choices must be the correct_order items`);
+      }
+      break;
+    }
+
+    case 'matching': {
+      const pairs = question.pairs;
+      const prompts = pairs && typeof pairs === 'object' && !Array.isArray(pairs) ? Object.keys(pairs) : [];
+      if (prompts.length < MIN_PUZZLE_ITEMS || prompts.length > MAX_PUZZLE_ITEMS) {
+        throw new Error(`${label}: pairs must match ${MIN_PUZZLE_ITEMS} to ${MAX_PUZZLE_ITEMS} prompts`);
+      }
+      if (!Array.isArray(question.choices) || !prompts.every(prompt => question.choices.includes(pairs[prompt]))) {
+        throw new Error(`${label}: every matched answer must be one of the choices`);
+      }
+      break;
+    }
+  }
+
+  const normalized = normalizeGeneratedQuestion({ ...question, type });
+  if (normalized.type === null) {
+    throw new Error(`${label}: correct_answer is not a valid ${type} answer`);
+  }
+  Object.assign(question, normalized);
+};
+
 /**
  * Generates a trivia pack using GPT-4o based on the provided prompt
  * @param {string} customPrompt - Optional custom prompt to modify trivia generation
@@ -20,6 +91,11 @@ const generateTriviaPack = async (customPrompt = '') => {
 - 1 history or geography question  
 - 1 fun fact or riddle
 
+The fun fact or riddle may instead be an "ordering" puzzle (put 3-6 items in order, e.g. chronological)
+or a "matching" puzzle (match 3-6 prompts to their answers, e.g. animals to habitats).
+Any question may also be "true_false" (correct_answer "True" or "False"), "free_text" (a short typed answer,
+other accepted spellings in "accepted_answers") or "numeric" (a number, with an optional "tolerance" either way).
+
 ${customPrompt ? `Additional requirements: ${customPrompt}` : ''}
 
 Return ONLY valid JSON in this exact format:
@@ -31,11 +107,28 @@ Return ONLY valid JSON in this exact format:
       "correct_answer": "Jupiter",
       "category": "science",
       "difficulty": "easy"
+    },
+    {
+      "type": "ordering",
+      "question": "Put these inventions in the order they were invented",
+      "choices": ["Telephone", "Printing press", "Internet"],
+      "correct_order": ["Printing press", "Telephone", "Internet"],
+      "category": "history",
+      "difficulty": "medium"
+    },
+    {
+      "type": "matching",
+      "question": "Match each animal to its habitat",
+      "choices": ["Ice", "Desert", "Ocean"],
+      "pairs": { "Camel": "Desert", "Penguin": "Ice", "Dolphin": "Ocean" },
+      "category": "animals",
+      "difficulty": "easy"
     }
   ]
 }
 
-Each question should have exactly 4 choices. Make sure the JSON is properly formatted and valid.`;
+Multiple-choice questions have exactly 4 choices and leave out "type". Ordering choices are the items shuffled.
+Matching choices are the answers shuffled. True/false, free-text and numeric questions leave out "choices". Make sure the JSON is properly formatted and valid.`;
 
     // Call GPT-4o API with the constructed prompt
     const completion = await openai.chat.completions.create({
@@ -64,20 +157,8 @@ Each question should have exactly 4 choices. Make sure the JSON is properly form
       throw new Error('Invalid response format: missing questions array');
     }
 
-    // Validate each question has required fields
-    triviaData.questions.forEach((question, index) => {
-      if (!question.question || !question.choices || !question.correct_answer || !question.category || !question.difficulty) {
-        throw new Error(`Question ${index + 1} is missing required fields`);
-      }
-      
-      if (!Array.isArray(question.choices) || question.choices.length !== 4) {
-        throw new Error(`Question ${index + 1} must have exactly 4 choices`);
-      }
-      
-      if (!question.choices.includes(question.correct_answer)) {
-        throw new Error(`Question ${index + 1}: correct answer not found in choices`);
-      }
-    });
+    // Validate each question against its type's format
+    triviaData.questions.forEach(validateQuestion);
 
     // Return the validated trivia pack
     return {
@@ -1,159 +1,224 @@
 /**
  * Leaderboard Service - Manages game score finalization and leaderboard updates
- * Handles updating player statistics and family leaderboards after game completion
+ * Handles updating player statistics and family leaderboards after game completion,
+ * ranks families over a period (this week, month, season or all-time) from their session history,
+ * and keeps each member's per-category mastery stats.
+ * Results are saved through a repository (see utils/leaderboardRepository.js):
+ * Supabase when it's configured, memory otherwise.
  */
 
-// Mock Supabase for testing when environment variables are not set
-const getMockSupabase = () => ({
-  from: () => ({
-    insert: () => ({ 
-      select: () => ({ 
-        single: () => Promise.resolve({ 
-          data: { id: `mock-session-${Date.now()}`, completed_at: new Date().toISOString() }, 
-          error: null 
-        }) 
-      }) 
-    }),
-    select: () => ({
-      eq: () => ({
-        single: () => Promise.resolve({ data: null, error: { code: 'PGRST116' } }),
-        order: () => ({ limit: () => Promise.resolve({ data: [], error: null }) })
-      })
-    }),
-    upsert: () => ({
-      select: () => ({
-        single: () => Promise.resolve({ 
-          data: { id: 'mock-leaderboard-entry' }, 
-          error: null 
-        })
-      })
-    })
-  })
-});
-
-// Try to load Supabase, fallback to mock if not available
-let supabase;
-try {
-  supabase = require('../utils/supabase');
-} catch (error) {
-  console.warn('⚠️ Supabase not configured, using mock data for testing');
-  supabase = getMockSupabase();
-}
+const { createLeaderboardRepository } = require('../utils/leaderboardRepository');
+const { getWindowStart } = require('../utils/leaderboardWindows');
+const { normalizeCategory } = require('../utils/categories');
+
+// Answers whose client-reported time differs from the server-measured time by more than this are flagged
+const TIMING_DISCREPANCY_THRESHOLD_SECONDS = 3;
+
+// How many of a member's latest results in a category are kept to work out their trend
+const RECENT_CATEGORY_RESULTS = 10;
+
+// How much the newer half of the recent results must beat (or trail) the older half to count as a trend
+const CATEGORY_TREND_THRESHOLD = 0.2;
+
+// Answers a member needs in a category before it can be one of their strengths
+const MIN_ANSWERS_FOR_STRENGTH = 3;
+
+// Accuracy (percent) a category needs to count as one of a member's strengths
+const MIN_STRENGTH_ACCURACY = 50;
+
+// Database questions have UUIDs; AI-generated and fallback questions don't exist in the questions table
+const UUID_PATTERN = /^[0-9a-f]{8}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{12}$/i;
+
+/**
+ * Work out whether a member is getting better at a category from their latest results
+ * @param {Array} recentResults - Credit (0 to 1) of the member's latest answers in the category, oldest first
+ * @returns {string|null} 'improving', 'slipping' or 'steady', or null with fewer than 4 results
+ */
+const getCategoryTrend = (recentResults) => {
+  if (recentResults.length < 4) {
+    return null;
+  }
+
+  const half = Math.floor(recentResults.length / 2);
+  const average = results => results.reduce((sum, credit) => sum + Number(credit), 0) / results.length;
+  const change = average(recentResults.slice(half)) - average(recentResults.slice(0, half));
+
+  if (change >= CATEGORY_TREND_THRESHOLD) {
+    return 'improving';
+  }
+  if (change <= -CATEGORY_TREND_THRESHOLD) {
+    return 'slipping';
+  }
+  return 'steady';
+};
 
 class LeaderboardService {
-  constructor() {
-    // In-memory storage for testing when Supabase is not available
-    this.mockStorage = {
-      sessions: new Map(),
-      leaderboards: new Map()
+  /**
+   * @param {Object} repository - Where sessions, answers and leaderboards are saved (see utils/leaderboardRepository.js)
+   */
+  constructor(repository = createLeaderboardRepository()) {
+    this.repository = repository;
+  }
+
+  /**
+   * Build the trivia_sessions row of a game
+   * @param {string} familyId - The family identifier
+   * @param {Object} gameState - The game state with scores and answers
+   * @param {Array} players - Array of players (the host started the session)
+   * @param {string|null} completedAt - When the game finished (null while it's still being played)
+   * @returns {Object} trivia_sessions row
+   */
+  buildSessionRow(familyId, gameState, players, completedAt = null) {
+    const host = players.find(player => player.isHost) || players[0];
+    const metadata = gameState.metadata || {};
+
+    return {
+      family_id: familyId,
+      started_by: host.userId,
+      started_at: gameState.startedAt,
+      completed_at: completedAt,
+      completed: completedAt !== null,
+      scores: gameState.scores,
+      questions_used: gameState.questions.map(q => q.id),
+      session_config: {
+        question_count: gameState.questions.length,
+        rules: metadata.rules || null,
+        topics: metadata.topics || [],
+        difficulty: metadata.difficulty || 'mixed',
+        age_group: metadata.ageGroup || 'mixed'
+      },
+      game_data: this.buildGameData(gameState, players)
+    };
+  }
+
+  /**
+   * Build a game's game_data: the questions' details, raw scores, every recorded
+   * answer and, for a team game, the team results
+   * @param {Object} gameState - The game state with scores and answers
+   * @param {Array} players - Array of players
+   * @returns {Object} game_data
+   */
+  buildGameData(gameState, players) {
+    return {
+      questions: gameState.questions.map(q => ({
+        id: q.id,
+        category: q.category,
+        difficulty: q.difficulty,
+        type: q.type || 'multiple_choice'
+      })),
+      playerRawScores: gameState.rawScores || {},
+      playerAnswers: gameState.playerAnswers || {},
+      generationSource: gameState.metadata?.generationSource || null,
+      ...(gameState.teams && {
+        teams: gameState.teams,
+        teamScores: gameState.teamScores,
+        teamAnswers: gameState.teamAnswers,
+        teamResults: this.calculateTeamResults(gameState, players)
+      })
+    };
+  }
+
+  /**
+   * Work out a finished game's results from the game itself (nothing is saved or loaded)
+   * The players with the top score win the game (nobody wins a game without points)
+   * @param {Object} gameState - The final game state with scores and answers
+   * @param {Array} players - Array of players who participated
+   * @returns {Object} { totalQuestions, playerStats, teamResults, gameAnalytics } where
+   *   playerStats is keyed by user ID ({ playerName, gameScore, rawGameScore, handicap, won, isHost })
+   */
+  buildGameResults(gameState, players) {
+    const topScore = Math.max(...players.map(player => gameState.scores[player.userId] || 0));
+
+    const playerStats = {};
+    players.forEach(player => {
+      const gameScore = gameState.scores[player.userId] || 0;
+      playerStats[player.userId] = {
+        playerName: player.playerName,
+        gameScore,
+        rawGameScore: (gameState.rawScores || {})[player.userId] || 0,
+        handicap: player.handicap
+          ? { pointsMultiplier: player.handicap.pointsMultiplier, extraSeconds: player.handicap.extraSeconds }
+          : null,
+        won: topScore > 0 && gameScore === topScore,
+        isHost: player.isHost
+      };
+    });
+
+    return {
+      totalQuestions: gameState.questions.length,
+      playerStats,
+      teamResults: this.calculateTeamResults(gameState, players),
+      gameAnalytics: this.calculateGameAnalytics(gameState, players)
     };
   }
 
   /**
    * Finalize game session and update leaderboard
+   * Saves the trivia_sessions row, every player's trivia_answers, what the game adds to their
+   * category_stats and each player's leaderboards entry (totals, games won, streaks and average score)
+   * together, so a failure part way saves nothing and the totals are added to by the database
    * @param {string} familyId - The family identifier
    * @param {Object} gameState - The final game state with scores and answers
    * @param {Array} players - Array of players who participated
+   * @param {Object} options - { sessionId } to complete a session saved when it started (REST sessions)
    * @returns {Object} Final results with updated leaderboard
    */
-  async finalizeGameSession(familyId, gameState, players) {
+  async finalizeGameSession(familyId, gameState, players, { sessionId: startedSessionId } = {}) {
     try {
       console.log(`🏆 Finalizing game session for family: ${familyId}`);
-      
-      // Generate session ID and data
-      const sessionId = `session-${familyId}-${Date.now()}`;
+
       const completedAt = new Date().toISOString();
-      
-      const sessionData = {
-        id: sessionId,
-        family_id: familyId,
-        started_at: gameState.startedAt,
-        completed_at: completedAt,
-        total_questions: gameState.questions.length,
-        player_scores: gameState.scores,
-        game_data: {
-          questions: gameState.questions.map(q => ({
-            id: q.id,
-            category: q.category,
-            difficulty: q.difficulty
-          })),
-          playerAnswers: gameState.playerAnswers
-        }
-      };
+      const { totalQuestions, playerStats: gameStats, teamResults, gameAnalytics } = this.buildGameResults(gameState, players);
 
-      // Store session (mock for testing)
-      this.mockStorage.sessions.set(sessionId, sessionData);
-      console.log(`✅ Created trivia session: ${sessionId}`);
+      const { session, entries } = await this.repository.finalizeSession({
+        sessionId: startedSessionId || null,
+        session: this.buildSessionRow(familyId, gameState, players, completedAt),
+        answers: this.buildAnswerRows(gameState),
+        categoryResults: this.buildCategoryResults(gameState),
+        playerResults: players.map(player => ({
+          user_id: player.userId,
+          score: gameStats[player.userId].gameScore,
+          raw_score: gameStats[player.userId].rawGameScore,
+          won: gameStats[player.userId].won
+        })),
+        recentResultCount: RECENT_CATEGORY_RESULTS
+      });
+      const sessionId = session.id;
+      console.log(`✅ ${startedSessionId ? 'Completed' : 'Created'} trivia session: ${sessionId}`);
 
-      // Update leaderboard for each player
       const playerStats = {};
-
-      for (const player of players) {
+      players.forEach(player => {
         const userId = player.userId;
-        const finalScore = gameState.scores[userId] || 0;
-        
-        // Get current leaderboard entry for this player and family
-        const leaderboardKey = `${familyId}-${userId}`;
-        const currentEntry = this.mockStorage.leaderboards.get(leaderboardKey);
-
-        let newTotalScore = finalScore;
-        let newGamesPlayed = 1;
-        let newStreak = 1;
-
-        if (currentEntry) {
-          // Update existing entry
-          newTotalScore = currentEntry.total_score + finalScore;
-          newGamesPlayed = currentEntry.games_played + 1;
-          
-          // Calculate streak (simple implementation: consecutive games with score > 0)
-          newStreak = finalScore > 0 ? currentEntry.streak + 1 : 0;
-        }
-
-        const leaderboardData = {
-          family_id: familyId,
-          user_id: userId,
-          total_score: newTotalScore,
-          games_played: newGamesPlayed,
-          streak: newStreak,
-          last_game_score: finalScore,
-          last_played_at: new Date().toISOString(),
-          updated_at: new Date().toISOString()
-        };
-
-        // Store leaderboard entry (mock for testing)
-        this.mockStorage.leaderboards.set(leaderboardKey, leaderboardData);
+        const entry = entries.find(savedEntry => savedEntry.user_id === userId) || {};
 
         playerStats[userId] = {
-          playerName: player.playerName,
-          gameScore: finalScore,
-          totalScore: newTotalScore,
-          gamesPlayed: newGamesPlayed,
-          streak: newStreak,
-          isHost: player.isHost
+          ...gameStats[userId],
+          totalScore: entry.total_score || 0,
+          rawTotalScore: entry.raw_total_score || 0, // Same total without handicaps
+          gamesPlayed: entry.games_played || 0,
+          streak: entry.current_streak || 0
         };
 
-        console.log(`✅ Updated leaderboard for ${player.playerName}: ${finalScore} points this game, ${newTotalScore} total`);
+        console.log(`✅ Updated leaderboard for ${player.playerName}: ${gameStats[userId].gameScore} points this game, ${playerStats[userId].totalScore} total`);
+      });
+
+      if (teamResults) {
+        console.log(`✅ Recorded team results for session ${sessionId}: ${teamResults.map(t => `${t.name} ${t.score}`).join(', ')}`);
       }
 
       // Get updated family leaderboard (top players)
-      const familyLeaderboard = Array.from(this.mockStorage.leaderboards.values())
-        .filter(entry => entry.family_id === familyId)
-        .sort((a, b) => b.total_score - a.total_score)
-        .slice(0, 10)
-        .map(entry => ({
-          ...entry,
-          users: { id: entry.user_id, email: `user-${entry.user_id}@example.com` }
-        }));
+      const familyLeaderboard = await this.getFamilyLeaderboard(familyId);
 
       // Prepare final results
       const finalResults = {
         sessionId,
         familyId,
         completedAt,
-        totalQuestions: gameState.questions.length,
+        totalQuestions,
         playerStats,
+        teamResults,
         familyLeaderboard,
-        gameAnalytics: this.calculateGameAnalytics(gameState, players)
+        gameAnalytics
       };
 
       console.log(`🎉 Game session finalized successfully for family ${familyId}`);
@@ -165,6 +230,117 @@ class LeaderboardService {
     }
   }
 
+  /**
+   * Turn a game's recorded answers into trivia_answers rows
+   * Unanswered questions are kept with a null user_answer, and questions that
+   * aren't in the questions table (AI-generated, fallback) with a null question_id
+   * @param {Object} gameState - The final game state with questions and answers
+   * @returns {Array} trivia_answers rows (without session_id; the session is saved with them)
+   */
+  buildAnswerRows(gameState) {
+    return Object.values(gameState.playerAnswers || {}).map(answer => {
+      const question = gameState.questions[answer.questionNumber - 1] || {};
+      const { selectedAnswer } = answer;
+      return {
+        user_id: answer.userId,
+        question_id: UUID_PATTERN.test(String(question.id)) ? question.id : null,
+        question_number: answer.questionNumber,
+        category: question.category || null,
+        difficulty: question.difficulty || null,
+        // Ordering and matching answers are saved as JSON
+        user_answer: selectedAnswer === null || selectedAnswer === undefined
+          ? null
+          : typeof selectedAnswer === 'object' ? JSON.stringify(selectedAnswer) : String(selectedAnswer),
+        is_correct: answer.isCorrect,
+        credit: answer.credit ?? (answer.isCorrect ? 1 : 0),
+        points_earned: answer.pointsEarned || 0,
+        time_taken_seconds: typeof answer.timeTaken === 'number' ? Math.round(answer.timeTaken) : null,
+        answered_at: new Date(answer.submittedAt || Date.now()).toISOString()
+      };
+    });
+  }
+
+  /**
+   * Work out what a game adds to its players' category_stats rows
+   * Only answers a player actually gave count; unanswered questions are left out
+   * @param {Object} gameState - The final game state with questions and answers
+   * @returns {Array} One { user_id, category, player_name, answered, correct, total_credit,
+   *   total_time_seconds, results } per player and category, where results is the credit of each answer, oldest first
+   */
+  buildCategoryResults(gameState) {
+    const categoryResults = new Map();
+
+    Object.values(gameState.playerAnswers || {})
+      .filter(answer => answer.selectedAnswer !== null && answer.selectedAnswer !== undefined)
+      .sort((a, b) => a.questionNumber - b.questionNumber)
+      .forEach(answer => {
+        const category = normalizeCategory(gameState.questions[answer.questionNumber - 1]?.category);
+        if (!category) {
+          return;
+        }
+
+        const key = `${answer.userId}-${category}`;
+        const result = categoryResults.get(key) || {
+          user_id: answer.userId,
+          category,
+          player_name: null,
+          answered: 0,
+          correct: 0,
+          total_credit: 0,
+          total_time_seconds: 0,
+          results: []
+        };
+        const credit = answer.credit ?? (answer.isCorrect ? 1 : 0);
+
+        categoryResults.set(key, {
+          ...result,
+          player_name: answer.playerName || result.player_name,
+          answered: result.answered + 1,
+          correct: result.correct + (answer.isCorrect ? 1 : 0),
+          total_credit: result.total_credit + credit,
+          total_time_seconds: result.total_time_seconds + (typeof answer.timeTaken === 'number' ? answer.timeTaken : 0),
+          results: [...result.results, credit]
+        });
+      });
+
+    return Array.from(categoryResults.values());
+  }
+
+  /**
+   * Rank the teams of a team game by their final score
+   * @param {Object} gameState - The final game state with teams and team scores
+   * @param {Array} players - Array of players
+   * @returns {Array|null} Ranked team results, or null for a solo game
+   */
+  calculateTeamResults(gameState, players) {
+    if (!gameState.teams) {
+      return null;
+    }
+
+    const teamScores = gameState.teamScores || {};
+    const topScore = Math.max(...gameState.teams.map(team => teamScores[team.id] || 0));
+
+    return gameState.teams
+      .map(team => ({
+        teamId: team.id,
+        name: team.name,
+        answerMode: team.answerMode,
+        score: teamScores[team.id] || 0,
+        members: team.members.map(userId => ({
+          userId,
+          playerName: players.find(p => p.userId === userId)?.playerName || null,
+          score: gameState.scores[userId] || 0
+        })),
+        isWinner: (teamScores[team.id] || 0) === topScore
+      }))
+      .sort((a, b) => b.score - a.score)
+      .map((team, index, rankedTeams) => ({
+        ...team,
+        // Tied teams share a rank
+        rank: rankedTeams.findIndex(other => other.score === team.score) + 1
+      }));
+  }
+
   /**
    * Calculate game analytics and insights
    * @param {Object} gameState - The game state with all answers and scores
@@ -179,7 +355,12 @@ class LeaderboardService {
       totalCorrectAnswers: 0,
       totalAnswers: 0,
       accuracyRate: 0,
-      questionStats: {}
+      longestStreak: null,
+      playerLongestStreaks: {},
+      finalWagers: null,
+      lifelineUsage: {},
+      questionStats: {},
+      timingDiscrepancies: []
     };
 
     const scores = Object.values(gameState.scores);
@@ -197,6 +378,68 @@ class LeaderboardService {
       ? Math.round((analytics.totalCorrectAnswers / analytics.totalAnswers) * 100) 
       : 0;
 
+    // Flag answers where the client's reported time disagrees with the server's measurement
+    analytics.timingDiscrepancies = answers
+      .filter(answer => typeof answer.clientTimeTaken === 'number' &&
+        Math.abs(answer.clientTimeTaken - answer.timeTaken) > TIMING_DISCREPANCY_THRESHOLD_SECONDS)
+      .map(answer => ({
+        userId: answer.userId,
+        playerName: answer.playerName,
+        questionNumber: answer.questionNumber,
+        serverTimeTaken: answer.timeTaken,
+        clientTimeTaken: answer.clientTimeTaken,
+        difference: Math.round(Math.abs(answer.clientTimeTaken - answer.timeTaken) * 10) / 10
+      }));
+
+    // Longest run of correct answers in a row each player had during this game
+    players.forEach(player => {
+      const playerAnswers = answers
+        .filter(answer => answer.userId === player.userId)
+        .sort((a, b) => a.questionNumber - b.questionNumber);
+
+      let longest = 0;
+      let current = 0;
+      let previousQuestion = null;
+      playerAnswers.forEach(answer => {
+        // A skipped question (e.g. no buzz in a buzzer game) breaks the run too
+        const followsOn = previousQuestion !== null && answer.questionNumber === previousQuestion + 1;
+        current = answer.isCorrect ? (followsOn ? current + 1 : 1) : 0;
+        longest = Math.max(longest, current);
+        previousQuestion = answer.questionNumber;
+      });
+
+      analytics.playerLongestStreaks[player.userId] = longest;
+
+      if (longest > 0 && (!analytics.longestStreak || longest > analytics.longestStreak.length)) {
+        analytics.longestStreak = { userId: player.userId, playerName: player.playerName, length: longest };
+      }
+    });
+
+    // How many times each lifeline was used across all answers
+    answers.forEach(answer => {
+      Object.keys(answer.lifelinesUsed || {}).forEach(lifeline => {
+        analytics.lifelineUsage[lifeline] = (analytics.lifelineUsage[lifeline] || 0) + 1;
+      });
+    });
+
+    // How each player's final wager played out (games with the finalWager rule only)
+    if (gameState.finalWagers) {
+      const finalQuestionNumber = gameState.questions.length;
+      analytics.finalWagers = players.map(player => {
+        const finalAnswer = answers.find(answer =>
+          answer.userId === player.userId && answer.questionNumber === finalQuestionNumber
+        );
+        return {
+          userId: player.userId,
+          playerName: player.playerName,
+          wager: gameState.finalWagers[player.userId] ?? 0,
+          // null when the game ended before the final question was answered
+          isCorrect: finalAnswer ? finalAnswer.isCorrect : null,
+          pointsEarned: finalAnswer ? finalAnswer.pointsEarned : 0
+        };
+      });
+    }
+
     // Question-level analytics
     gameState.questions.forEach((question, index) => {
       const questionNumber = index + 1;
@@ -225,22 +468,159 @@ class LeaderboardService {
    */
   async getFamilyLeaderboard(familyId, limit = 10) {
     try {
-      // Return mock leaderboard for testing
-      const familyLeaderboard = Array.from(this.mockStorage.leaderboards.values())
-        .filter(entry => entry.family_id === familyId)
-        .sort((a, b) => b.total_score - a.total_score)
-        .slice(0, limit)
-        .map(entry => ({
-          ...entry,
-          users: { id: entry.user_id, email: `user-${entry.user_id}@example.com` }
-        }));
-
-      return familyLeaderboard;
+      return await this.repository.getFamilyLeaderboard(familyId, limit);
     } catch (error) {
       console.error('❌ Error getting family leaderboard:', error);
       throw error;
     }
   }
+
+  /**
+   * Get a family leaderboard over a window, worked out from the games completed in it
+   * so players who've been around longest don't stay on top forever
+   * @param {string} familyId - The family identifier
+   * @param {string} window - One of LEADERBOARD_WINDOWS (see utils/leaderboardWindows.js)
+   * @param {Date} now - The current time
+   * @returns {Promise<Object>} { window, since, leaderboard } with every player who played in the window, ranked
+   */
+  async getWindowedLeaderboard(familyId, window = 'all', now = new Date()) {
+    try {
+      const since = getWindowStart(window, now);
+      const sessions = await this.repository.getCompletedSessions(familyId, since);
+
+      return {
+        window,
+        since: since ? since.toISOString() : null,
+        leaderboard: this.rankSessionHistory(sessions)
+      };
+    } catch (error) {
+      console.error('❌ Error getting windowed family leaderboard:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Get every family member's per-category mastery: how many questions they've answered
+   * in each category, how well and how fast, whether they're getting better, their
+   * strongest categories and the categories they're the family expert in
+   * @param {string} familyId - The family identifier
+   * @returns {Promise<Array>} Members ({ user_id, player_name, categories, strengths, expert_in })
+   */
+  async getFamilyCategoryStats(familyId) {
+    try {
+      const stats = await this.repository.getCategoryStats(familyId);
+
+      const categoryEntries = stats.map(stat => ({
+        user_id: stat.user_id,
+        player_name: stat.player_name,
+        category: stat.category,
+        answered: stat.answered,
+        correct: stat.correct,
+        // Share of the category's answers that were right, partly right answers counting for their share
+        accuracy: stat.answered > 0 ? Math.round((Number(stat.total_credit) / stat.answered) * 100) : 0,
+        average_time_seconds: stat.answered > 0
+          ? Math.round((Number(stat.total_time_seconds) / stat.answered) * 10) / 10
+          : null,
+        trend: getCategoryTrend(stat.recent_results || []),
+        last_answered_at: stat.last_answered_at
+      }));
+
+      // The family expert in a category: the best accuracy among members with enough answers (more answers breaks ties)
+      const experts = {};
+      categoryEntries
+        .filter(entry => entry.answered >= MIN_ANSWERS_FOR_STRENGTH)
+        .forEach(entry => {
+          const expert = experts[entry.category];
+          if (!expert || entry.accuracy > expert.accuracy ||
+            (entry.accuracy === expert.accuracy && entry.answered > expert.answered)) {
+            experts[entry.category] = entry;
+          }
+        });
+
+      const members = new Map();
+      categoryEntries.forEach(entry => {
+        const member = members.get(entry.user_id) || { user_id: entry.user_id, player_name: null, categories: [] };
+        const { user_id: userId, player_name: playerName, ...categoryStats } = entry;
+        member.player_name = member.player_name || playerName;
+        member.categories.push(categoryStats);
+        members.set(userId, member);
+      });
+
+      return Array.from(members.values()).map(member => {
+        const categories = member.categories.sort((a, b) => b.accuracy - a.accuracy || b.answered - a.answered);
+        return {
+          ...member,
+          categories,
+          strengths: categories
+            .filter(category => category.answered >= MIN_ANSWERS_FOR_STRENGTH && category.accuracy >= MIN_STRENGTH_ACCURACY)
+            .slice(0, 3)
+            .map(category => category.category),
+          expert_in: categories
+            .filter(category => experts[category.category]?.user_id === member.user_id)
+            .map(category => category.category)
+        };
+      });
+    } catch (error) {
+      console.error('❌ Error getting family category stats:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Total up completed sessions into ranked leaderboard entries
+   * Entries have the same stats as the leaderboards table, counted over these sessions only;
+   * players with the same total_score and games_won share a rank
+   * @param {Array} sessions - Completed trivia_sessions rows, oldest first
+   * @returns {Array} Leaderboard entries, highest total_score first
+   */
+  rankSessionHistory(sessions) {
+    const entries = new Map();
+
+    sessions.forEach(session => {
+      const scores = session.scores || {};
+      const rawScores = session.game_data?.playerRawScores || {};
+      const answers = Object.values(session.game_data?.playerAnswers || {});
+      const topScore = Math.max(0, ...Object.values(scores));
+
+      Object.entries(scores).forEach(([userId, score]) => {
+        const entry = entries.get(userId) || {
+          user_id: userId,
+          player_name: null,
+          total_score: 0,
+          raw_total_score: 0,
+          games_played: 0,
+          games_won: 0,
+          current_streak: 0,
+          best_streak: 0,
+          average_score: 0,
+          last_played_at: null
+        };
+
+        entry.total_score += score;
+        entry.raw_total_score += rawScores[userId] ?? score;
+        entry.games_played += 1;
+        entry.games_won += topScore > 0 && score === topScore ? 1 : 0;
+        // Streak: consecutive games with score > 0
+        entry.current_streak = score > 0 ? entry.current_streak + 1 : 0;
+        entry.best_streak = Math.max(entry.best_streak, entry.current_streak);
+        entry.average_score = Math.round((entry.total_score / entry.games_played) * 100) / 100;
+        entry.last_played_at = session.completed_at;
+        // The name the player used in their latest game
+        entry.player_name = answers.find(answer => answer.userId === userId)?.playerName || entry.player_name;
+
+        entries.set(userId, entry);
+      });
+    });
+
+    return Array.from(entries.values())
+      .sort((a, b) => b.total_score - a.total_score || b.games_won - a.games_won)
+      .map((entry, index, ranked) => ({
+        ...entry,
+        rank: ranked.findIndex(other =>
+          other.total_score === entry.total_score && other.games_won === entry.games_won
+        ) + 1
+      }));
+  }
 }
 
 // Export singleton instance
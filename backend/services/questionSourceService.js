@@ -0,0 +1,229 @@
+/**
+ * Question Source Service - Picks the questions for a game (real-time and REST sessions)
+ * Tries AI generation first, then the questions table, then fallback questions.
+ * AI-generated questions are saved to the questions table so answers to them
+ * can be tracked like any other question's.
+ */
+
+const { createClient } = require('@supabase/supabase-js');
+const { attachMediaUrl } = require('../utils/mediaStore');
+
+// Columns a game needs from the questions table (answers stay on the server)
+const QUESTION_COLUMNS = 'id, category, question, type, choices, answer, accepted_answers, tolerance, answer_key, media_type, media_path, difficulty, fun_fact, hint, time_limit, points';
+
+// Last-resort questions used when neither AI nor the database can provide any
+const HARDCODED_FALLBACK_QUESTIONS = [
+  {
+    id: '1',
+    category: 'general_knowledge',
+    question: 'What is the capital of France?',
+    choices: ['London', 'Berlin', 'Paris', 'Madrid'],
+    answer: 'Paris',
+    difficulty: 'easy',
+    time_limit: 20,
+    points: 100
+  },
+  {
+    id: '2',
+    category: 'science',
+    question: 'What is H2O commonly known as?',
+    choices: ['Hydrogen', 'Water', 'Oxygen', 'Salt'],
+    answer: 'Water',
+    difficulty: 'easy',
+    time_limit: 20,
+    points: 100
+  },
+  {
+    id: '3',
+    category: 'animals',
+    question: 'How many legs does a spider have?',
+    choices: ['6', '8', '10', '12'],
+    answer: '8',
+    difficulty: 'medium',
+    time_limit: 30,
+    points: 150
+  },
+  {
+    id: '4',
+    category: 'geography',
+    question: 'Which is the largest ocean?',
+    choices: ['Atlantic', 'Pacific', 'Indian', 'Arctic'],
+    answer: 'Pacific',
+    difficulty: 'medium',
+    time_limit: 30,
+    points: 150
+  },
+  {
+    id: '5',
+    category: 'riddles',
+    question: 'What has hands but cannot clap?',
+    choices: ['A statue', 'A clock', 'A mannequin', 'A robot'],
+    answer: 'A clock',
+    difficulty: 'easy',
+    time_limit: 20,
+    points: 100,
+    hint: 'It helps you tell time!'
+  }
+];
+
+class QuestionSourceService {
+  /**
+   * Load questions for a game, falling back through every available source
+   * @param {Object} options - Game options
+   * @param {string} options.familyId - The family identifier
+   * @param {Array} options.topics - Requested topics
+   * @param {string} options.difficulty - Requested difficulty
+   * @param {string} options.ageGroup - Requested age group
+   * @param {boolean} options.useAi - Whether to try AI generation for the topics (default true)
+   * @param {string} options.createdBy - User ID saved as the creator of AI-generated questions
+   * @returns {Promise<Object>} { questions, generationSource }
+   */
+  async loadQuestions({ familyId, topics = [], difficulty = 'mixed', ageGroup = 'mixed', useAi = true, createdBy = null }) {
+    // Generate AI-powered questions
+    let questions = [];
+    let generationSource = 'database';
+
+    try {
+      const enhancedGptTriviaService = require('./enhancedGptTriviaService');
+      const topicService = require('./topicService');
+
+      const supabaseUrl = process.env.SUPABASE_URL;
+      const supabaseKey = process.env.SUPABASE_SERVICE_ROLE_KEY;
+
+      if (supabaseUrl && supabaseKey && supabaseUrl !== 'your-supabase-url') {
+        const supabase = createClient(supabaseUrl, supabaseKey);
+
+        // Try AI generation first
+        if (useAi && topics && topics.length > 0) {
+          console.log('🤖 Generating AI questions with topics:', topics);
+
+          // Validate and normalize topics
+          const validationResult = topicService.validateTopicSelection(topics, {
+            ageGroup,
+            maxTopics: 5
+          });
+
+          const validTopics = validationResult.valid;
+
+          // Convert topics to category weights
+          const categoryWeights = {};
+          validTopics.forEach(topic => {
+            categoryWeights[topic] = 1.0 / validTopics.length;
+          });
+
+          // Generate AI questions
+          const aiResult = await enhancedGptTriviaService.generatePersonalizedTrivia({
+            familyId,
+            ageGroup,
+            difficultyLevel: difficulty,
+            categories: categoryWeights,
+            useCache: true
+          });
+
+          if (aiResult.success && aiResult.data.questions.length > 0) {
+            const generatedQuestions = aiResult.data.questions.map(q => ({
+              id: q.id,
+              category: q.category,
+              question: q.question,
+              type: q.type,
+              choices: q.choices,
+              answer: q.correct_answer,
+              accepted_answers: q.accepted_answers,
+              tolerance: q.tolerance,
+              answer_key: q.answer_key,
+              difficulty: q.difficulty,
+              fun_fact: q.fun_fact,
+              hint: q.hint,
+              time_limit: q.timeLimit,
+              points: q.points
+            }));
+
+            // Store AI-generated questions in database for future use
+            const { data: insertedQuestions, error: insertError } = await supabase
+              .from('questions')
+              .insert(generatedQuestions.map(({ id, ...q }) => ({
+                ...q,
+                created_by: createdBy,
+                generation_source: 'enhanced-ai',
+                metadata: {
+                  ai_generated: true,
+                  topics_requested: topics,
+                  personalized: true
+                }
+              })))
+              .select(QUESTION_COLUMNS);
+
+            if (insertError) {
+              console.warn('⚠️ Could not store AI questions, playing them unsaved:', insertError.message);
+            }
+            questions = !insertError && insertedQuestions ? insertedQuestions : generatedQuestions;
+            generationSource = 'ai-personalized';
+            console.log('✅ AI questions generated successfully');
+          }
+        }
+
+        // If no AI questions, try database
+        if (questions.length === 0) {
+          console.log('📚 Fetching questions from database');
+
+          let query = supabase
+            .from('questions')
+            .select(QUESTION_COLUMNS);
+
+          // Filter by topics if specified
+          if (topics && topics.length > 0) {
+            const normalizedTopics = topicService.normalizeTopicNames(topics);
+            query = query.in('category', normalizedTopics);
+          }
+
+          // Filter by difficulty if specified
+          if (difficulty && difficulty !== 'mixed') {
+            query = query.eq('difficulty', difficulty);
+          }
+
+          let { data: fetchedQuestions, error: questionsError } = await query.limit(20);
+
+          // If no questions match the filters, try without them
+          if (!questionsError && (!fetchedQuestions || fetchedQuestions.length === 0)) {
+            ({ data: fetchedQuestions, error: questionsError } = await supabase
+              .from('questions')
+              .select(QUESTION_COLUMNS)
+              .limit(20));
+          }
+
+          if (!questionsError && fetchedQuestions && fetchedQuestions.length > 0) {
+            questions = fetchedQuestions.map(question => attachMediaUrl(question));
+            generationSource = 'database';
+          }
+        }
+      }
+    } catch (error) {
+      console.error('⚠️ Error generating questions:', error);
+    }
+
+    // Ultimate fallback: use basic test questions if nothing else works
+    if (questions.length === 0) {
+      console.warn('⚠️ Using fallback test questions');
+
+      // Import the enhanced service for fallback questions
+      try {
+        const enhancedGptTriviaService = require('./enhancedGptTriviaService');
+        const fallbackResult = await enhancedGptTriviaService.generateSimpleTrivia(ageGroup, difficulty);
+
+        if (fallbackResult.success && fallbackResult.data.questions.length > 0) {
+          questions = fallbackResult.data.questions;
+          generationSource = 'fallback-ai';
+        }
+      } catch (fallbackError) {
+        // Last resort: hardcoded questions
+        questions = HARDCODED_FALLBACK_QUESTIONS.map(q => ({ ...q }));
+        generationSource = 'hardcoded-fallback';
+      }
+    }
+
+    return { questions, generationSource };
+  }
+}
+
+// Export singleton instance
+module.exports = new QuestionSourceService();
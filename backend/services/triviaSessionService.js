@@ -0,0 +1,305 @@
+/**
+ * Trivia Session Service - The session model shared by real-time and REST games
+ * Picks a game's questions, scores and records answers, and saves the session,
+ * so a game produces the same trivia_sessions record, trivia_answers rows and
+ * leaderboard changes whether it was played over sockets (GameEngine) or
+ * through the /trivia REST endpoints.
+ *
+ * A game's state is the object GameEngine keeps on the room:
+ * { questions, scores, rawScores, playerAnswers, finalWagers, startedAt, metadata: { rules, generationSource } }
+ */
+
+const defaultLeaderboardService = require('./leaderboardService');
+const { NO_HANDICAP } = require('../utils/handicaps');
+const { getComboMultiplier, isValidWager, scoreAnswer } = require('../utils/scoring');
+const { PARTIAL_CREDIT_TYPES, getQuestionType } = require('../utils/grading');
+
+// How many times an answer to a REST session is recorded again when other answers keep being saved first
+const SAVE_PROGRESS_ATTEMPTS = 3;
+
+/**
+ * Count a player's correct answers in a row leading up to a question
+ * @param {Object} gameState - Game state
+ * @param {string} userId - The player's user ID
+ * @param {number} questionNumber - 1-based question number (not counted itself)
+ * @returns {number} Streak length
+ */
+const getAnswerStreak = (gameState, userId, questionNumber) => {
+  const playerAnswers = gameState.playerAnswers || {};
+  let streak = 0;
+  for (let n = questionNumber - 1; n >= 1 && playerAnswers[`${userId}-q${n}`]?.isCorrect; n--) {
+    streak++;
+  }
+  return streak;
+};
+
+class TriviaSessionService {
+  /**
+   * @param {Object} options - Service dependencies
+   * @param {Object} options.leaderboardService - Finalizes sessions (defaults to the shared LeaderboardService)
+   * @param {Object} options.repository - Where sessions are saved (defaults to the leaderboard service's repository)
+   */
+  constructor({
+    leaderboardService = defaultLeaderboardService,
+    repository = leaderboardService.repository
+  } = {}) {
+    this.leaderboardService = leaderboardService;
+    this.repository = repository;
+  }
+
+  /**
+   * Pick a game's questions: shuffle them, take the game's worth and apply the time and hint rules
+   * @param {Array} questions - Candidate questions
+   * @param {Object} rules - Validated game rules (see validateGameRules)
+   * @returns {Array} The game's questions
+   */
+  selectQuestions(questions, rules) {
+    return [...questions]
+      .sort(() => Math.random() - 0.5)
+      .slice(0, rules.questionCount)
+      .map(q => ({
+        ...q,
+        ...(rules.timeLimitSeconds && { time_limit: rules.timeLimitSeconds }),
+        ...(!rules.hintsAllowed && { hint: undefined })
+      }));
+  }
+
+  /**
+   * Check whether a question is the final wager question of a game
+   * @param {Object} gameState - Game state
+   * @param {number} questionNumber - 1-based question number
+   * @returns {boolean} True when the finalWager rule is on and this is the last question
+   */
+  isFinalWagerQuestion(gameState, questionNumber) {
+    return !!gameState.metadata?.rules?.finalWager && questionNumber === gameState.questions.length;
+  }
+
+  /**
+   * Score a player's answer to a question with the game's rules
+   * The final wager question wins or loses exactly the player's locked wager
+   * (players who joined after the wagers were locked staked nothing)
+   * @param {Object} gameState - Game state
+   * @param {Object} player - { userId, handicap } (a player who left may be missing)
+   * @param {number} questionNumber - 1-based question number
+   * @param {Object} answer - { isCorrect, credit, timeTaken, wager } (wager only counts outside the final round, with 'wager' scoring)
+   * @returns {Object} { pointsEarned, rawPoints, handicap, combo, comboMultiplier, isFinalRound, wager }
+   */
+  scoreAnswer(gameState, player, questionNumber, { isCorrect, credit, timeTaken, wager: answerWager }) {
+    const { rules } = gameState.metadata;
+    const question = gameState.questions[questionNumber - 1];
+
+    // The player's handicap (unless the game's rules turn handicaps off)
+    const handicap = (rules.handicaps !== false && player?.handicap) || NO_HANDICAP;
+
+    const isFinalRound = this.isFinalWagerQuestion(gameState, questionNumber);
+    const wager = isFinalRound ? (gameState.finalWagers?.[player?.userId] ?? 0) : answerWager;
+
+    // Combo: correct answers in a row including this one (only 'streak' scoring multiplies points by it)
+    const streak = getAnswerStreak(gameState, player?.userId, questionNumber);
+    const combo = isCorrect ? streak + 1 : 0;
+    const comboMultiplier = rules.scoring === 'streak' && !isFinalRound ? getComboMultiplier(combo) : 1;
+
+    // Score the answer with the game's scoring strategy
+    // rawPoints is what the answer would score without a handicap; both are kept for the leaderboard
+    // A wager already came out of a handicapped score, so the handicap isn't applied to it again
+    const { points, rawPoints } = scoreAnswer(isFinalRound ? 'wager' : rules.scoring, {
+      isCorrect,
+      credit,
+      difficulty: question.difficulty,
+      basePoints: question.points || 100,
+      timeLimit: question.time_limit || 30,
+      timeTaken,
+      timeBonus: rules.timeBonus,
+      streak,
+      wager
+    }, isFinalRound ? NO_HANDICAP : handicap);
+
+    return { pointsEarned: points, rawPoints, handicap, combo, comboMultiplier, isFinalRound, wager };
+  }
+
+  /**
+   * Score a graded answer and record it in the game state, adding its points to the player's scores
+   * @param {Object} gameState - Game state (updated in place)
+   * @param {Object} player - { userId, playerName, handicap }
+   * @param {number} questionNumber - 1-based question number
+   * @param {Object} answer - { selectedAnswer, isCorrect, credit, distance, timeTaken, wager, submittedAt }
+   * @param {Object} details - Extra fields kept on the answer record (e.g. lifelinesUsed, clientTimeTaken)
+   * @returns {Object} The answer record, with the scoring result ({ record, pointsEarned, rawPoints, ... })
+   */
+  recordAnswer(gameState, player, questionNumber, answer, details = {}) {
+    const { selectedAnswer, isCorrect, credit, distance, timeTaken, submittedAt = new Date() } = answer;
+    const question = gameState.questions[questionNumber - 1];
+    const score = this.scoreAnswer(gameState, player, questionNumber, answer);
+    const { pointsEarned, rawPoints, handicap, combo, comboMultiplier, wager } = score;
+
+    const record = {
+      userId: player.userId,
+      playerName: player.playerName,
+      questionNumber,
+      selectedAnswer,
+      correctAnswer: question.answer,
+      isCorrect,
+      ...(typeof distance === 'number' && { distance }),
+      ...(PARTIAL_CREDIT_TYPES.includes(getQuestionType(question)) && { credit }),
+      pointsEarned,
+      rawPoints,
+      handicap: { pointsMultiplier: handicap.pointsMultiplier, extraSeconds: handicap.extraSeconds },
+      combo,
+      comboMultiplier,
+      ...(typeof wager === 'number' && { wager }),
+      ...details,
+      timeTaken,
+      submittedAt
+    };
+
+    if (!gameState.playerAnswers) {
+      gameState.playerAnswers = {};
+    }
+    if (!gameState.rawScores) {
+      gameState.rawScores = {};
+    }
+    gameState.playerAnswers[`${player.userId}-q${questionNumber}`] = record;
+    gameState.scores[player.userId] = (gameState.scores[player.userId] || 0) + pointsEarned;
+    gameState.rawScores[player.userId] = (gameState.rawScores[player.userId] || 0) + rawPoints;
+
+    return { record, ...score };
+  }
+
+  /**
+   * Start a session that's played through the REST endpoints
+   * The trivia_sessions row is saved straight away (not completed) and keeps the game's progress
+   * @param {string} familyId - The family identifier
+   * @param {string} userId - The player starting the session
+   * @param {Object} options - { questions, generationSource, rules, topics, difficulty, ageGroup }
+   * @returns {Promise<Object>} { session, gameState }
+   */
+  async startSession(familyId, userId, { questions, generationSource, rules, topics = [], difficulty = 'mixed', ageGroup = 'mixed' }) {
+    const gameState = {
+      questions,
+      scores: {},
+      rawScores: {},
+      playerAnswers: {},
+      finalWagers: null,
+      startedAt: new Date(),
+      metadata: { generationSource, topics, difficulty, ageGroup, rules }
+    };
+
+    const session = await this.repository.createSession(
+      this.leaderboardService.buildSessionRow(familyId, gameState, [{ userId, isHost: true }])
+    );
+    console.log(`🎮 Started trivia session ${session.id} for family ${familyId}`);
+
+    return { session, gameState };
+  }
+
+  /**
+   * Rebuild a REST session's game state from its trivia_sessions row
+   * @param {Object} session - trivia_sessions row
+   * @returns {Object} Game state
+   */
+  restoreGameState(session) {
+    const gameData = session.game_data || {};
+    const sessionConfig = session.session_config || {};
+    return {
+      questions: gameData.questions || (session.questions_used || []).map(id => ({ id })),
+      scores: { ...(session.scores || {}) },
+      rawScores: { ...(gameData.playerRawScores || {}) },
+      playerAnswers: { ...(gameData.playerAnswers || {}) },
+      finalWagers: null,
+      startedAt: session.started_at,
+      metadata: {
+        generationSource: gameData.generationSource || null,
+        topics: sessionConfig.topics || [],
+        difficulty: sessionConfig.difficulty || 'mixed',
+        ageGroup: sessionConfig.age_group || 'mixed',
+        rules: sessionConfig.rules || {}
+      }
+    };
+  }
+
+  /**
+   * Work out who played a REST session: whoever started it or answered a question
+   * @param {Object} session - trivia_sessions row
+   * @param {Object} gameState - The session's game state
+   * @returns {Array} Players ({ userId, playerName, handicap, isHost })
+   */
+  restorePlayers(session, gameState) {
+    const userIds = [...new Set([session.started_by, ...Object.keys(gameState.scores)])];
+    const answers = Object.values(gameState.playerAnswers);
+
+    return userIds.map(userId => {
+      const lastAnswer = answers
+        .filter(answer => answer.userId === userId)
+        .sort((a, b) => b.questionNumber - a.questionNumber)[0];
+      return {
+        userId,
+        playerName: lastAnswer?.playerName || 'Player',
+        handicap: lastAnswer?.handicap || null,
+        isHost: userId === session.started_by
+      };
+    });
+  }
+
+  /**
+   * Record an answer to a REST session and save the session's progress (scores and recorded answers)
+   * The progress is only saved if no other answer was saved since the session was read (its
+   * progress_version); otherwise the session is read again and the answer recorded on top,
+   * so answers submitted at the same time are all kept
+   * @param {Object} session - trivia_sessions row
+   * @param {Object} player - { userId, playerName, handicap }
+   * @param {number} questionNumber - 1-based question number
+   * @param {Object} question - The question's details (answer, type, difficulty, points...)
+   * @param {Object} answer - { selectedAnswer, isCorrect, credit, distance, timeTaken, wager }
+   * @returns {Promise<Object>} { success, gameState, ...recordAnswer result } or { success: false, error }
+   */
+  async recordSessionAnswer(session, player, questionNumber, question, answer) {
+    let currentSession = session;
+
+    for (let attempt = 0; attempt < SAVE_PROGRESS_ATTEMPTS; attempt++) {
+      const gameState = this.restoreGameState(currentSession);
+      if (gameState.playerAnswers[`${player.userId}-q${questionNumber}`]) {
+        return { success: false, error: 'You have already answered this question' };
+      }
+      gameState.questions[questionNumber - 1] = { ...gameState.questions[questionNumber - 1], ...question };
+
+      // Only a whole-number wager the player can cover counts
+      const wager = isValidWager(answer.wager, gameState.scores[player.userId] || 0) ? answer.wager : undefined;
+      const result = this.recordAnswer(gameState, player, questionNumber, { ...answer, wager });
+
+      const savedSession = await this.repository.saveSessionProgress(
+        currentSession.id,
+        currentSession.progress_version || 0,
+        { scores: gameState.scores, game_data: this.leaderboardService.buildGameData(gameState, []) }
+      );
+      if (savedSession) {
+        return { success: true, gameState, ...result };
+      }
+
+      currentSession = await this.repository.getSession(currentSession.id);
+      if (!currentSession || currentSession.completed) {
+        return { success: false, error: 'This session has already been completed' };
+      }
+    }
+
+    return { success: false, error: 'Too many answers were saved at once, please try again' };
+  }
+
+  /**
+   * Complete a REST session: saves its answers and updates the leaderboard
+   * exactly like a finished real-time game
+   * @param {Object} session - trivia_sessions row
+   * @returns {Promise<Object>} Final results (see LeaderboardService.finalizeGameSession)
+   */
+  async completeSession(session) {
+    const gameState = this.restoreGameState(session);
+    return this.leaderboardService.finalizeGameSession(
+      session.family_id,
+      gameState,
+      this.restorePlayers(session, gameState),
+      { sessionId: session.id }
+    );
+  }
+}
+
+// Export singleton instance
+module.exports = new TriviaSessionService();
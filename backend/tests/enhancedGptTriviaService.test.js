@@ -0,0 +1,135 @@
+const { describe, it, beforeEach, afterEach } = require('node:test');
+const assert = require('node:assert/strict');
+
+// The service sets up its OpenAI client when it's loaded; the analysis never calls it
+process.env.OPENAI_API_KEY = process.env.OPENAI_API_KEY || 'test-key';
+
+const leaderboardService = require('../services/leaderboardService');
+const enhancedGptTriviaService = require('../services/enhancedGptTriviaService');
+const { MemoryLeaderboardRepository } = require('../utils/leaderboardRepository');
+
+const FAMILY_ID = 'family-1';
+
+describe('analyzeFamilyPerformance', () => {
+  let repository;
+  let savedRepository;
+  let gameCount;
+
+  /**
+   * Save a completed game and the answers given in it, one per question
+   * @param {Array} answers - { category, difficulty, isCorrect } (isCorrect null for a question left unanswered)
+   */
+  const playGame = (answers) => {
+    gameCount++;
+    const sessionId = `session-${gameCount}`;
+    const questionIds = answers.map((answer, index) => `${sessionId}-q${index + 1}`);
+    repository.sessions.set(sessionId, {
+      id: sessionId,
+      family_id: FAMILY_ID,
+      completed: true,
+      completed_at: new Date(Date.UTC(2026, 0, 1, 19, gameCount)).toISOString(),
+      questions_used: questionIds
+    });
+    answers.forEach(({ category, difficulty = 'medium', isCorrect }, index) => repository.answers.push({
+      session_id: sessionId,
+      question_id: questionIds[index],
+      category,
+      difficulty,
+      user_answer: isCorrect === null ? null : 'answer',
+      is_correct: !!isCorrect,
+      time_taken_seconds: 10
+    }));
+  };
+
+  // One game's worth of answers in a category, the first `correct` of them right
+  const answersIn = (category, count, correct, difficulty) =>
+    Array.from({ length: count }, (_, index) => ({ category, difficulty, isCorrect: index < correct }));
+
+  beforeEach(() => {
+    savedRepository = leaderboardService.repository;
+    repository = new MemoryLeaderboardRepository();
+    leaderboardService.repository = repository;
+    gameCount = 0;
+  });
+
+  afterEach(() => {
+    leaderboardService.repository = savedRepository;
+  });
+
+  it('has nothing to go on for a family without games', async () => {
+    assert.deepEqual(await enhancedGptTriviaService.analyzeFamilyPerformance(FAMILY_ID), {
+      gamesPlayed: 0,
+      questionsAnswered: 0,
+      averageScore: 0,
+      averageAnswerTime: null,
+      recommendedDifficulty: 'intermediate',
+      categoryPerformance: {},
+      difficultyPerformance: {},
+      strongCategories: [],
+      weakCategories: [],
+      preferredCategories: null,
+      bestTimeOfDay: null,
+      recentQuestionIds: []
+    });
+  });
+
+  it('rates categories once they have enough answers, at the strong and weak thresholds', async () => {
+    playGame([
+      ...answersIn('Science', 10, 7), // 0.7: strong
+      ...answersIn('History', 10, 5), // 0.5: neither
+      ...answersIn('Music', 10, 4), // 0.4: weak
+      ...answersIn('Art', 2, 0) // Too few answers to rate
+    ]);
+
+    const analysis = await enhancedGptTriviaService.analyzeFamilyPerformance(FAMILY_ID);
+    assert.deepEqual(analysis.strongCategories, ['science']);
+    assert.deepEqual(analysis.weakCategories, ['music']);
+    assert.deepEqual(analysis.categoryPerformance.art, { answered: 2, accuracy: 0 });
+    assert.equal(analysis.questionsAnswered, 32);
+    assert.equal(analysis.averageAnswerTime, 10);
+    assert.equal(analysis.bestTimeOfDay, 'evening');
+  });
+
+  it('only recommends expert to a family that gets most hard questions right', async () => {
+    playGame(answersIn('science', 9, 9, 'easy'));
+    let analysis = await enhancedGptTriviaService.analyzeFamilyPerformance(FAMILY_ID);
+    assert.equal(analysis.recommendedDifficulty, 'intermediate', 'too few answers to judge');
+
+    playGame(answersIn('science', 1, 1, 'easy'));
+    analysis = await enhancedGptTriviaService.analyzeFamilyPerformance(FAMILY_ID);
+    assert.equal(analysis.averageScore, 1);
+    assert.equal(analysis.recommendedDifficulty, 'advanced', 'no hard questions answered yet');
+
+    playGame(answersIn('science', 3, 2, 'hard'));
+    analysis = await enhancedGptTriviaService.analyzeFamilyPerformance(FAMILY_ID);
+    assert.equal(analysis.recommendedDifficulty, 'advanced', 'hard accuracy of 0.67');
+
+    playGame(answersIn('science', 3, 3, 'hard'));
+    analysis = await enhancedGptTriviaService.analyzeFamilyPerformance(FAMILY_ID);
+    assert.equal(analysis.recommendedDifficulty, 'expert');
+
+    playGame(answersIn('science', 14, 0, 'easy'));
+    analysis = await enhancedGptTriviaService.analyzeFamilyPerformance(FAMILY_ID);
+    assert.equal(analysis.recommendedDifficulty, 'intermediate');
+  });
+
+  it("only analyzes the family's latest 50 games", async () => {
+    playGame(answersIn('art', 5, 0));
+    for (let game = 0; game < 50; game++) {
+      playGame([{ category: 'science', isCorrect: true }, { category: 'science', isCorrect: null }]);
+    }
+    // A question of the latest game was shown, but its answer wasn't saved
+    repository.sessions.get('session-51').questions_used.push('session-51-unsaved');
+    // question_performance counts every time a question was shown, in any game
+    repository.questionPerformance.push(
+      { family_id: FAMILY_ID, question_id: 'session-51-unsaved', category: 'science', difficulty: 'medium', times_shown: 1, times_correct: 0 },
+      { family_id: FAMILY_ID, question_id: 'session-1-q1', category: 'art', difficulty: 'medium', times_shown: 4, times_correct: 0 }
+    );
+
+    const analysis = await enhancedGptTriviaService.analyzeFamilyPerformance(FAMILY_ID);
+    assert.equal(analysis.gamesPlayed, 50);
+    assert.deepEqual(analysis.categoryPerformance, { science: { answered: 51, accuracy: 0.98 } });
+    assert.equal(analysis.recentQuestionIds.length, 21);
+    assert.ok(analysis.recentQuestionIds.includes('session-51-q1'));
+  });
+});
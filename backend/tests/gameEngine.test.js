@@ -0,0 +1,332 @@
+const { describe, it, beforeEach, afterEach, mock } = require('node:test');
+const assert = require('node:assert/strict');
+
+const GameEngine = require('../services/gameEngine');
+const gameService = require('../services/gameService');
+const leaderboardService = require('../services/leaderboardService');
+const triviaSessionService = require('../services/triviaSessionService');
+const { MemoryLeaderboardRepository } = require('../utils/leaderboardRepository');
+const { MemoryRoomStore } = require('../utils/roomStore');
+
+// Fresh services for every game (the exported services are singletons)
+const GameService = gameService.constructor;
+const LeaderboardService = leaderboardService.constructor;
+const TriviaSessionService = triviaSessionService.constructor;
+
+const FAMILY_ID = 'family-1';
+const OTHER_FAMILY_ID = 'family-2';
+
+const QUESTIONS = [
+  {
+    id: 'q-capital',
+    category: 'geography',
+    question: 'What is the capital of France?',
+    choices: ['Rome', 'Paris', 'Madrid', 'Berlin'],
+    answer: 'Paris',
+    fun_fact: 'Paris was called Lutetia in Roman times.',
+    difficulty: 'easy'
+  },
+  {
+    id: 'q-planets',
+    type: 'ordering',
+    category: 'science',
+    question: 'Put these planets in order from the Sun',
+    choices: ['Mars', 'Venus', 'Earth'],
+    answer_key: ['Venus', 'Earth', 'Mars'],
+    answer: 'Venus, Earth, Mars',
+    difficulty: 'medium'
+  },
+  {
+    id: 'q-capitals',
+    type: 'matching',
+    category: 'geography',
+    question: 'Match each country to its capital',
+    choices: ['Rome', 'Paris'],
+    answer_key: { France: 'Paris', Italy: 'Rome' },
+    answer: 'France: Paris, Italy: Rome',
+    difficulty: 'hard'
+  },
+  {
+    id: 'q-ocean',
+    type: 'free_text',
+    category: 'geography',
+    question: 'What is the largest ocean?',
+    answer: 'Pacific',
+    accepted_answers: ['Pacific Ocean'],
+    difficulty: 'easy'
+  }
+];
+
+// What each player answers to each question (questions are shuffled, so they're looked up by ID)
+const ANSWERS = {
+  'q-capital': { 'socket-ann': 'Paris', 'socket-ben': 'Rome' },
+  'q-planets': { 'socket-ann': ['Venus', 'Earth', 'Mars'], 'socket-ben': ['Venus', 'Earth', 'Mars'] },
+  'q-capitals': { 'socket-ann': { France: 'Paris', Italy: 'Rome' }, 'socket-ben': { France: 'Paris', Italy: 'Paris' } },
+  'q-ocean': { 'socket-ann': 'Pacific', 'socket-ben': 'pacific ocean' }
+};
+
+// No time bonus, so the scores don't depend on how fast the test runs
+const RULES = { questionCount: QUESTIONS.length, revealDelaySeconds: 0, timeBonus: false };
+
+/**
+ * Set up a game engine that plays the given questions over in-memory services and a fake transport
+ * that records every emit the way a socket would send it (serialized at the time of the emit)
+ */
+const createGame = (questions = QUESTIONS) => {
+  const events = [];
+  const record = (to, event, payload) => events.push({ to, event, payload: JSON.parse(JSON.stringify(payload)) });
+
+  const repository = new MemoryLeaderboardRepository();
+  const gameLeaderboard = new LeaderboardService(repository);
+  const gameRooms = new GameService(new MemoryRoomStore());
+  const engine = new GameEngine({
+    transport: {
+      emitToRoom: (familyId, event, payload) => record('room', event, payload),
+      emitToPlayer: (socketId, event, payload) => record(socketId, event, payload)
+    },
+    gameService: gameRooms,
+    leaderboardService: gameLeaderboard,
+    sessionService: new TriviaSessionService({ leaderboardService: gameLeaderboard }),
+    questionSource: {
+      loadQuestions: async () => ({ questions: questions.map(question => ({ ...question })), generationSource: 'database' })
+    },
+    delays: { endGame: 0, cleanup: 0, reconnectGrace: 60000 }
+  });
+
+  return { engine, gameService: gameRooms, repository, events };
+};
+
+const waitFor = async (condition) => {
+  const deadline = Date.now() + 2000;
+  while (!condition()) {
+    if (Date.now() > deadline) {
+      throw new Error('Timed out waiting for the game');
+    }
+    await new Promise(resolve => setTimeout(resolve, 1));
+  }
+};
+
+const findDelivery = (events, questionNumber) => events.find(({ to, event, payload }) =>
+  to === 'room' && event === 'question-delivered' && payload.questionNumber === questionNumber);
+
+/**
+ * Wait for a question to be delivered, then have the given players answer it
+ * @returns {Promise<Object>} The delivered question
+ */
+const answerQuestion = async ({ engine, events }, questionNumber, socketIds) => {
+  await waitFor(() => findDelivery(events, questionNumber));
+  const { question } = findDelivery(events, questionNumber).payload;
+
+  socketIds.forEach(socketId => {
+    const result = engine.submitAnswer(socketId, {
+      familyId: FAMILY_ID,
+      questionNumber,
+      selectedAnswer: ANSWERS[question.id][socketId]
+    });
+    assert.equal(result.success, true, result.error);
+  });
+  return question;
+};
+
+// Fields that carry a question's answer, or the fun fact that explains it; none may reach clients before it's revealed
+const ANSWER_FIELDS = ['answer', 'correctAnswer', 'correct_answer', 'answer_key', 'accepted_answers', 'funFact', 'fun_fact'];
+
+// Events that reveal answers: to the player who just answered, when a question closes, and once the game is over
+const REVEAL_EVENTS = ['answer-submitted', 'question-timeout', 'closest-answer', 'game-ended', 'leaderboard-updated'];
+
+/**
+ * Find every answer field anywhere in a payload
+ * @returns {Array} Paths of the answer fields found
+ */
+const findAnswerFields = (value, path = 'payload') => {
+  if (!value || typeof value !== 'object') {
+    return [];
+  }
+  return Object.entries(value).flatMap(([key, child]) => [
+    ...(ANSWER_FIELDS.includes(key) ? [`${path}.${key}`] : []),
+    ...findAnswerFields(child, `${path}.${key}`)
+  ]);
+};
+
+describe('GameEngine', () => {
+  let game;
+
+  beforeEach(() => {
+    // The services log every step of the game; keep the test output readable
+    mock.method(console, 'log', () => {});
+    mock.method(console, 'warn', () => {});
+    game = createGame();
+  });
+
+  // Stop any countdown a failed test left running
+  afterEach(() => {
+    game.gameService.cleanupRoom(FAMILY_ID);
+    game.gameService.cleanupRoom(OTHER_FAMILY_ID);
+    mock.restoreAll();
+  });
+
+  it('plays a full game: start, answers, advancing and the final results', async () => {
+    const { engine, gameService: gameRooms, repository, events } = game;
+    engine.joinRoom(FAMILY_ID, 'socket-ann', { userId: 'ann', playerName: 'Ann' });
+    engine.joinRoom(FAMILY_ID, 'socket-ben', { userId: 'ben', playerName: 'Ben' });
+
+    assert.deepEqual(await engine.startGame(FAMILY_ID, 'socket-ben', { rules: RULES }), {
+      success: false,
+      error: 'Only the host can start the game'
+    });
+    assert.deepEqual(await engine.startGame(FAMILY_ID, 'socket-ann', { rules: RULES }), { success: true });
+
+    const playedQuestions = [];
+    for (let questionNumber = 1; questionNumber <= QUESTIONS.length; questionNumber++) {
+      playedQuestions.push(await answerQuestion(game, questionNumber, ['socket-ann', 'socket-ben']));
+    }
+    await waitFor(() => !gameRooms.getRoom(FAMILY_ID));
+
+    // Every question is played once
+    assert.deepEqual(playedQuestions.map(question => question.id).sort(), QUESTIONS.map(question => question.id).sort());
+
+    const roomEvents = events.filter(({ to }) => to === 'room').map(({ event }) => event);
+    assert.deepEqual(roomEvents, [
+      'player-joined',
+      'game-started',
+      ...QUESTIONS.flatMap(() => ['question-delivered', 'scores-updated', 'scores-updated']),
+      'game-ended',
+      'leaderboard-updated'
+    ]);
+
+    // Each player is told how each of their answers went
+    ['socket-ann', 'socket-ben'].forEach(socketId => {
+      const answered = events.filter(({ to, event }) => to === socketId && event === 'answer-submitted');
+      assert.deepEqual(answered.map(({ payload }) => payload.questionNumber), [1, 2, 3, 4]);
+    });
+
+    // Ann: 100 (easy) + 150 (medium) + 200 (hard) + 100 (easy)
+    // Ben: wrong capital, right order, one of two capitals matched (half of 200), accepted ocean answer
+    const { payload: results } = events.find(({ event }) => event === 'game-ended');
+    assert.equal(results.reason, 'all-questions-completed');
+    assert.equal(results.gameStats.totalQuestions, 4);
+    assert.deepEqual(
+      Object.entries(results.playerResults).map(([userId, { gameScore, won }]) => [userId, gameScore, won]),
+      [['ann', 550, true], ['ben', 350, false]]
+    );
+
+    const { payload: saved } = events.find(({ event }) => event === 'leaderboard-updated');
+    assert.deepEqual(
+      Object.entries(saved.playerResults).map(([userId, { totalScore, gamesPlayed }]) => [userId, totalScore, gamesPlayed]),
+      [['ann', 550, 1], ['ben', 350, 1]]
+    );
+    assert.deepEqual(saved.leaderboard.map(entry => [entry.user_id, entry.total_score]), [['ann', 550], ['ben', 350]]);
+
+    const [session] = await repository.getCompletedSessions(FAMILY_ID, null);
+    assert.equal(saved.sessionId, session.id);
+    assert.deepEqual(session.scores, { ann: 550, ben: 350 });
+    assert.equal(repository.answers.length, 8);
+  });
+
+  it('never sends an answer before it is revealed', async () => {
+    const { engine, gameService: gameRooms, events } = game;
+    const deliveredQuestion = async (questionNumber) => {
+      await waitFor(() => findDelivery(events, questionNumber));
+      return findDelivery(events, questionNumber).payload.question;
+    };
+    const answer = (socketId, question) => {
+      const result = engine.submitAnswer(socketId, {
+        familyId: FAMILY_ID,
+        questionNumber: question.questionNumber,
+        selectedAnswer: ANSWERS[question.id]['socket-ann']
+      });
+      assert.equal(result.success, true, result.error);
+    };
+
+    engine.joinRoom(FAMILY_ID, 'socket-ann', { userId: 'ann', playerName: 'Ann' });
+    engine.joinRoom(FAMILY_ID, 'socket-ben', { userId: 'ben', playerName: 'Ben' });
+    await engine.startGame(FAMILY_ID, 'socket-ann', { rules: RULES });
+
+    // Question 1: once Ann has answered, a player joins late, a family member starts watching,
+    // and Ben drops out, comes back on a new connection and asks for the room's state
+    let question = await deliveredQuestion(1);
+    answer('socket-ann', question);
+    engine.joinRoom(FAMILY_ID, 'socket-cy', { userId: 'cy', playerName: 'Cy' });
+    engine.joinAsSpectator(FAMILY_ID, 'socket-dee', { userId: 'dee', playerName: 'Dee' });
+    engine.handleDisconnect('socket-ben');
+    engine.joinRoom(FAMILY_ID, 'socket-ben-2', { userId: 'ben', playerName: 'Ben' });
+    engine.syncState('socket-ben-2', FAMILY_ID);
+    answer('socket-ben-2', question);
+    answer('socket-cy', question);
+
+    // Question 2: Cy leaves without answering
+    question = await deliveredQuestion(2);
+    answer('socket-ann', question);
+    engine.leaveRoom('socket-cy');
+    engine.syncState('socket-ben-2', FAMILY_ID);
+    answer('socket-ben-2', question);
+
+    for (const questionNumber of [3, 4]) {
+      question = await deliveredQuestion(questionNumber);
+      engine.syncState('socket-ann', FAMILY_ID);
+      answer('socket-ann', question);
+      engine.syncState('socket-ben-2', FAMILY_ID);
+      answer('socket-ben-2', question);
+    }
+    await waitFor(() => !gameRooms.getRoom(FAMILY_ID));
+
+    const sentEvents = new Set(events.map(({ event }) => event));
+    [
+      'room-joined', 'player-joined', 'spectator-joined', 'player-disconnected', 'player-reconnected',
+      'state-sync', 'player-left', 'game-started', 'question-delivered', 'scores-updated'
+    ].forEach(event => assert.ok(sentEvents.has(event), `${event} was never sent`));
+
+    const leaks = events
+      .filter(({ event }) => !REVEAL_EVENTS.includes(event))
+      .flatMap(({ to, event, payload }) => findAnswerFields(payload).map(path => `${event} to ${to}: ${path}`));
+    assert.deepEqual(leaks, []);
+
+    // The typed answer isn't given away under any other name while its question is open
+    const oceanNumber = events.find(({ event, payload }) => event === 'question-delivered' && payload.question.id === 'q-ocean')
+      .payload.questionNumber;
+    const openedAt = events.indexOf(findDelivery(events, oceanNumber));
+    const closedAt = events.findIndex(({ to, event, payload }) => event === 'game-ended' ||
+      (to === 'room' && event === 'question-delivered' && payload.questionNumber === oceanNumber + 1));
+    events.slice(0, closedAt)
+      .filter(({ event }, index) => index < openedAt || !REVEAL_EVENTS.includes(event))
+      .forEach(({ to, event, payload }) => {
+        assert.doesNotMatch(JSON.stringify(payload), /pacific/i, `${event} to ${to} gives the answer away`);
+      });
+  });
+
+  it("refuses actions sent to another family's game", async () => {
+    const { engine, gameService: gameRooms, events } = game;
+    engine.joinRoom(FAMILY_ID, 'socket-ann', { userId: 'ann', playerName: 'Ann' });
+    engine.joinRoom(OTHER_FAMILY_ID, 'socket-eve', { userId: 'eve', playerName: 'Eve' });
+    await engine.startGame(FAMILY_ID, 'socket-ann', { rules: { ...RULES, scoring: 'wager' } });
+    await waitFor(() => findDelivery(events, 1));
+
+    const notInRoom = { success: false, error: 'You are not in this game room' };
+    const payload = { familyId: FAMILY_ID, questionNumber: 1 };
+    assert.deepEqual(engine.submitAnswer('socket-eve', { ...payload, selectedAnswer: 'Paris' }), notInRoom);
+    assert.deepEqual(engine.submitWager('socket-eve', { familyId: FAMILY_ID, wager: 0 }), notInRoom);
+    assert.deepEqual(engine.useLifeline('socket-eve', { ...payload, lifeline: 'fiftyFifty' }), notInRoom);
+    assert.deepEqual(engine.markMediaReady('socket-eve', payload), notInRoom);
+
+    const { gameState } = gameRooms.getRoom(FAMILY_ID);
+    assert.deepEqual(gameState.playerAnswers, {});
+    assert.equal(gameState.scores.eve, undefined);
+    assert.equal(gameRooms.getRoom(FAMILY_ID).players.some(player => player.userId === 'eve'), false);
+  });
+
+  it('refuses the hint lifeline when the rules turn hints off', async () => {
+    const hinted = { ...QUESTIONS[0], hint: 'It is known as the City of Light' };
+    const useHint = async (hintsAllowed) => {
+      game.gameService.cleanupRoom(FAMILY_ID);
+      game = createGame([hinted]);
+      game.engine.joinRoom(FAMILY_ID, 'socket-ann', { userId: 'ann', playerName: 'Ann' });
+      await game.engine.startGame(FAMILY_ID, 'socket-ann', { rules: { ...RULES, questionCount: 1, hintsAllowed } });
+      await waitFor(() => findDelivery(game.events, 1));
+      return game.engine.useLifeline('socket-ann', { familyId: FAMILY_ID, questionNumber: 1, lifeline: 'hint' });
+    };
+
+    const allowed = await useHint(true);
+    assert.equal(allowed.success, true, allowed.error);
+    assert.deepEqual(await useHint(false), { success: false, error: 'Hints are turned off for this game' });
+  });
+});
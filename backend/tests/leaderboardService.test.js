@@ -0,0 +1,213 @@
+const { describe, it, beforeEach } = require('node:test');
+const assert = require('node:assert/strict');
+
+const leaderboardService = require('../services/leaderboardService');
+const { MemoryLeaderboardRepository } = require('../utils/leaderboardRepository');
+
+// A fresh service over its own in-memory repository (the exported service is a singleton)
+const LeaderboardService = leaderboardService.constructor;
+
+const FAMILY_ID = 'family-1';
+
+/**
+ * A completed game as trivia_sessions stores it
+ * @param {string} completedAt - ISO timestamp
+ * @param {Object} scores - { userId: score }
+ * @param {Object} options - { familyId, names: { userId: name the player used }, rawScores, completed }
+ */
+const completedSession = (completedAt, scores, { familyId = FAMILY_ID, names = {}, rawScores, completed = true } = {}) => ({
+  id: `session-${familyId}-${completedAt}`,
+  family_id: familyId,
+  completed,
+  completed_at: completedAt,
+  scores,
+  game_data: {
+    ...(rawScores && { playerRawScores: rawScores }),
+    playerAnswers: Object.fromEntries(Object.entries(names).map(([userId, playerName]) => [
+      `${userId}-q1`,
+      { userId, playerName }
+    ]))
+  }
+});
+
+describe('rankSessionHistory', () => {
+  const service = new LeaderboardService(new MemoryLeaderboardRepository());
+
+  const sessions = [
+    completedSession('2026-10-01T19:00:00.000Z', { ann: 300, ben: 100 }, { names: { ann: 'Ann', ben: 'Ben' }, rawScores: { ann: 200 } }),
+    completedSession('2026-10-02T19:00:00.000Z', { ann: 0, ben: 200 }, { names: { ann: 'Ann', ben: 'Ben' } }),
+    completedSession('2026-10-03T19:00:00.000Z', { ann: 200, ben: 200, cy: 50 }, { names: { ben: 'Benny', cy: 'Cy' } }),
+    // Nobody scored, so nobody won
+    completedSession('2026-10-04T19:00:00.000Z', { cy: 0 })
+  ];
+
+  it('totals each player over the sessions and ranks them', () => {
+    const ranked = service.rankSessionHistory(sessions);
+
+    assert.deepEqual(ranked.map(({ user_id, total_score, games_won, rank }) => [user_id, total_score, games_won, rank]), [
+      ['ann', 500, 2, 1],
+      ['ben', 500, 2, 1],
+      ['cy', 50, 0, 3]
+    ]);
+    assert.deepEqual(ranked[0], {
+      user_id: 'ann',
+      player_name: 'Ann',
+      total_score: 500,
+      raw_total_score: 400,
+      games_played: 3,
+      games_won: 2,
+      current_streak: 1,
+      best_streak: 1,
+      average_score: 166.67,
+      last_played_at: '2026-10-03T19:00:00.000Z',
+      rank: 1
+    });
+  });
+
+  it('keeps streaks, the latest name and the last game played', () => {
+    const [, ben, cy] = service.rankSessionHistory(sessions);
+
+    assert.equal(ben.player_name, 'Benny');
+    assert.equal(ben.current_streak, 3);
+    assert.equal(ben.best_streak, 3);
+    assert.equal(ben.raw_total_score, 500);
+    assert.equal(cy.games_played, 2);
+    assert.equal(cy.current_streak, 0);
+    assert.equal(cy.best_streak, 1);
+    assert.equal(cy.last_played_at, '2026-10-04T19:00:00.000Z');
+  });
+
+  it('ranks nobody without sessions', () => {
+    assert.deepEqual(service.rankSessionHistory([]), []);
+  });
+});
+
+describe('getWindowedLeaderboard', () => {
+  // A Wednesday: the week started on Monday the 19th
+  const now = new Date('2026-10-21T12:00:00.000Z');
+  let service;
+
+  beforeEach(() => {
+    const repository = new MemoryLeaderboardRepository();
+    [
+      completedSession('2026-09-30T19:00:00.000Z', { ann: 1000 }),
+      completedSession('2026-10-18T23:59:59.999Z', { ann: 300, ben: 100 }),
+      completedSession('2026-10-19T00:00:00.000Z', { ben: 200 }),
+      completedSession('2026-10-20T19:00:00.000Z', { ann: 50, ben: 150 }),
+      // Not finished, or another family's: never counted
+      completedSession('2026-10-21T11:00:00.000Z', { ann: 900 }, { completed: false }),
+      completedSession('2026-10-21T10:00:00.000Z', { ann: 900 }, { familyId: 'family-2' })
+    ].forEach(session => repository.sessions.set(session.id, session));
+    service = new LeaderboardService(repository);
+  });
+
+  const totals = ({ leaderboard }) => leaderboard.map(({ user_id, total_score, rank }) => [user_id, total_score, rank]);
+
+  it('only counts the games completed since Monday for the week', async () => {
+    const week = await service.getWindowedLeaderboard(FAMILY_ID, 'week', now);
+
+    assert.equal(week.window, 'week');
+    assert.equal(week.since, '2026-10-19T00:00:00.000Z');
+    assert.deepEqual(totals(week), [['ben', 350, 1], ['ann', 50, 2]]);
+  });
+
+  it('counts the month and the season from their first day', async () => {
+    const month = await service.getWindowedLeaderboard(FAMILY_ID, 'month', now);
+    assert.equal(month.since, '2026-10-01T00:00:00.000Z');
+    assert.deepEqual(totals(month), [['ben', 450, 1], ['ann', 350, 2]]);
+
+    const season = await service.getWindowedLeaderboard(FAMILY_ID, 'season', now);
+    assert.equal(season.since, '2026-10-01T00:00:00.000Z');
+    assert.deepEqual(totals(season), totals(month));
+  });
+
+  it('counts every completed game all-time', async () => {
+    const allTime = await service.getWindowedLeaderboard(FAMILY_ID, 'all', now);
+
+    assert.equal(allTime.since, null);
+    assert.deepEqual(totals(allTime), [['ann', 1350, 1], ['ben', 450, 2]]);
+  });
+});
+
+describe('getFamilyCategoryStats', () => {
+  let service;
+
+  beforeEach(() => {
+    const repository = new MemoryLeaderboardRepository();
+    // [user, category, answered, total credit, recent_results: the latest answers' credit, oldest first (fewer than 4 show no trend)]
+    [
+      // Seen first, but only ties Ann's science accuracy, with fewer answers
+      ['ben', 'science', 5, 4, [1, 1, 1, 0]],
+      ['ben', 'history', 4, 3, [1, 1, 1, 1]],
+      ['ann', 'science', 10, 8, [0, 0, 1, 1, 1, 1]],
+      ['ann', 'geography', 3, 2.7, [1, 0.7, 1]],
+      ['ann', 'music', 3, 1.8, [1, 0, 0.8]],
+      ['ann', 'art', 3, 1.5, [1]],
+      ['ann', 'history', 4, 1.5, [0.5, 0, 0, 0.5]],
+      // Perfect, but too few answers to count
+      ['cy', 'science', 2, 2, [1, 1]]
+    ].forEach(([userId, category, answered, totalCredit, recentResults]) => {
+      repository.categoryStats.set(`${FAMILY_ID}-${userId}-${category}`, {
+        family_id: FAMILY_ID,
+        user_id: userId,
+        player_name: userId.toUpperCase(),
+        category,
+        answered,
+        correct: Math.floor(totalCredit),
+        total_credit: totalCredit,
+        total_time_seconds: answered * 5,
+        recent_results: recentResults,
+        last_answered_at: '2026-10-18T19:00:00.000Z'
+      });
+    });
+    repository.categoryStats.set('family-2-dee-science', {
+      family_id: 'family-2', user_id: 'dee', category: 'science', answered: 50, correct: 50, total_credit: 50, recent_results: []
+    });
+    service = new LeaderboardService(repository);
+  });
+
+  const findMember = (members, userId) => members.find(member => member.user_id === userId);
+
+  it("works out each member's accuracy, speed and trend in each category", async () => {
+    const members = await service.getFamilyCategoryStats(FAMILY_ID);
+
+    assert.deepEqual(members.map(member => member.user_id), ['ben', 'ann', 'cy']);
+    const ann = findMember(members, 'ann');
+    assert.equal(ann.player_name, 'ANN');
+    assert.deepEqual(ann.categories.find(category => category.category === 'science'), {
+      category: 'science',
+      answered: 10,
+      correct: 8,
+      accuracy: 80,
+      average_time_seconds: 5,
+      trend: 'improving',
+      last_answered_at: '2026-10-18T19:00:00.000Z'
+    });
+    // Best first; partly right answers count for their share
+    assert.deepEqual(ann.categories.map(({ category, accuracy }) => [category, accuracy]), [
+      ['geography', 90], ['science', 80], ['music', 60], ['art', 50], ['history', 38]
+    ]);
+    assert.deepEqual(ann.categories.map(category => category.trend), [null, 'improving', null, null, 'steady']);
+    assert.equal(findMember(members, 'ben').categories[0].trend, 'slipping');
+  });
+
+  it('picks up to three strengths with enough answers and accuracy', async () => {
+    const members = await service.getFamilyCategoryStats(FAMILY_ID);
+
+    assert.deepEqual(findMember(members, 'ann').strengths, ['geography', 'science', 'music']);
+    assert.deepEqual(findMember(members, 'ben').strengths, ['science', 'history']);
+    assert.deepEqual(findMember(members, 'cy').strengths, []);
+  });
+
+  it('makes the most accurate member the expert, breaking ties by answers', async () => {
+    const members = await service.getFamilyCategoryStats(FAMILY_ID);
+
+    assert.deepEqual(findMember(members, 'ann').expert_in, ['geography', 'science', 'music', 'art']);
+    assert.deepEqual(findMember(members, 'ben').expert_in, ['history']);
+    assert.deepEqual(findMember(members, 'cy').expert_in, []);
+  });
+
+  it('has no members for a family without stats', async () => {
+    assert.deepEqual(await service.getFamilyCategoryStats('family-3'), []);
+  });
+});
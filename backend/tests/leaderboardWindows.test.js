@@ -0,0 +1,43 @@
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+
+const { LEADERBOARD_WINDOWS, getWindowStart } = require('../utils/leaderboardWindows');
+
+describe('getWindowStart', () => {
+  it('knows every window by name', () => {
+    assert.deepEqual(LEADERBOARD_WINDOWS, ['week', 'month', 'season', 'all']);
+  });
+
+  const cases = [
+    // week: since Monday 00:00 UTC
+    ['week', 'midweek', '2026-10-21T15:30:00.000Z', '2026-10-19T00:00:00.000Z'],
+    ['week', 'the first moment of Monday', '2026-10-19T00:00:00.000Z', '2026-10-19T00:00:00.000Z'],
+    ['week', 'the last moment of Sunday is still last week', '2026-10-25T23:59:59.999Z', '2026-10-19T00:00:00.000Z'],
+    ['week', 'a new week starts at midnight on Monday', '2026-10-26T00:00:00.000Z', '2026-10-26T00:00:00.000Z'],
+    ['week', 'a week that started last month', '2026-11-01T12:00:00.000Z', '2026-10-26T00:00:00.000Z'],
+    ['week', 'a week that started last year', '2026-01-01T09:00:00.000Z', '2025-12-29T00:00:00.000Z'],
+
+    // month: since the 1st
+    ['month', 'mid-month', '2026-10-21T15:30:00.000Z', '2026-10-01T00:00:00.000Z'],
+    ['month', 'the last moment of the month', '2026-10-31T23:59:59.999Z', '2026-10-01T00:00:00.000Z'],
+    ['month', 'a new month starts at midnight on the 1st', '2026-11-01T00:00:00.000Z', '2026-11-01T00:00:00.000Z'],
+
+    // season: since the start of the quarter
+    ['season', 'first quarter', '2026-03-15T08:00:00.000Z', '2026-01-01T00:00:00.000Z'],
+    ['season', 'second quarter', '2026-05-31T08:00:00.000Z', '2026-04-01T00:00:00.000Z'],
+    ['season', 'the last moment of the third quarter', '2026-09-30T23:59:59.999Z', '2026-07-01T00:00:00.000Z'],
+    ['season', 'the first moment of the fourth quarter', '2026-10-01T00:00:00.000Z', '2026-10-01T00:00:00.000Z'],
+    ['season', 'the end of the year', '2026-12-31T23:59:59.999Z', '2026-10-01T00:00:00.000Z'],
+
+    // all-time, and unknown windows, have no start
+    ['all', 'any time', '2026-10-21T15:30:00.000Z', null],
+    ['year', 'an unknown window', '2026-10-21T15:30:00.000Z', null]
+  ];
+
+  cases.forEach(([window, description, now, expected]) => {
+    it(`${window}: ${description}`, () => {
+      const start = getWindowStart(window, new Date(now));
+      assert.equal(start && start.toISOString(), expected);
+    });
+  });
+});
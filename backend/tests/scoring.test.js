@@ -0,0 +1,170 @@
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+
+const {
+  SCORING_STRATEGY_NAMES,
+  getComboMultiplier,
+  getMaxWager,
+  isValidWager,
+  scoreAnswer
+} = require('../utils/scoring');
+const triviaSessionService = require('../services/triviaSessionService');
+
+// A correct medium question answered 12 seconds into a 30 second limit:
+// 100 base points x 1.5 for medium = 150, plus (30 - 12) x 50 / 30 = 30 for speed
+const answer = (overrides = {}) => ({
+  isCorrect: true,
+  difficulty: 'medium',
+  basePoints: 100,
+  timeLimit: 30,
+  timeTaken: 12,
+  ...overrides
+});
+
+describe('scoring strategies', () => {
+  it('knows every strategy by name', () => {
+    assert.deepEqual(SCORING_STRATEGY_NAMES, ['classic', 'no-time-bonus', 'streak', 'wager']);
+  });
+
+  const cases = [
+    // classic: difficulty-adjusted base points plus the time bonus
+    ['classic', 'correct answer with time bonus', answer(), 180],
+    ['classic', 'easy question', answer({ difficulty: 'easy' }), 130],
+    ['classic', 'hard question', answer({ difficulty: 'hard' }), 230],
+    ['classic', 'unknown difficulty counts as easy', answer({ difficulty: 'mixed' }), 130],
+    ['classic', 'instant answer earns the whole bonus', answer({ timeTaken: 0 }), 200],
+    ['classic', 'answer at the limit earns no bonus', answer({ timeTaken: 30 }), 150],
+    ['classic', 'answer past the limit earns no bonus', answer({ timeTaken: 45 }), 150],
+    ['classic', 'missing answer time earns no bonus', answer({ timeTaken: undefined }), 150],
+    ['classic', 'timeBonus rule off', answer({ timeBonus: false }), 150],
+    ['classic', 'wrong answer', answer({ isCorrect: false }), 0],
+    ['classic', 'partly right answer earns its share without a bonus', answer({ isCorrect: false, credit: 0.5, difficulty: 'hard' }), 100],
+
+    // no-time-bonus: base points only
+    ['no-time-bonus', 'correct answer', answer(), 150],
+    ['no-time-bonus', 'instant answer', answer({ timeTaken: 0 }), 150],
+    ['no-time-bonus', 'wrong answer', answer({ isCorrect: false }), 0],
+    ['no-time-bonus', 'partly right answer', answer({ isCorrect: false, credit: 0.25 }), 37],
+
+    // streak: classic points times the combo multiplier for this answer's combo
+    ['streak', 'first correct answer', answer({ streak: 0 }), 180],
+    ['streak', '2 in a row', answer({ streak: 1 }), 216],
+    ['streak', '3 in a row', answer({ streak: 2 }), 270],
+    ['streak', '4 in a row', answer({ streak: 3 }), 270],
+    ['streak', '5 in a row', answer({ streak: 4 }), 360],
+    ['streak', '10 in a row', answer({ streak: 9 }), 360],
+    ['streak', 'wrong answer ends the run with nothing', answer({ isCorrect: false, streak: 4 }), 0],
+    ['streak', 'partly right answer scores as classic', answer({ isCorrect: false, credit: 0.5, streak: 4 }), 75],
+
+    // wager: a staked answer wins or loses exactly its wager
+    ['wager', 'correct staked answer wins the wager', answer({ wager: 200 }), 200],
+    ['wager', 'wrong staked answer loses the wager', answer({ isCorrect: false, wager: 200 }), -200],
+    ['wager', 'partly right staked answer loses the wager', answer({ isCorrect: false, credit: 0.5, wager: 200 }), -200],
+    ['wager', 'nothing staked wins nothing', answer({ wager: 0 }), 0],
+    ['wager', 'answer without a wager scores as classic', answer(), 180],
+
+    // Unknown strategy names fall back to classic
+    ['made-up', 'scores as classic', answer(), 180]
+  ];
+
+  cases.forEach(([strategy, description, scoredAnswer, expected]) => {
+    it(`${strategy}: ${description}`, () => {
+      const { points, rawPoints } = scoreAnswer(strategy, scoredAnswer);
+      assert.equal(rawPoints, expected);
+      assert.equal(points, expected);
+    });
+  });
+});
+
+describe('handicaps', () => {
+  const handicap = { pointsMultiplier: 1.5, extraSeconds: 5 };
+
+  it('takes the extra seconds off the answer time, then multiplies the points', () => {
+    // Handicapped time 7s: 150 + (30 - 7) x 50 / 30 = 188, x 1.5 = 282
+    assert.deepEqual(scoreAnswer('classic', answer(), handicap), { points: 282, rawPoints: 180 });
+  });
+
+  it('never takes the answer time below zero', () => {
+    assert.deepEqual(scoreAnswer('classic', answer({ timeTaken: 2 }), handicap), { points: 300, rawPoints: 196 });
+  });
+
+  it('multiplies a won wager', () => {
+    assert.deepEqual(scoreAnswer('wager', answer({ wager: 100 }), handicap), { points: 150, rawPoints: 100 });
+  });
+
+  it('never makes a lost wager bigger', () => {
+    assert.deepEqual(scoreAnswer('wager', answer({ isCorrect: false, wager: 100 }), handicap), { points: -100, rawPoints: -100 });
+  });
+});
+
+describe('getComboMultiplier', () => {
+  [[0, 1], [1, 1], [2, 1.2], [3, 1.5], [4, 1.5], [5, 2], [12, 2]].forEach(([combo, multiplier]) => {
+    it(`${combo} in a row is worth x${multiplier}`, () => {
+      assert.equal(getComboMultiplier(combo), multiplier);
+    });
+  });
+});
+
+describe('wager limits', () => {
+  [[250, 250], [0, 0], [-40, 0], [undefined, 0]].forEach(([score, maxWager]) => {
+    it(`a score of ${score} can stake up to ${maxWager}`, () => {
+      assert.equal(getMaxWager(score), maxWager);
+    });
+  });
+
+  const wagers = [
+    [0, 100, true],
+    [100, 100, true],
+    [101, 100, false],
+    [-1, 100, false],
+    [10.5, 100, false],
+    ['50', 100, false],
+    [null, 100, false],
+    [0, -20, true],
+    [5, -20, false]
+  ];
+
+  wagers.forEach(([wager, score, valid]) => {
+    it(`a wager of ${JSON.stringify(wager)} with a score of ${score} is ${valid ? 'valid' : 'invalid'}`, () => {
+      assert.equal(isValidWager(wager, score), valid);
+    });
+  });
+});
+
+describe('streak scoring in a game', () => {
+  // Five correct-or-wrong answers in a row under the streak rules, scored like a real game
+  const playStreakGame = (results) => {
+    const gameState = {
+      questions: results.map((_, index) => ({ id: `q${index + 1}`, difficulty: 'easy', answer: 'A' })),
+      scores: {},
+      rawScores: {},
+      playerAnswers: {},
+      metadata: { rules: { scoring: 'streak', timeBonus: false } }
+    };
+    const player = { userId: 'u1', playerName: 'Ann' };
+
+    return results.map((isCorrect, index) => {
+      const { combo, comboMultiplier, pointsEarned } = triviaSessionService.recordAnswer(gameState, player, index + 1, {
+        selectedAnswer: isCorrect ? 'A' : 'B',
+        isCorrect,
+        credit: isCorrect ? 1 : 0,
+        timeTaken: 10
+      });
+      return [combo, comboMultiplier, pointsEarned];
+    });
+  };
+
+  it('builds the combo with each correct answer', () => {
+    assert.deepEqual(playStreakGame([true, true, true]), [[1, 1, 100], [2, 1.2, 120], [3, 1.5, 150]]);
+  });
+
+  it('resets the combo after a wrong answer', () => {
+    assert.deepEqual(playStreakGame([true, true, false, true, true]), [
+      [1, 1, 100],
+      [2, 1.2, 120],
+      [0, 1, 0],
+      [1, 1, 100],
+      [2, 1.2, 120]
+    ]);
+  });
+});
@@ -0,0 +1,93 @@
+const { describe, it, beforeEach, afterEach, mock } = require('node:test');
+const assert = require('node:assert/strict');
+
+const leaderboardService = require('../services/leaderboardService');
+const triviaSessionService = require('../services/triviaSessionService');
+const { MemoryLeaderboardRepository } = require('../utils/leaderboardRepository');
+
+// Fresh services over their own in-memory repository (the exported services are singletons)
+const LeaderboardService = leaderboardService.constructor;
+const TriviaSessionService = triviaSessionService.constructor;
+
+const questions = [1, 2, 3].map(n => ({
+  id: `q${n}`,
+  category: 'science',
+  difficulty: 'easy',
+  question: `Question ${n}`,
+  choices: ['a', 'b'],
+  answer: 'a',
+  points: 100,
+  time_limit: 20
+}));
+
+const player = (userId) => ({ userId, playerName: userId, handicap: { pointsMultiplier: 1, extraSeconds: 0 } });
+
+describe('REST session answers', () => {
+  let repository;
+  let sessions;
+  let session;
+
+  // A correct answer is worth 100 points; wager scoring only stakes the last question
+  const submit = (sessionRow, userId, questionNumber, isCorrect, wager) =>
+    sessions.recordSessionAnswer(sessionRow, player(userId), questionNumber, questions[questionNumber - 1], {
+      selectedAnswer: isCorrect ? 'a' : 'b',
+      isCorrect,
+      timeTaken: 20,
+      wager
+    });
+
+  beforeEach(async () => {
+    // The services log every saved session; keep the test output readable
+    mock.method(console, 'log', () => {});
+    repository = new MemoryLeaderboardRepository();
+    sessions = new TriviaSessionService({ leaderboardService: new LeaderboardService(repository) });
+    ({ session } = await sessions.startSession('family-1', 'u1', {
+      questions,
+      generationSource: 'database',
+      rules: { scoring: 'wager', timeBonus: false }
+    }));
+  });
+
+  afterEach(() => {
+    mock.restoreAll();
+  });
+
+  it('keeps answers submitted at the same time', async () => {
+    const [first, second] = await Promise.all([
+      submit(session, 'u1', 1, true),
+      submit(session, 'u2', 1, true)
+    ]);
+
+    assert.equal(first.success, true);
+    assert.equal(second.success, true);
+    const saved = await repository.getSession(session.id);
+    assert.deepEqual(saved.scores, { u1: 100, u2: 100 });
+    assert.deepEqual(Object.keys(saved.game_data.playerAnswers).sort(), ['u1-q1', 'u2-q1']);
+    assert.equal(saved.progress_version, 2);
+  });
+
+  it('refuses a second answer to the same question, even from an old copy of the session', async () => {
+    await submit(session, 'u1', 1, true);
+
+    const again = await submit(session, 'u1', 1, false);
+    assert.deepEqual(again, { success: false, error: 'You have already answered this question' });
+    assert.deepEqual((await repository.getSession(session.id)).scores, { u1: 100 });
+  });
+
+  it('checks a wager against the latest saved score', async () => {
+    await submit(session, 'u1', 1, true);
+
+    const staked = await submit(session, 'u1', 3, true, 100);
+    assert.equal(staked.success, true);
+    assert.equal(staked.wager, 100);
+    assert.equal(staked.gameState.scores.u1, 200);
+  });
+
+  it('refuses answers once the session is completed', async () => {
+    await submit(session, 'u1', 1, true);
+    await sessions.completeSession(await repository.getSession(session.id));
+
+    const late = await submit(session, 'u2', 1, true);
+    assert.deepEqual(late, { success: false, error: 'This session has already been completed' });
+  });
+});
@@ -0,0 +1,21 @@
+/**
+ * Categories - The keys question categories are tracked under
+ * Questions name their categories freely ('Space Exploration', 'space exploration'),
+ * so stats and analysis group them by a normalized key instead.
+ */
+
+/**
+ * Turn a question's category into the key its stats are kept under ('Space Exploration' -> 'space_exploration')
+ * @param {string} category - The question's category
+ * @returns {string|null} Category key, or null for an uncategorized question
+ */
+const normalizeCategory = (category) => {
+  if (typeof category !== 'string' || !category.trim()) {
+    return null;
+  }
+  return category.trim().toLowerCase().replace(/\s+/g, '_');
+};
+
+module.exports = {
+  normalizeCategory
+};
@@ -0,0 +1,88 @@
+/**
+ * Generated Questions - Turns AI-generated questions into the answer fields the graders use
+ * Shared by both trivia generators, so a question of each type is stored the same way
+ * whichever one wrote it (see utils/grading.js for what each field means).
+ */
+
+const { getQuestionType, describeAnswerKey } = require('./grading');
+const { shuffleChoices } = require('./shuffle');
+
+/**
+ * Work out a generated question's type and the answer fields it's stored with,
+ * treating an unknown type as multiple choice
+ * @param {Object} question - Question as generated ({ type, choices, correct_answer, accepted_answers, tolerance, correct_order, pairs })
+ * @returns {Object} Fields to store over the generated ones; type is null when the question
+ * has no answer its type can be graded by
+ */
+const normalizeGeneratedQuestion = (question) => {
+  const type = getQuestionType(question);
+
+  switch (type) {
+    case 'true_false': {
+      const answer = String(question.correct_answer).trim().toLowerCase();
+      if (!['true', 'false'].includes(answer)) {
+        return { type: null };
+      }
+      return { type, choices: ['True', 'False'], correct_answer: answer === 'true' ? 'True' : 'False' };
+    }
+    case 'free_text': {
+      const answer = String(question.correct_answer ?? '').trim();
+      if (!answer) {
+        return { type: null };
+      }
+      return {
+        type,
+        choices: [],
+        correct_answer: answer,
+        accepted_answers: Array.isArray(question.accepted_answers) ? question.accepted_answers.map(String) : []
+      };
+    }
+    case 'numeric': {
+      // "330 meters" or "1,083" is stored as the bare number
+      const answer = parseFloat(String(question.correct_answer).replace(/[,\s]/g, ''));
+      if (!Number.isFinite(answer)) {
+        return { type: null };
+      }
+      const tolerance = Number(question.tolerance);
+      return {
+        type,
+        choices: [],
+        correct_answer: String(answer),
+        tolerance: Number.isFinite(tolerance) && tolerance > 0 ? tolerance : null
+      };
+    }
+    case 'ordering': {
+      const order = Array.isArray(question.correct_order) ? question.correct_order.map(String) : [];
+      if (order.length < 2) {
+        return { type: null };
+      }
+      return {
+        type,
+        choices: shuffleChoices(order),
+        answer_key: order,
+        correct_answer: describeAnswerKey(type, order)
+      };
+    }
+    case 'matching': {
+      const pairs = question.pairs && typeof question.pairs === 'object' && !Array.isArray(question.pairs)
+        ? Object.fromEntries(Object.entries(question.pairs).map(([prompt, match]) => [prompt, String(match)]))
+        : {};
+      if (Object.keys(pairs).length < 2) {
+        return { type: null };
+      }
+      return {
+        type,
+        // Listed in the prompts' order, the choices would line up with their prompts
+        choices: shuffleChoices([...new Set(Object.values(pairs))]),
+        answer_key: pairs,
+        correct_answer: describeAnswerKey(type, pairs)
+      };
+    }
+    default:
+      return { type };
+  }
+};
+
+module.exports = {
+  normalizeGeneratedQuestion
+};
@@ -0,0 +1,229 @@
+/**
+ * Grading - Decides whether an answer to a question is right
+ * Shared by the real-time game engine and the REST session flow. Each question
+ * type has its own grader:
+ * - multiple_choice: the answer must be the correct choice (ignoring case and surrounding spaces)
+ * - true_false: true/false, yes/no or t/f, compared with the correct answer
+ * - free_text: typed answers are matched against the answer and its accepted_answers
+ *   aliases, ignoring case, accents, punctuation and articles, and allowing small typos
+ * - numeric: the guess must be within the question's tolerance (exact by default);
+ *   in a real-time game the closest guess also wins when the question closes
+ * - ordering: the answer is the choices in order; the question's answer_key is the correct order
+ * - matching: the answer maps each prompt to one of the choices; the answer_key is the correct { prompt: choice } map
+ *
+ * Ordering and matching answers earn partial credit for the part they got right.
+ * Questions without a type are multiple choice.
+ */
+
+const QUESTION_TYPES = ['multiple_choice', 'true_false', 'free_text', 'numeric', 'ordering', 'matching'];
+
+// Question types whose answers can be partly right
+const PARTIAL_CREDIT_TYPES = ['ordering', 'matching'];
+
+// A free-text answer may be off by one character per this many characters of the answer...
+const CHARACTERS_PER_TYPO = 5;
+
+// ...up to this many characters in total
+const MAX_TYPOS = 2;
+
+const TRUE_WORDS = ['true', 't', 'yes', 'y'];
+const FALSE_WORDS = ['false', 'f', 'no', 'n'];
+
+/**
+ * Get a question's type, treating unknown or missing types as multiple choice
+ * @param {Object} question - Question row ({ type })
+ * @returns {string} One of QUESTION_TYPES
+ */
+const getQuestionType = (question) =>
+  QUESTION_TYPES.includes(question?.type) ? question.type : 'multiple_choice';
+
+/**
+ * Reduce free text to the parts that matter when comparing answers
+ * @param {*} text - Typed answer
+ * @returns {string} Lowercased text without accents, punctuation, articles or extra spaces
+ */
+const normalizeText = (text) => String(text)
+  .toLowerCase()
+  .normalize('NFD')
+  .replace(/[\u0300-\u036f]/g, '')
+  .replace(/[^a-z0-9\s]/g, ' ')
+  .replace(/\b(the|a|an)\b/g, ' ')
+  .replace(/\s+/g, ' ')
+  .trim();
+
+/**
+ * Count the single-character edits needed to turn one string into another
+ * @param {string} a - First string
+ * @param {string} b - Second string
+ * @returns {number} Edit distance
+ */
+const getEditDistance = (a, b) => {
+  let previousRow = Array.from({ length: b.length + 1 }, (_, j) => j);
+  for (let i = 1; i <= a.length; i++) {
+    const currentRow = [i];
+    for (let j = 1; j <= b.length; j++) {
+      currentRow[j] = Math.min(
+        previousRow[j] + 1,
+        currentRow[j - 1] + 1,
+        previousRow[j - 1] + (a[i - 1] === b[j - 1] ? 0 : 1)
+      );
+    }
+    previousRow = currentRow;
+  }
+  return previousRow[b.length];
+};
+
+/**
+ * Read a guess as a number, ignoring thousands separators, spaces and trailing units
+ * @param {*} value - Typed guess
+ * @returns {number} The number, or NaN when there isn't one
+ */
+const parseNumber = (value) => {
+  if (typeof value === 'number') {
+    return value;
+  }
+  return parseFloat(String(value).replace(/[,\s]/g, ''));
+};
+
+/**
+ * Read a true/false answer
+ * @param {*} value - Typed or chosen answer
+ * @returns {boolean|null} The answer, or null when it's neither
+ */
+const parseTrueFalse = (value) => {
+  const word = String(value).trim().toLowerCase();
+  if (TRUE_WORDS.includes(word)) {
+    return true;
+  }
+  if (FALSE_WORDS.includes(word)) {
+    return false;
+  }
+  return null;
+};
+
+/**
+ * Compare two choices the way a player would, ignoring case and surrounding spaces
+ * @param {*} choice - Choice text
+ * @returns {string} Comparable text
+ */
+const toChoiceKey = (choice) => String(choice).trim().toLowerCase();
+
+/**
+ * Share of item pairs an ordering answer puts the right way round
+ * Counting pairs rather than positions means one misplaced item only costs the pairs it's in
+ * @param {Array} correctOrder - Items in the correct order
+ * @param {Array} answer - Items in the player's order
+ * @returns {number} Credit from 0 to 1
+ */
+const getOrderingCredit = (correctOrder, answer) => {
+  const items = correctOrder.map(toChoiceKey);
+  const positions = new Map(Array.isArray(answer) ? answer.map((item, index) => [toChoiceKey(item), index]) : []);
+  if (items.length < 2) {
+    return 0;
+  }
+
+  let pairs = 0;
+  let correctPairs = 0;
+  for (let i = 0; i < items.length; i++) {
+    for (let j = i + 1; j < items.length; j++) {
+      pairs++;
+      if (positions.has(items[i]) && positions.has(items[j]) && positions.get(items[i]) < positions.get(items[j])) {
+        correctPairs++;
+      }
+    }
+  }
+  return correctPairs / pairs;
+};
+
+/**
+ * Share of prompts a matching answer pairs with the right choice
+ * @param {Object} correctMatches - { prompt: choice }
+ * @param {Object} answer - The player's { prompt: choice }
+ * @returns {number} Credit from 0 to 1
+ */
+const getMatchingCredit = (correctMatches, answer) => {
+  const prompts = Object.keys(correctMatches);
+  if (prompts.length === 0 || !answer || typeof answer !== 'object' || Array.isArray(answer)) {
+    return 0;
+  }
+
+  const guesses = new Map(Object.entries(answer).map(([prompt, choice]) => [toChoiceKey(prompt), toChoiceKey(choice)]));
+  const correctCount = prompts.filter(prompt =>
+    guesses.get(toChoiceKey(prompt)) === toChoiceKey(correctMatches[prompt])
+  ).length;
+  return correctCount / prompts.length;
+};
+
+/**
+ * Build a grade from an all-or-nothing result
+ * @param {boolean} isCorrect - Whether the answer is right
+ * @param {number|null} distance - How far off a numeric guess was
+ * @returns {Object} { isCorrect, distance, credit }
+ */
+const toGrade = (isCorrect, distance = null) => ({ isCorrect, distance, credit: isCorrect ? 1 : 0 });
+
+/**
+ * Build a grade from partial credit: only full credit counts as correct
+ * @param {number} credit - Credit from 0 to 1
+ * @returns {Object} { isCorrect, distance, credit }
+ */
+const toPartialGrade = (credit) => ({ isCorrect: credit === 1, distance: null, credit: Math.round(credit * 100) / 100 });
+
+// Graders by question type, each returning { isCorrect, distance, credit }
+const GRADERS = {
+  multiple_choice: (question, answer) => toGrade(toChoiceKey(answer) === toChoiceKey(question.answer)),
+
+  true_false: (question, answer) => {
+    const guess = parseTrueFalse(answer);
+    return toGrade(guess !== null && guess === parseTrueFalse(question.answer));
+  },
+
+  free_text: (question, answer) => {
+    const guess = normalizeText(answer);
+    const acceptedAnswers = [question.answer, ...(question.accepted_answers || [])].map(normalizeText);
+    const isCorrect = guess.length > 0 && acceptedAnswers.some(accepted =>
+      getEditDistance(guess, accepted) <= Math.min(MAX_TYPOS, Math.floor(accepted.length / CHARACTERS_PER_TYPO))
+    );
+    return toGrade(isCorrect);
+  },
+
+  numeric: (question, answer) => {
+    const guess = parseNumber(answer);
+    if (Number.isNaN(guess)) {
+      return toGrade(false);
+    }
+    const distance = Math.abs(guess - parseNumber(question.answer));
+    return toGrade(distance <= (Number(question.tolerance) || 0), distance);
+  },
+
+  ordering: (question, answer) => toPartialGrade(getOrderingCredit(question.answer_key || [], answer)),
+
+  matching: (question, answer) => toPartialGrade(getMatchingCredit(question.answer_key || {}, answer))
+};
+
+/**
+ * Grade an answer with the grader for the question's type
+ * @param {Object} question - Question row ({ type, answer, accepted_answers, tolerance, answer_key })
+ * @param {*} answer - The player's answer (an array for ordering, a { prompt: choice } object for matching)
+ * @returns {Object} { isCorrect, distance, credit } where distance is how far off a numeric guess was
+ * (null otherwise) and credit is the share of the answer that was right, from 0 to 1
+ */
+const gradeAnswer = (question, answer) => GRADERS[getQuestionType(question)](question, answer);
+
+/**
+ * Spell out an ordering or matching answer key for players, e.g. when revealing the answer
+ * @param {string} type - Question type
+ * @param {Array|Object} answerKey - Correct order or { prompt: choice } map
+ * @returns {string} Readable answer
+ */
+const describeAnswerKey = (type, answerKey) => (type === 'matching'
+  ? Object.entries(answerKey).map(([prompt, choice]) => `${prompt}: ${choice}`).join(', ')
+  : answerKey.join(' → '));
+
+module.exports = {
+  QUESTION_TYPES,
+  PARTIAL_CREDIT_TYPES,
+  getQuestionType,
+  gradeAnswer,
+  describeAnswerKey
+};
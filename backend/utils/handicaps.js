@@ -0,0 +1,43 @@
+/**
+ * Handicaps - Let younger players compete with adults in real-time games
+ * A handicap multiplies the points a player earns and takes extra seconds off
+ * their measured answer time when the time bonus is worked out.
+ *
+ * A player's handicap comes from their family membership: an admin-set custom
+ * handicap wins, otherwise the default for their age bracket applies.
+ */
+
+// Default handicap for each age bracket on a family membership
+const AGE_BRACKET_HANDICAPS = {
+  under_8: { pointsMultiplier: 2, extraSeconds: 10 },
+  '8_12': { pointsMultiplier: 1.5, extraSeconds: 5 },
+  '13_17': { pointsMultiplier: 1.2, extraSeconds: 2 },
+  adult: { pointsMultiplier: 1, extraSeconds: 0 }
+};
+
+// Players with no age bracket or custom handicap play at par
+const NO_HANDICAP = { pointsMultiplier: 1, extraSeconds: 0 };
+
+/**
+ * Work out a player's handicap from their family membership
+ * @param {Object|null} membership - family_members row ({ age_bracket, handicap })
+ * @returns {Object} { pointsMultiplier, extraSeconds, source } where source is 'custom', 'age_bracket' or 'none'
+ */
+const resolveHandicap = (membership) => {
+  if (membership?.handicap) {
+    return { ...NO_HANDICAP, ...membership.handicap, source: 'custom' };
+  }
+
+  const bracketHandicap = membership?.age_bracket && AGE_BRACKET_HANDICAPS[membership.age_bracket];
+  if (bracketHandicap) {
+    return { ...bracketHandicap, source: 'age_bracket' };
+  }
+
+  return { ...NO_HANDICAP, source: 'none' };
+};
+
+module.exports = {
+  AGE_BRACKET_HANDICAPS,
+  NO_HANDICAP,
+  resolveHandicap
+};
@@ -0,0 +1,358 @@
+/**
+ * Leaderboard Repository - Persists finished games and the family leaderboards
+ * LeaderboardService works out what a finished game changes and saves it
+ * through a repository.
+ *
+ * A repository implements:
+ * - createSession(session): Promise of the saved trivia_sessions row (with its id)
+ * - getSession(sessionId): Promise of the trivia_sessions row, or null when there's none
+ * - saveSessionProgress(sessionId, version, changes): Promise of the updated trivia_sessions row, or null
+ *   when the session isn't at that progress_version any more (another answer was saved first) or is completed
+ * - finalizeSession(finishedGame): Promise of { session, entries } once a finished game is saved
+ *   in one go: its trivia_sessions row, its trivia_answers, what it adds to the players' category_stats
+ *   and leaderboards (see finalizeSession below), and the players' updated leaderboards rows
+ * - getFamilyLeaderboard(familyId, limit): Promise of the family's rows, highest total_score first
+ * - getCompletedSessions(familyId, since): Promise of the family's completed trivia_sessions rows
+ *   (completed at or after since, every one when since is null), oldest first
+ * - getRecentSessions(familyId, limit): Promise of the family's latest completed trivia_sessions rows
+ *   (id, completed_at and questions_used only), newest first
+ * - getCategoryStats(familyId): Promise of the family's category_stats rows
+ * - getSessionAnswers(sessionIds): Promise of the trivia_answers rows of those sessions
+ * - getQuestionPerformance(familyId): Promise of the family's question_performance rows,
+ *   each with its question's category and difficulty
+ */
+
+const { createClient } = require('@supabase/supabase-js');
+
+/**
+ * Keeps everything in memory (for tests, and when Supabase isn't configured)
+ */
+class MemoryLeaderboardRepository {
+  constructor() {
+    this.sessions = new Map();
+    this.answers = [];
+    this.leaderboards = new Map();
+    this.categoryStats = new Map();
+    this.questionPerformance = [];
+  }
+
+  async createSession(session) {
+    const savedSession = { id: `session-${session.family_id}-${Date.now()}`, ...session };
+    this.sessions.set(savedSession.id, savedSession);
+    return savedSession;
+  }
+
+  async getSession(sessionId) {
+    const session = this.sessions.get(sessionId);
+    return session ? { ...session } : null;
+  }
+
+  async saveSessionProgress(sessionId, version, changes) {
+    const session = this.sessions.get(sessionId);
+    if (!session || session.completed || (session.progress_version || 0) !== version) {
+      return null;
+    }
+    const updatedSession = { ...session, ...changes, progress_version: version + 1 };
+    this.sessions.set(sessionId, updatedSession);
+    return { ...updatedSession };
+  }
+
+  // Nothing here awaits, so a game is saved whole before another one can start saving
+  async finalizeSession({ sessionId, session, answers, categoryResults, playerResults, recentResultCount }) {
+    const familyId = session.family_id;
+    const completedAt = session.completed_at;
+
+    let savedSession;
+    if (sessionId) {
+      const startedSession = this.sessions.get(sessionId);
+      if (!startedSession || startedSession.family_id !== familyId || startedSession.completed) {
+        throw new Error(`Failed to save finished game: trivia session ${sessionId} not found or already completed`);
+      }
+      savedSession = {
+        ...startedSession,
+        completed_at: completedAt,
+        completed: true,
+        scores: session.scores,
+        questions_used: session.questions_used,
+        session_config: session.session_config,
+        game_data: session.game_data
+      };
+    } else {
+      savedSession = { id: `session-${familyId}-${Date.now()}`, ...session, completed: true };
+    }
+    this.sessions.set(savedSession.id, savedSession);
+
+    this.answers.push(...answers.map(answer => ({ session_id: savedSession.id, ...answer })));
+
+    categoryResults.forEach(({ results, ...result }) => {
+      const key = `${familyId}-${result.user_id}-${result.category}`;
+      const stat = this.categoryStats.get(key);
+      this.categoryStats.set(key, {
+        family_id: familyId,
+        user_id: result.user_id,
+        category: result.category,
+        player_name: result.player_name || stat?.player_name || null,
+        answered: (stat?.answered || 0) + result.answered,
+        correct: (stat?.correct || 0) + result.correct,
+        total_credit: Number(stat?.total_credit || 0) + result.total_credit,
+        total_time_seconds: Number(stat?.total_time_seconds || 0) + result.total_time_seconds,
+        recent_results: [...(stat?.recent_results || []), ...results].slice(-recentResultCount),
+        last_answered_at: completedAt,
+        updated_at: completedAt
+      });
+    });
+
+    const entries = playerResults.map(({ user_id: userId, score, raw_score: rawScore, won }) => {
+      const key = `${familyId}-${userId}`;
+      const entry = this.leaderboards.get(key);
+      const totalScore = (entry?.total_score || 0) + score;
+      const gamesPlayed = (entry?.games_played || 0) + 1;
+      const currentStreak = score > 0 ? (entry?.current_streak || 0) + 1 : 0;
+      const updatedEntry = {
+        family_id: familyId,
+        user_id: userId,
+        total_score: totalScore,
+        raw_total_score: (entry?.raw_total_score || 0) + rawScore,
+        games_played: gamesPlayed,
+        games_won: (entry?.games_won || 0) + (won ? 1 : 0),
+        current_streak: currentStreak,
+        best_streak: Math.max(entry?.best_streak || 0, currentStreak),
+        average_score: Math.round((totalScore / gamesPlayed) * 100) / 100,
+        last_played_at: completedAt,
+        updated_at: completedAt
+      };
+      this.leaderboards.set(key, updatedEntry);
+      return { ...updatedEntry };
+    });
+
+    return { session: { ...savedSession }, entries };
+  }
+
+  async getFamilyLeaderboard(familyId, limit) {
+    return Array.from(this.leaderboards.values())
+      .filter(entry => entry.family_id === familyId)
+      .sort((a, b) => b.total_score - a.total_score)
+      .slice(0, limit);
+  }
+
+  async getCompletedSessions(familyId, since) {
+    return Array.from(this.sessions.values())
+      .filter(session => session.family_id === familyId && session.completed)
+      .filter(session => !since || new Date(session.completed_at) >= since)
+      .sort((a, b) => new Date(a.completed_at) - new Date(b.completed_at));
+  }
+
+  async getRecentSessions(familyId, limit) {
+    return (await this.getCompletedSessions(familyId, null))
+      .reverse()
+      .slice(0, limit)
+      .map(({ id, completed_at, questions_used }) => ({ id, completed_at, questions_used }));
+  }
+
+  async getCategoryStats(familyId) {
+    return Array.from(this.categoryStats.values()).filter(stat => stat.family_id === familyId);
+  }
+
+  async getSessionAnswers(sessionIds) {
+    return this.answers.filter(answer => sessionIds.includes(answer.session_id));
+  }
+
+  async getQuestionPerformance(familyId) {
+    return this.questionPerformance.filter(row => row.family_id === familyId);
+  }
+}
+
+/**
+ * Writes to the trivia_sessions, trivia_answers, leaderboards and category_stats tables
+ * (and reads question_performance)
+ */
+class SupabaseLeaderboardRepository {
+  /**
+   * @param {Object} supabase - Supabase client allowed to write the tables (service role)
+   */
+  constructor(supabase) {
+    this.supabase = supabase;
+  }
+
+  async createSession(session) {
+    const { data, error } = await this.supabase
+      .from('trivia_sessions')
+      .insert(session)
+      .select()
+      .single();
+
+    if (error) {
+      throw new Error(`Failed to save trivia session: ${error.message}`);
+    }
+    return data;
+  }
+
+  async getSession(sessionId) {
+    const { data, error } = await this.supabase
+      .from('trivia_sessions')
+      .select('*')
+      .eq('id', sessionId)
+      .maybeSingle();
+
+    if (error) {
+      throw new Error(`Failed to load trivia session: ${error.message}`);
+    }
+    return data;
+  }
+
+  /**
+   * Save a session's progress only if it's still at the version it was read at
+   * (supabase/session_progress_schema.sql)
+   */
+  async saveSessionProgress(sessionId, version, changes) {
+    const { data, error } = await this.supabase
+      .from('trivia_sessions')
+      .update({ ...changes, progress_version: version + 1 })
+      .eq('id', sessionId)
+      .eq('progress_version', version)
+      .eq('completed', false)
+      .select()
+      .maybeSingle();
+
+    if (error) {
+      throw new Error(`Failed to update trivia session: ${error.message}`);
+    }
+    return data;
+  }
+
+  /**
+   * Save a finished game in one transaction (supabase/finalize_session_schema.sql)
+   * The running totals are added to inside the database, so games finishing together can't
+   * overwrite each other's, and a failure part way saves nothing
+   * @param {Object} finishedGame - { sessionId, session, answers, categoryResults, playerResults, recentResultCount }
+   * @returns {Promise<Object>} { session, entries }
+   */
+  async finalizeSession({ sessionId, session, answers, categoryResults, playerResults, recentResultCount }) {
+    const { data, error } = await this.supabase.rpc('finalize_trivia_session', {
+      p_session_id: sessionId || null,
+      p_session: session,
+      p_answers: answers,
+      p_category_results: categoryResults,
+      p_player_results: playerResults,
+      p_recent_result_count: recentResultCount
+    });
+
+    if (error) {
+      throw new Error(`Failed to save finished game: ${error.message}`);
+    }
+    return { session: data.session, entries: data.entries || [] };
+  }
+
+  async getFamilyLeaderboard(familyId, limit) {
+    const { data, error } = await this.supabase
+      .from('leaderboards')
+      .select('*')
+      .eq('family_id', familyId)
+      .order('total_score', { ascending: false })
+      .limit(limit);
+
+    if (error) {
+      throw new Error(`Failed to load family leaderboard: ${error.message}`);
+    }
+    return data || [];
+  }
+
+  async getCompletedSessions(familyId, since) {
+    let query = this.supabase
+      .from('trivia_sessions')
+      .select('id, family_id, completed_at, scores, questions_used, game_data')
+      .eq('family_id', familyId)
+      .eq('completed', true);
+
+    if (since) {
+      query = query.gte('completed_at', since.toISOString());
+    }
+
+    const { data, error } = await query.order('completed_at', { ascending: true });
+    if (error) {
+      throw new Error(`Failed to load trivia sessions: ${error.message}`);
+    }
+    return data || [];
+  }
+
+  async getRecentSessions(familyId, limit) {
+    const { data, error } = await this.supabase
+      .from('trivia_sessions')
+      .select('id, completed_at, questions_used')
+      .eq('family_id', familyId)
+      .eq('completed', true)
+      .order('completed_at', { ascending: false })
+      .limit(limit);
+
+    if (error) {
+      throw new Error(`Failed to load trivia sessions: ${error.message}`);
+    }
+    return data || [];
+  }
+
+  async getCategoryStats(familyId) {
+    const { data, error } = await this.supabase
+      .from('category_stats')
+      .select('*')
+      .eq('family_id', familyId);
+
+    if (error) {
+      throw new Error(`Failed to load category stats: ${error.message}`);
+    }
+    return data || [];
+  }
+
+  async getSessionAnswers(sessionIds) {
+    if (sessionIds.length === 0) {
+      return [];
+    }
+
+    const { data, error } = await this.supabase
+      .from('trivia_answers')
+      .select('session_id, question_id, category, difficulty, user_answer, is_correct, credit, time_taken_seconds, answered_at')
+      .in('session_id', sessionIds);
+
+    if (error) {
+      throw new Error(`Failed to load trivia answers: ${error.message}`);
+    }
+    return data || [];
+  }
+
+  async getQuestionPerformance(familyId) {
+    const { data, error } = await this.supabase
+      .from('question_performance')
+      .select('question_id, family_id, times_shown, times_correct, questions(category, difficulty)')
+      .eq('family_id', familyId);
+
+    if (error) {
+      throw new Error(`Failed to load question performance: ${error.message}`);
+    }
+    return (data || []).map(({ questions: question, ...row }) => ({
+      ...row,
+      category: question?.category || null,
+      difficulty: question?.difficulty || null
+    }));
+  }
+}
+
+/**
+ * Create the repository for the environment: Supabase when it's configured, memory otherwise
+ * @returns {Object} Leaderboard repository
+ */
+const createLeaderboardRepository = () => {
+  const supabaseUrl = process.env.SUPABASE_URL;
+  const supabaseKey = process.env.SUPABASE_SERVICE_ROLE_KEY;
+
+  if (supabaseUrl && supabaseKey && supabaseUrl !== 'your-supabase-url') {
+    return new SupabaseLeaderboardRepository(createClient(supabaseUrl, supabaseKey));
+  }
+
+  console.warn('⚠️ Supabase not configured, keeping game results and leaderboards in memory only');
+  return new MemoryLeaderboardRepository();
+};
+
+module.exports = {
+  MemoryLeaderboardRepository,
+  SupabaseLeaderboardRepository,
+  createLeaderboardRepository
+};
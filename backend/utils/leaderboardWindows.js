@@ -0,0 +1,41 @@
+/**
+ * Leaderboard Windows - The periods a family leaderboard can be ranked over
+ * A windowed leaderboard only counts the games completed since the window started
+ * (all times are UTC):
+ * - week: since Monday
+ * - month: since the 1st of the month
+ * - season: since the start of the quarter (January, April, July or October)
+ * - all: every game ever played
+ */
+
+const LEADERBOARD_WINDOWS = ['week', 'month', 'season', 'all'];
+
+/**
+ * Work out when a leaderboard window started
+ * @param {string} window - One of LEADERBOARD_WINDOWS
+ * @param {Date} now - The current time
+ * @returns {Date|null} Start of the window, or null for all-time
+ */
+const getWindowStart = (window, now = new Date()) => {
+  const year = now.getUTCFullYear();
+  const month = now.getUTCMonth();
+
+  switch (window) {
+    case 'week': {
+      // getUTCDay() is 0 on Sunday; weeks start on Monday
+      const daysSinceMonday = (now.getUTCDay() + 6) % 7;
+      return new Date(Date.UTC(year, month, now.getUTCDate() - daysSinceMonday));
+    }
+    case 'month':
+      return new Date(Date.UTC(year, month, 1));
+    case 'season':
+      return new Date(Date.UTC(year, month - (month % 3), 1));
+    default:
+      return null;
+  }
+};
+
+module.exports = {
+  LEADERBOARD_WINDOWS,
+  getWindowStart
+};
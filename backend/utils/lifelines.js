@@ -0,0 +1,70 @@
+/**
+ * Lifelines - Limited-use helpers a player can spend on a question in a real-time game
+ * - fiftyFifty: removes two wrong choices (for that player only)
+ * - extraTime: gives that player more time to answer
+ * - hint: reveals the question's hint, for a points cost
+ * - askFamily: shows how the rest of the family has answered so far
+ *
+ * Each game's rules set how many of each lifeline every player gets.
+ */
+
+const { shuffle } = require('./shuffle');
+
+// Lifelines every player gets per game unless the host's rules say otherwise
+const DEFAULT_LIFELINE_ALLOWANCES = {
+  fiftyFifty: 1,
+  extraTime: 1,
+  hint: 1,
+  askFamily: 1
+};
+
+const LIFELINE_NAMES = Object.keys(DEFAULT_LIFELINE_ALLOWANCES);
+
+// Most uses of a single lifeline a host can hand each player
+const MAX_LIFELINE_ALLOWANCE = 5;
+
+// Seconds the extraTime lifeline adds to the player's countdown
+const EXTRA_TIME_SECONDS = 15;
+
+// Points a revealed hint costs
+const HINT_COST_POINTS = 25;
+
+/**
+ * Pick the wrong choices the fiftyFifty lifeline removes: two of them, always
+ * leaving at least one wrong choice next to the correct answer
+ * @param {Object} question - Full question stored on the server ({ choices, answer })
+ * @returns {Array<string>} Choices to hide from the player
+ */
+const pickFiftyFiftyRemovals = (question) => {
+  const correctAnswer = question.answer.trim().toLowerCase();
+  const wrongChoices = shuffle((question.choices || [])
+    .filter(choice => choice.trim().toLowerCase() !== correctAnswer));
+
+  return wrongChoices.slice(0, Math.min(2, wrongChoices.length - 1));
+};
+
+/**
+ * Count how the other players have answered a question so far
+ * @param {Array} answers - Recorded answers to the question
+ * @param {string} userId - The player asking (their own answer isn't counted)
+ * @returns {Object} { choice: numberOfPlayers }
+ */
+const countFamilyVotes = (answers, userId) => {
+  const votes = {};
+  answers
+    .filter(answer => answer.userId !== userId && answer.selectedAnswer !== null)
+    .forEach(answer => {
+      votes[answer.selectedAnswer] = (votes[answer.selectedAnswer] || 0) + 1;
+    });
+  return votes;
+};
+
+module.exports = {
+  DEFAULT_LIFELINE_ALLOWANCES,
+  LIFELINE_NAMES,
+  MAX_LIFELINE_ALLOWANCE,
+  EXTRA_TIME_SECONDS,
+  HINT_COST_POINTS,
+  pickFiftyFiftyRemovals,
+  countFamilyVotes
+};
@@ -0,0 +1,150 @@
+/**
+ * Media Store - Keeps the pictures and sound clips that media questions reference
+ * A question with media has a media_type ('image' or 'audio') and a media_path
+ * inside the store. The store turns the path into a URL clients can load, and
+ * saves new assets.
+ *
+ * A store implements:
+ * - getUrl(mediaPath): URL clients load the asset from
+ * - upload(mediaPath, data, contentType): Promise that saves an asset
+ */
+
+const fs = require('fs');
+const path = require('path');
+const { createClient } = require('@supabase/supabase-js');
+
+const MEDIA_TYPES = ['image', 'audio'];
+
+// Route the backend serves local media from (see server.js)
+const LOCAL_MEDIA_ROUTE = '/media';
+
+// Supabase Storage bucket for question media unless MEDIA_STORE_BUCKET says otherwise
+const DEFAULT_MEDIA_BUCKET = 'question-media';
+
+/**
+ * Development store: assets are files in a local directory served by the backend
+ */
+class LocalMediaStore {
+  /**
+   * @param {string} directory - Where the asset files live
+   * @param {string} publicUrl - URL the directory is served from (a relative URL is resolved against the API URL by the app)
+   */
+  constructor(directory, publicUrl = LOCAL_MEDIA_ROUTE) {
+    this.directory = directory;
+    this.publicUrl = publicUrl.replace(/\/$/, '');
+  }
+
+  /**
+   * Turn a media path into a file path, refusing paths that would escape the directory
+   * @param {string} mediaPath - Path inside the store
+   * @returns {string} Absolute file path
+   */
+  resolvePath(mediaPath) {
+    const filePath = path.resolve(this.directory, mediaPath);
+    if (!filePath.startsWith(path.resolve(this.directory) + path.sep)) {
+      throw new Error(`Invalid media path: ${mediaPath}`);
+    }
+    return filePath;
+  }
+
+  getUrl(mediaPath) {
+    return `${this.publicUrl}/${mediaPath.split('/').map(encodeURIComponent).join('/')}`;
+  }
+
+  async upload(mediaPath, data) {
+    const filePath = this.resolvePath(mediaPath);
+    await fs.promises.mkdir(path.dirname(filePath), { recursive: true });
+    await fs.promises.writeFile(filePath, data);
+    return mediaPath;
+  }
+}
+
+/**
+ * Production store: assets live in a public Supabase Storage bucket
+ */
+class SupabaseMediaStore {
+  /**
+   * @param {Object} supabase - Supabase client allowed to write to the bucket
+   * @param {string} bucket - Storage bucket name
+   */
+  constructor(supabase, bucket = DEFAULT_MEDIA_BUCKET) {
+    this.supabase = supabase;
+    this.bucket = bucket;
+  }
+
+  getUrl(mediaPath) {
+    return this.supabase.storage.from(this.bucket).getPublicUrl(mediaPath).data.publicUrl;
+  }
+
+  async upload(mediaPath, data, contentType) {
+    const { error } = await this.supabase.storage
+      .from(this.bucket)
+      .upload(mediaPath, data, { contentType, upsert: true });
+
+    if (error) {
+      throw new Error(`Failed to upload ${mediaPath}: ${error.message}`);
+    }
+    return mediaPath;
+  }
+}
+
+/**
+ * Create the media store selected by the MEDIA_STORE environment variable
+ * - 'local' (default outside production): files in MEDIA_STORE_PATH (defaults to backend/data/media),
+ *   served from MEDIA_PUBLIC_URL (defaults to the backend's /media route)
+ * - 'supabase' (default in production): the MEDIA_STORE_BUCKET bucket (defaults to question-media)
+ * @returns {Object} Media store
+ */
+const createMediaStore = () => {
+  const storeType = process.env.MEDIA_STORE || (process.env.NODE_ENV === 'production' ? 'supabase' : 'local');
+
+  if (storeType === 'supabase') {
+    const supabaseUrl = process.env.SUPABASE_URL;
+    const supabaseKey = process.env.SUPABASE_SERVICE_ROLE_KEY;
+    if (supabaseUrl && supabaseKey && supabaseUrl !== 'your-supabase-url') {
+      return new SupabaseMediaStore(createClient(supabaseUrl, supabaseKey), process.env.MEDIA_STORE_BUCKET || DEFAULT_MEDIA_BUCKET);
+    }
+    console.warn('⚠️ MEDIA_STORE is "supabase" but Supabase is not configured, keeping question media on local disk');
+  } else if (storeType !== 'local') {
+    console.warn(`⚠️ Unknown MEDIA_STORE "${storeType}", keeping question media on local disk`);
+  }
+
+  const directory = process.env.MEDIA_STORE_PATH || path.resolve(__dirname, '../data/media');
+  return new LocalMediaStore(directory, process.env.MEDIA_PUBLIC_URL || LOCAL_MEDIA_ROUTE);
+};
+
+let defaultMediaStore = null;
+
+/**
+ * Get the media store shared by the whole backend, creating it on first use
+ * @returns {Object} Media store
+ */
+const getMediaStore = () => {
+  if (!defaultMediaStore) {
+    defaultMediaStore = createMediaStore();
+  }
+  return defaultMediaStore;
+};
+
+/**
+ * Add the URL of a question's media asset (media_url) so it can be sent to clients
+ * @param {Object} question - Question row ({ media_type, media_path })
+ * @param {Object} mediaStore - Store the asset lives in (defaults to the shared store)
+ * @returns {Object} The question, with media_url when it has a valid media asset
+ */
+const attachMediaUrl = (question, mediaStore = getMediaStore()) => {
+  if (!MEDIA_TYPES.includes(question.media_type) || !question.media_path) {
+    return question;
+  }
+  return { ...question, media_url: mediaStore.getUrl(question.media_path) };
+};
+
+module.exports = {
+  MEDIA_TYPES,
+  LOCAL_MEDIA_ROUTE,
+  LocalMediaStore,
+  SupabaseMediaStore,
+  createMediaStore,
+  getMediaStore,
+  attachMediaUrl
+};
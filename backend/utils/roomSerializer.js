@@ -0,0 +1,261 @@
+/**
+ * Room Serializer - Turns server-side game rooms into the payloads sent to clients
+ * Every /game emission that carries room, player or question data goes through
+ * these helpers so correct answers never leave the server early.
+ */
+
+const { getQuestionType } = require('./grading');
+const { getMaxWager } = require('./scoring');
+
+/**
+ * Prepare a question for clients (without the correct answer)
+ * @param {Object} question - Full question stored on the server
+ * @param {number} questionNumber - 1-based question number
+ * @returns {Object} Client-safe question
+ */
+const formatQuestionForClient = (question, questionNumber) => ({
+  id: question.id,
+  questionNumber,
+  category: question.category,
+  question: question.question,
+  type: getQuestionType(question),
+  // Free-text and numeric answers are typed, so there are no choices to send
+  choices: ['free_text', 'numeric'].includes(getQuestionType(question)) ? [] : question.choices,
+  // Matching questions pair each prompt with one of the choices
+  ...(getQuestionType(question) === 'matching' && { matchPrompts: Object.keys(question.answer_key || {}) }),
+  // Picture or sound clip the question is about; clients preload it before the timer starts
+  ...(question.media_url && { media: { type: question.media_type, url: question.media_url } }),
+  difficulty: question.difficulty,
+  timeLimit: question.time_limit || 30,
+  points: question.points || 100,
+  hasHint: !!question.hint // The hint itself is only revealed through the hint lifeline
+});
+
+/**
+ * Build the scores broadcast payload keyed by userId, including player names
+ * `score` includes handicaps, `rawScore` is the same total without them
+ * @param {Object} room - Game room
+ * @returns {Object} Scores with names
+ */
+const getScoresWithNames = (room) => {
+  const scoresWithNames = {};
+  const rawScores = room.gameState.rawScores || {};
+  room.players.forEach(player => {
+    scoresWithNames[player.userId] = {
+      playerName: player.playerName,
+      score: room.gameState.scores[player.userId] || 0,
+      rawScore: rawScores[player.userId] || 0,
+      isHost: player.isHost
+    };
+  });
+  return scoresWithNames;
+};
+
+/**
+ * Build the team standings for a team game, highest score first
+ * @param {Object} room - Game room
+ * @returns {Array|null} [{ teamId, name, score, answerMode, members: [{ userId, playerName }] }] or null for solo games
+ */
+const getTeamStandings = (room) => {
+  const { teams, teamScores = {} } = room.gameState;
+  if (!teams) {
+    return null;
+  }
+
+  return teams
+    .map(team => ({
+      teamId: team.id,
+      name: team.name,
+      score: teamScores[team.id] || 0,
+      answerMode: team.answerMode,
+      members: team.members.map(userId => ({
+        userId,
+        playerName: room.players.find(p => p.userId === userId)?.playerName || null
+      }))
+    }))
+    .sort((a, b) => b.score - a.score);
+};
+
+/**
+ * Prepare a player entry for clients
+ * @param {Object} player - Player stored in the room
+ * @returns {Object} Client-safe player
+ */
+const formatPlayerForClient = (player) => ({
+  userId: player.userId,
+  playerName: player.playerName,
+  handicap: player.handicap
+    ? { pointsMultiplier: player.handicap.pointsMultiplier, extraSeconds: player.handicap.extraSeconds }
+    : null,
+  isHost: player.isHost,
+  connected: player.connected !== false,
+  joinedAt: player.joinedAt
+});
+
+/**
+ * Prepare a spectator entry for clients
+ * @param {Object} spectator - Spectator stored in the room
+ * @returns {Object} Client-safe spectator
+ */
+const formatSpectatorForClient = (spectator) => ({
+  userId: spectator.userId,
+  playerName: spectator.playerName,
+  joinedAt: spectator.joinedAt
+});
+
+/**
+ * Get the room's game mode ('classic' or 'buzzer')
+ * @param {Object} room - Game room
+ * @returns {string} Game mode
+ */
+const getGameMode = (room) => room.gameState.metadata?.rules?.mode || 'classic';
+
+/**
+ * Describe who has buzzed in on a question in a buzzer game
+ * @param {Object} room - Game room
+ * @param {number} questionNumber - 1-based question number
+ * @returns {Object|null} { winner: { userId, playerName, pointsEarned } | null, lockedOut: [userId] } or null outside buzzer games
+ */
+const getBuzzerState = (room, questionNumber) => {
+  if (getGameMode(room) !== 'buzzer') {
+    return null;
+  }
+
+  const playerAnswers = room.gameState.playerAnswers || {};
+  const buzzes = Object.keys(playerAnswers)
+    .filter(answerKey => answerKey.endsWith(`-q${questionNumber}`))
+    .map(answerKey => playerAnswers[answerKey])
+    .filter(answer => !answer.timedOut)
+    .sort((a, b) => new Date(a.submittedAt) - new Date(b.submittedAt));
+  const winningBuzz = buzzes.find(answer => answer.isCorrect);
+
+  return {
+    winner: winningBuzz
+      ? { userId: winningBuzz.userId, playerName: winningBuzz.playerName, pointsEarned: winningBuzz.pointsEarned }
+      : null,
+    lockedOut: buzzes.filter(answer => !answer.isCorrect).map(answer => answer.userId)
+  };
+};
+
+/**
+ * Describe the question currently in play, with the time left on the server's countdown
+ * @param {Object} room - Game room
+ * @returns {Object|null} { questionNumber, question, timeLimit, timeRemaining, deliveredAt, mode, buzzer } or null between questions (and while wagers are taken)
+ */
+const getCurrentQuestionState = (room) => {
+  const { gameState } = room;
+  if (gameState.status !== 'playing' || !gameState.questionStartTime || gameState.wagerPhase) {
+    return null;
+  }
+
+  const questionNumber = gameState.currentQuestion + 1;
+  const question = formatQuestionForClient(gameState.questions[gameState.currentQuestion], questionNumber);
+  const deliveredAt = new Date(gameState.questionStartTime);
+  const elapsedMs = Date.now() - deliveredAt.getTime();
+
+  return {
+    questionNumber,
+    question,
+    timeLimit: question.timeLimit,
+    timeRemaining: Math.max(Math.ceil((question.timeLimit * 1000 - elapsedMs) / 1000), 0),
+    deliveredAt: deliveredAt.toISOString(),
+    mode: getGameMode(room),
+    buzzer: getBuzzerState(room, questionNumber)
+  };
+};
+
+/**
+ * Describe the wager phase before the final question, if one is running
+ * Wager amounts stay hidden until the question is over; only who has wagered is shown
+ * @param {Object} room - Game room
+ * @returns {Object|null} { questionNumber, category, maxWagers, timeLimit, timeRemaining, deadline, wageredPlayers } or null
+ */
+const getWagerPhaseState = (room) => {
+  const { wagerPhase } = room.gameState;
+  if (room.gameState.status !== 'playing' || !wagerPhase) {
+    return null;
+  }
+
+  const question = room.gameState.questions[wagerPhase.questionNumber - 1];
+  const maxWagers = {};
+  room.players.forEach(player => {
+    maxWagers[player.userId] = getMaxWager(room.gameState.scores[player.userId]);
+  });
+
+  return {
+    questionNumber: wagerPhase.questionNumber,
+    category: question.category,
+    maxWagers,
+    timeLimit: wagerPhase.timeLimit,
+    timeRemaining: Math.max(Math.ceil((new Date(wagerPhase.deadline).getTime() - Date.now()) / 1000), 0),
+    deadline: new Date(wagerPhase.deadline).toISOString(),
+    wageredPlayers: Object.keys(wagerPhase.wagers)
+  };
+};
+
+/**
+ * Serialize a room into the public state every client in it may see
+ * This is the only shape room state is sent to clients in: it never includes
+ * correct answers, the full question list, socket IDs or anyone's selected answers
+ * @param {Object} room - Game room
+ * @returns {Object} Public room state
+ */
+const serializeRoom = (room) => {
+  const { gameState } = room;
+  const currentQuestion = getCurrentQuestionState(room);
+  const playerAnswers = gameState.playerAnswers || {};
+  const answeredPlayers = currentQuestion
+    ? room.players
+      .filter(player => playerAnswers[`${player.userId}-q${currentQuestion.questionNumber}`])
+      .map(player => player.userId)
+    : [];
+
+  return {
+    familyId: room.familyId,
+    status: gameState.status,
+    players: room.players.map(formatPlayerForClient),
+    spectators: room.spectators.map(formatSpectatorForClient),
+    scores: getScoresWithNames(room),
+    teams: getTeamStandings(room),
+    totalQuestions: gameState.questions ? gameState.questions.length : 0,
+    currentQuestion,
+    answeredPlayers,
+    wagerPhase: getWagerPhaseState(room),
+    metadata: gameState.metadata
+      ? { ...gameState.metadata, aiGenerated: gameState.metadata.generationSource.includes('ai') }
+      : null,
+    startedAt: gameState.startedAt || null,
+    finishedAt: gameState.finishedAt || null
+  };
+};
+
+/**
+ * Build a snapshot of the room for a single client to rebuild its game screen from
+ * @param {Object} room - Game room
+ * @param {string} userId - The user the snapshot is for
+ * @returns {Object} Public room state plus the user's own answered and wagered flags and lifelines left
+ */
+const buildStateSnapshot = (room, userId) => {
+  const state = serializeRoom(room);
+  return {
+    ...state,
+    hasAnswered: state.answeredPlayers.includes(userId),
+    hasWagered: !!state.wagerPhase && state.wagerPhase.wageredPlayers.includes(userId),
+    lifelinesLeft: room.gameState.lifelinesLeft?.[userId] || room.gameState.metadata?.rules?.lifelines || null,
+    syncedAt: new Date().toISOString()
+  };
+};
+
+module.exports = {
+  formatQuestionForClient,
+  formatPlayerForClient,
+  formatSpectatorForClient,
+  getScoresWithNames,
+  getTeamStandings,
+  getGameMode,
+  getBuzzerState,
+  getCurrentQuestionState,
+  getWagerPhaseState,
+  serializeRoom,
+  buildStateSnapshot
+};
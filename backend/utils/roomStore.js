@@ -0,0 +1,111 @@
+/**
+ * Room Store - Persists live game rooms so they survive a backend restart
+ * GameService snapshots a room through the store after every mutation and
+ * reloads the saved rooms at boot.
+ *
+ * A store implements:
+ * - load(): Array of saved room snapshots
+ * - save(room): Persist a room snapshot
+ * - remove(familyId): Delete a saved room
+ */
+
+const fs = require('fs');
+const path = require('path');
+
+/**
+ * Default store: rooms only live in GameService's in-memory maps
+ */
+class MemoryRoomStore {
+  load() {
+    return [];
+  }
+
+  save() {}
+
+  remove() {}
+}
+
+/**
+ * Stores every room as JSON in a single file on disk
+ */
+class FileRoomStore {
+  /**
+   * @param {string} filePath - Where to keep the rooms file
+   */
+  constructor(filePath) {
+    this.filePath = filePath;
+    this.rooms = this.readFile();
+  }
+
+  /**
+   * Read saved rooms from disk, starting fresh if the file is missing or corrupt
+   * @returns {Object} Rooms keyed by familyId
+   */
+  readFile() {
+    try {
+      if (!fs.existsSync(this.filePath)) {
+        return {};
+      }
+      return JSON.parse(fs.readFileSync(this.filePath, 'utf8')) || {};
+    } catch (error) {
+      console.warn(`⚠️ Could not read game rooms from ${this.filePath}, starting fresh:`, error.message);
+      return {};
+    }
+  }
+
+  /**
+   * Write all rooms to disk (via a temp file so a crash mid-write can't corrupt the file)
+   */
+  writeFile() {
+    fs.mkdirSync(path.dirname(this.filePath), { recursive: true });
+    const tempPath = `${this.filePath}.tmp`;
+    fs.writeFileSync(tempPath, JSON.stringify(this.rooms));
+    fs.renameSync(tempPath, this.filePath);
+  }
+
+  load() {
+    return Object.values(this.rooms);
+  }
+
+  save(room) {
+    // Round-trip through JSON so later in-memory mutations don't leak into the snapshot
+    this.rooms[room.familyId] = JSON.parse(JSON.stringify(room));
+    this.writeFile();
+  }
+
+  remove(familyId) {
+    if (!this.rooms[familyId]) {
+      return;
+    }
+    delete this.rooms[familyId];
+    this.writeFile();
+  }
+}
+
+/**
+ * Create the room store selected by the GAME_ROOM_STORE environment variable
+ * - 'memory' (default): no persistence
+ * - 'file': JSON file at GAME_ROOM_STORE_PATH (defaults to backend/data/game-rooms.json)
+ * @returns {Object} Room store
+ */
+const createRoomStore = () => {
+  const storeType = process.env.GAME_ROOM_STORE || 'memory';
+
+  if (storeType === 'file') {
+    const filePath = process.env.GAME_ROOM_STORE_PATH || path.resolve(__dirname, '../data/game-rooms.json');
+    console.log(`💾 Persisting game rooms to ${filePath}`);
+    return new FileRoomStore(filePath);
+  }
+
+  if (storeType !== 'memory') {
+    console.warn(`⚠️ Unknown GAME_ROOM_STORE "${storeType}", keeping game rooms in memory only`);
+  }
+
+  return new MemoryRoomStore();
+};
+
+module.exports = {
+  MemoryRoomStore,
+  FileRoomStore,
+  createRoomStore
+};
@@ -0,0 +1,158 @@
+/**
+ * Scoring - The formulas trivia answers are scored with
+ * Shared by the real-time game engine and the REST session flow so an answer
+ * is worth the same points everywhere. Each game picks a strategy by name.
+ *
+ * Every strategy scores an answer described as:
+ * { isCorrect, credit, difficulty, basePoints, timeLimit, timeTaken, timeBonus, streak, wager }
+ * - credit: share of a partly right answer that was right, from 0 to 1 (ordering and matching questions)
+ * - timeBonus: false turns the quick-answer bonus off
+ * - streak: correct answers in a row before this one
+ * - wager: points the player staked on this answer (wager strategy only)
+ */
+
+const { NO_HANDICAP } = require('./handicaps');
+
+// Most bonus points a correct answer can earn for speed
+const MAX_TIME_BONUS = 50;
+
+// Combo multipliers for correct answers in a row (including the one being scored), best first
+const COMBO_MULTIPLIERS = [
+  { combo: 5, multiplier: 2 },
+  { combo: 3, multiplier: 1.5 },
+  { combo: 2, multiplier: 1.2 }
+];
+
+/**
+ * Get the difficulty multiplier applied to a question's base points
+ * @param {string} difficulty - Question difficulty
+ * @returns {number} Multiplier
+ */
+const getDifficultyMultiplier = (difficulty) => {
+  switch (difficulty) {
+    case 'easy':
+      return 1;
+    case 'medium':
+      return 1.5;
+    case 'hard':
+      return 2;
+    default:
+      return 1;
+  }
+};
+
+/**
+ * Get the multiplier for a run of correct answers
+ * @param {number} combo - Correct answers in a row, including the one being scored
+ * @returns {number} Multiplier (1 below the first tier)
+ */
+const getComboMultiplier = (combo) => {
+  const tier = COMBO_MULTIPLIERS.find(t => combo >= t.combo);
+  return tier ? tier.multiplier : 1;
+};
+
+/**
+ * Base points for a correct answer, adjusted by difficulty
+ * @param {Object} answer - Answer being scored
+ * @returns {number} Points
+ */
+const getAdjustedBasePoints = ({ basePoints = 100, difficulty }) =>
+  Math.floor(basePoints * getDifficultyMultiplier(difficulty));
+
+/**
+ * Bonus for answering quickly: falls linearly from MAX_TIME_BONUS to 0 over the time limit
+ * @param {Object} answer - Answer being scored
+ * @returns {number} Points
+ */
+const getTimeBonus = ({ timeBonus = true, timeLimit = 30, timeTaken = timeLimit }) => {
+  if (!timeBonus) {
+    return 0;
+  }
+  return Math.max(0, Math.floor((timeLimit - timeTaken) * MAX_TIME_BONUS / timeLimit));
+};
+
+const classicScore = (answer) => {
+  if (!answer.isCorrect) {
+    // A partly right answer earns its share of the base points, without a time bonus
+    return answer.credit > 0 ? Math.floor(getAdjustedBasePoints(answer) * answer.credit) : 0;
+  }
+  return getAdjustedBasePoints(answer) + getTimeBonus(answer);
+};
+
+// Named scoring strategies
+const SCORING_STRATEGIES = {
+  // Difficulty-adjusted base points plus a bonus for answering quickly
+  classic: classicScore,
+
+  // Difficulty-adjusted base points only
+  'no-time-bonus': (answer) => classicScore({ ...answer, timeBonus: false }),
+
+  // Classic points times the combo multiplier (2 in a row 1.2x, 3 in a row 1.5x, 5 or more 2x)
+  // A partly right answer breaks the combo and scores as classic
+  streak: (answer) => {
+    if (!answer.isCorrect) {
+      return classicScore(answer);
+    }
+    return Math.floor(classicScore(answer) * getComboMultiplier((answer.streak || 0) + 1));
+  },
+
+  // A staked answer wins or loses exactly its wager (only a fully right answer wins it);
+  // answers without a wager score as classic
+  wager: (answer) => {
+    if (typeof answer.wager !== 'number') {
+      return classicScore(answer);
+    }
+    return answer.isCorrect ? answer.wager : -answer.wager;
+  }
+};
+
+const SCORING_STRATEGY_NAMES = Object.keys(SCORING_STRATEGIES);
+
+/**
+ * Most a player can stake on an answer: anything up to their current score (nothing when they have no points)
+ * @param {number} score - The player's current score
+ * @returns {number} Largest allowed wager
+ */
+const getMaxWager = (score) => Math.max(score || 0, 0);
+
+/**
+ * Check a wager is a whole number of points the player can cover
+ * @param {*} wager - Wager the player asked for
+ * @param {number} score - The player's current score
+ * @returns {boolean} True when the wager counts
+ */
+const isValidWager = (wager, score) =>
+  Number.isInteger(wager) && wager >= 0 && wager <= getMaxWager(score);
+
+/**
+ * Score an answer with a named strategy, with and without the player's handicap
+ * The handicap's extra seconds come off the answer time, then positive points are
+ * multiplied (a handicap never makes a lost wager bigger)
+ * @param {string} strategyName - One of SCORING_STRATEGY_NAMES (unknown names score as classic)
+ * @param {Object} answer - Answer being scored (see the top of this file)
+ * @param {Object} handicap - { pointsMultiplier, extraSeconds } (defaults to no handicap)
+ * @returns {Object} { points, rawPoints } where rawPoints ignores the handicap
+ */
+const scoreAnswer = (strategyName, answer, handicap = NO_HANDICAP) => {
+  const strategy = SCORING_STRATEGIES[strategyName] || SCORING_STRATEGIES.classic;
+
+  const rawPoints = strategy(answer);
+
+  const handicappedTimeTaken = typeof answer.timeTaken === 'number'
+    ? Math.max(0, answer.timeTaken - handicap.extraSeconds)
+    : answer.timeTaken;
+  const handicappedPoints = strategy({ ...answer, timeTaken: handicappedTimeTaken });
+  const points = handicappedPoints > 0
+    ? Math.round(handicappedPoints * handicap.pointsMultiplier)
+    : handicappedPoints;
+
+  return { points, rawPoints };
+};
+
+module.exports = {
+  SCORING_STRATEGY_NAMES,
+  getComboMultiplier,
+  getMaxWager,
+  isValidWager,
+  scoreAnswer
+};
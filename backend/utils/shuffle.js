@@ -0,0 +1,42 @@
+/**
+ * Shuffle - Fisher-Yates shuffles, where every order is equally likely
+ * (sorting with a random comparator favours some orders over others)
+ */
+
+/**
+ * Shuffle a list into a random order
+ * @param {Array} items - The list to shuffle (left as it is)
+ * @returns {Array} A shuffled copy
+ */
+const shuffle = (items) => {
+  const shuffled = [...items];
+  for (let i = shuffled.length - 1; i > 0; i--) {
+    const j = Math.floor(Math.random() * (i + 1));
+    [shuffled[i], shuffled[j]] = [shuffled[j], shuffled[i]];
+  }
+  return shuffled;
+};
+
+/**
+ * Shuffle an ordering or matching question's choices, shuffling again whenever they
+ * come out in their correct order, which would give the answer away
+ * @param {Array} items - The choices in their correct order
+ * @returns {Array} The choices shuffled (as they are when there's only one distinct choice)
+ */
+const shuffleChoices = (items) => {
+  if (new Set(items).size < 2) {
+    return [...items];
+  }
+
+  let shuffled;
+  do {
+    shuffled = shuffle(items);
+  } while (shuffled.every((item, index) => item === items[index]));
+
+  return shuffled;
+};
+
+module.exports = {
+  shuffle,
+  shuffleChoices
+};
@@ -1,3 +1,8 @@
+const { AGE_BRACKET_HANDICAPS } = require('./handicaps');
+const { DEFAULT_LIFELINE_ALLOWANCES, LIFELINE_NAMES, MAX_LIFELINE_ALLOWANCE } = require('./lifelines');
+const { LEADERBOARD_WINDOWS } = require('./leaderboardWindows');
+const { SCORING_STRATEGY_NAMES } = require('./scoring');
+
 /**
  * Validates family name input
  * @param {string} name - The family name to validate
@@ -63,8 +68,245 @@ const validateUUID = (id) => {
   return { valid: true };
 };
 
+// How questions are played in a real-time game
+// - classic: everyone answers every question and scores on their own answer
+// - buzzer: the first correct answer (by server receive time) wins the question; a wrong buzz locks that player out
+const GAME_MODES = ['classic', 'buzzer'];
+
+// Rules a host can set when starting a real-time game, and their defaults
+const DEFAULT_GAME_RULES = {
+  mode: 'classic',
+  scoring: 'classic', // Scoring strategy, see utils/scoring.js
+  questionCount: 5,
+  timeLimitSeconds: null, // null keeps each question's own time limit
+  revealDelaySeconds: 5, // Pause after a question closes before the next one is shown
+  hintsAllowed: true,
+  timeBonus: true,
+  handicaps: true, // Apply each player's handicap to their points
+  finalWager: false, // Players stake part of their score on the last question before it's shown
+  lifelines: DEFAULT_LIFELINE_ALLOWANCES // Uses of each lifeline every player gets, see utils/lifelines.js
+};
+
+/**
+ * Validates the rules a host passes with start-game, filling in defaults
+ * @param {Object} rules - Partial game rules (may be omitted)
+ * @returns {Object} - { valid: boolean, error?: string, rules?: Object }
+ */
+const validateGameRules = (rules) => {
+  if (rules === undefined || rules === null) {
+    return { valid: true, rules: { ...DEFAULT_GAME_RULES, lifelines: { ...DEFAULT_LIFELINE_ALLOWANCES } } };
+  }
+
+  if (typeof rules !== 'object' || Array.isArray(rules)) {
+    return { valid: false, error: 'Game rules must be an object' };
+  }
+
+  const unknownRule = Object.keys(rules).find(key => !(key in DEFAULT_GAME_RULES));
+  if (unknownRule) {
+    return { valid: false, error: `Unknown game rule: ${unknownRule}` };
+  }
+
+  const normalizedRules = { ...DEFAULT_GAME_RULES, ...rules };
+  const { mode, scoring, questionCount, timeLimitSeconds, revealDelaySeconds, hintsAllowed, timeBonus, handicaps, finalWager, lifelines } = normalizedRules;
+
+  if (!GAME_MODES.includes(mode)) {
+    return { valid: false, error: `mode must be one of: ${GAME_MODES.join(', ')}` };
+  }
+
+  if (!SCORING_STRATEGY_NAMES.includes(scoring)) {
+    return { valid: false, error: `scoring must be one of: ${SCORING_STRATEGY_NAMES.join(', ')}` };
+  }
+
+  if (!Number.isInteger(questionCount) || questionCount < 1 || questionCount > 20) {
+    return { valid: false, error: 'questionCount must be a whole number between 1 and 20' };
+  }
+
+  if (timeLimitSeconds !== null && (!Number.isInteger(timeLimitSeconds) || timeLimitSeconds < 5 || timeLimitSeconds > 120)) {
+    return { valid: false, error: 'timeLimitSeconds must be null or a whole number between 5 and 120' };
+  }
+
+  if (!Number.isInteger(revealDelaySeconds) || revealDelaySeconds < 0 || revealDelaySeconds > 30) {
+    return { valid: false, error: 'revealDelaySeconds must be a whole number between 0 and 30' };
+  }
+
+  if (typeof hintsAllowed !== 'boolean') {
+    return { valid: false, error: 'hintsAllowed must be true or false' };
+  }
+
+  if (typeof timeBonus !== 'boolean') {
+    return { valid: false, error: 'timeBonus must be true or false' };
+  }
+
+  if (typeof handicaps !== 'boolean') {
+    return { valid: false, error: 'handicaps must be true or false' };
+  }
+
+  if (typeof finalWager !== 'boolean') {
+    return { valid: false, error: 'finalWager must be true or false' };
+  }
+
+  // Lifeline allowances left out keep their defaults
+  if (!lifelines || typeof lifelines !== 'object' || Array.isArray(lifelines)) {
+    return { valid: false, error: 'lifelines must be an object' };
+  }
+
+  const unknownLifeline = Object.keys(lifelines).find(name => !LIFELINE_NAMES.includes(name));
+  if (unknownLifeline) {
+    return { valid: false, error: `Unknown lifeline: ${unknownLifeline}` };
+  }
+
+  const allowances = { ...DEFAULT_LIFELINE_ALLOWANCES, ...lifelines };
+  const invalidAllowance = LIFELINE_NAMES.find(name =>
+    !Number.isInteger(allowances[name]) || allowances[name] < 0 || allowances[name] > MAX_LIFELINE_ALLOWANCE
+  );
+  if (invalidAllowance) {
+    return { valid: false, error: `lifelines.${invalidAllowance} must be a whole number between 0 and ${MAX_LIFELINE_ALLOWANCE}` };
+  }
+
+  return { valid: true, rules: { ...normalizedRules, lifelines: allowances } };
+};
+
+// How a team's answer to a question is decided
+// - first: the first answer submitted by any teammate counts for the team
+// - majority: the answer most teammates picked counts (ties go to the earliest)
+const TEAM_ANSWER_MODES = ['first', 'majority'];
+
+/**
+ * Validates the teams a host passes with start-game
+ * Every player in the room must be on exactly one team
+ * @param {Array} teams - [{ name, members: [userId], answerMode? }] (may be omitted for a solo game)
+ * @param {Array} playerIds - User IDs of the players in the room
+ * @returns {Object} - { valid: boolean, error?: string, teams?: Array|null }
+ */
+const validateTeams = (teams, playerIds) => {
+  if (teams === undefined || teams === null) {
+    return { valid: true, teams: null };
+  }
+
+  if (!Array.isArray(teams) || teams.length < 2 || teams.length > 6) {
+    return { valid: false, error: 'Teams must be a list of 2 to 6 teams' };
+  }
+
+  const seenNames = new Set();
+  const assignedPlayers = new Set();
+  const normalizedTeams = [];
+
+  for (const [index, team] of teams.entries()) {
+    if (!team || typeof team !== 'object') {
+      return { valid: false, error: 'Each team must be an object' };
+    }
+
+    const name = typeof team.name === 'string' ? team.name.trim() : '';
+    if (name.length === 0 || name.length > 30) {
+      return { valid: false, error: 'Each team needs a name of 30 characters or less' };
+    }
+    if (seenNames.has(name.toLowerCase())) {
+      return { valid: false, error: `Team name "${name}" is used more than once` };
+    }
+    seenNames.add(name.toLowerCase());
+
+    const answerMode = team.answerMode || 'first';
+    if (!TEAM_ANSWER_MODES.includes(answerMode)) {
+      return { valid: false, error: `answerMode must be one of: ${TEAM_ANSWER_MODES.join(', ')}` };
+    }
+
+    if (!Array.isArray(team.members) || team.members.length === 0) {
+      return { valid: false, error: `Team "${name}" needs at least one member` };
+    }
+
+    for (const userId of team.members) {
+      if (!playerIds.includes(userId)) {
+        return { valid: false, error: `Team "${name}" has a member who isn't in this room` };
+      }
+      if (assignedPlayers.has(userId)) {
+        return { valid: false, error: 'A player can only be on one team' };
+      }
+      assignedPlayers.add(userId);
+    }
+
+    normalizedTeams.push({
+      id: `team-${index + 1}`,
+      name,
+      members: [...team.members],
+      answerMode
+    });
+  }
+
+  if (playerIds.some(userId => !assignedPlayers.has(userId))) {
+    return { valid: false, error: 'Every player must be on a team' };
+  }
+
+  return { valid: true, teams: normalizedTeams };
+};
+
+/**
+ * Validates a family admin's update to a member's handicap
+ * Either field may be null to clear it; a custom handicap overrides the age bracket
+ * @param {Object} body - { ageBracket?: string|null, handicap?: { pointsMultiplier, extraSeconds }|null }
+ * @returns {Object} - { valid: boolean, error?: string, update?: Object } with update in family_members columns
+ */
+const validateMemberHandicap = (body) => {
+  const { ageBracket, handicap } = body || {};
+  if (ageBracket === undefined && handicap === undefined) {
+    return { valid: false, error: 'Provide an ageBracket or a handicap' };
+  }
+
+  const update = {};
+
+  if (ageBracket !== undefined) {
+    if (ageBracket !== null && !(ageBracket in AGE_BRACKET_HANDICAPS)) {
+      return { valid: false, error: `ageBracket must be one of: ${Object.keys(AGE_BRACKET_HANDICAPS).join(', ')}` };
+    }
+    update.age_bracket = ageBracket;
+  }
+
+  if (handicap !== undefined) {
+    if (handicap !== null) {
+      if (typeof handicap !== 'object' || Array.isArray(handicap)) {
+        return { valid: false, error: 'handicap must be an object' };
+      }
+
+      const { pointsMultiplier = 1, extraSeconds = 0 } = handicap;
+
+      if (typeof pointsMultiplier !== 'number' || pointsMultiplier < 0.5 || pointsMultiplier > 3) {
+        return { valid: false, error: 'pointsMultiplier must be a number between 0.5 and 3' };
+      }
+
+      if (!Number.isInteger(extraSeconds) || extraSeconds < 0 || extraSeconds > 30) {
+        return { valid: false, error: 'extraSeconds must be a whole number between 0 and 30' };
+      }
+
+      update.handicap = { pointsMultiplier, extraSeconds };
+    } else {
+      update.handicap = null;
+    }
+  }
+
+  return { valid: true, update };
+};
+
+/**
+ * Validates the period a family leaderboard is ranked over
+ * @param {string} window - The requested window (defaults to 'all')
+ * @returns {Object} - { valid: boolean, window?: string, error?: string }
+ */
+const validateLeaderboardWindow = (window = 'all') => {
+  if (!LEADERBOARD_WINDOWS.includes(window)) {
+    return { valid: false, error: `window must be one of: ${LEADERBOARD_WINDOWS.join(', ')}` };
+  }
+
+  return { valid: true, window };
+};
+
 module.exports = {
   validateFamilyName,
   validateEmail,
-  validateUUID
+  validateUUID,
+  validateGameRules,
+  validateTeams,
+  validateMemberHandicap,
+  validateLeaderboardWindow,
+  DEFAULT_GAME_RULES,
+  GAME_MODES,
+  TEAM_ANSWER_MODES
 }; 
\ No newline at end of file
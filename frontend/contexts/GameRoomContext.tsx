@@ -1,5 +1,7 @@
 // Game room context for managing real-time trivia game state
-import React, { createContext, useContext, useState, useEffect, ReactNode } from 'react';
+import React, { createContext, useContext, useState, useEffect, useRef, ReactNode } from 'react';
+import { AppState, Image } from 'react-native';
+import { Audio } from 'expo-av';
 import { io, Socket } from 'socket.io-client';
 import { useAuth } from './AuthContext';
 import { useFamily } from './FamilyContext';
@@ -7,21 +9,111 @@ import getApiUrl from '../utils/getApiUrl';
 import { supabase } from '../services/supabase';
 import { showToast } from '../components/ToastNotification';
 
+// classic: everyone answers every question; buzzer: the first correct answer wins the question
+export type GameMode = 'classic' | 'buzzer';
+
+// How answers are scored (the server does all scoring, see backend/utils/scoring.js)
+export type ScoringStrategy = 'classic' | 'no-time-bonus' | 'streak' | 'wager';
+
+// Limited-use helpers a player can spend on a question
+export type LifelineName = 'fiftyFifty' | 'extraTime' | 'hint' | 'askFamily';
+
+// free_text and numeric questions are answered by typing (numeric: closest guess wins)
+// ordering and matching answers earn partial credit
+export type QuestionType = 'multiple_choice' | 'true_false' | 'free_text' | 'numeric' | 'ordering' | 'matching';
+
+// Picture or sound clip a question is about
+export interface QuestionMedia {
+  type: 'image' | 'audio';
+  url: string;
+}
+
+// A choice, the choices in order (ordering) or { prompt: choice } (matching)
+export type SubmittedAnswer = string | string[] | Record<string, string>;
+
+// Rules the host can set when starting a game (the server fills in anything left out)
+export interface GameRules {
+  mode?: GameMode;
+  scoring?: ScoringStrategy;
+  questionCount?: number;
+  timeLimitSeconds?: number | null;
+  revealDelaySeconds?: number;
+  hintsAllowed?: boolean;
+  timeBonus?: boolean;
+  handicaps?: boolean;
+  finalWager?: boolean; // Players wager on the last question before it's shown
+  lifelines?: Partial<Record<LifelineName, number>>; // Uses of each lifeline per player
+}
+
+// What the lifelines this player used on the current question revealed
+export interface QuestionLifelines {
+  removedChoices?: string[]; // 50/50
+  extraSeconds?: number;
+  hint?: string;
+  votes?: Record<string, number>; // Ask the family: choice -> number of players
+}
+
+// Scales a younger player's points and credits them extra seconds on the time bonus
+export interface PlayerHandicap {
+  pointsMultiplier: number;
+  extraSeconds: number;
+}
+
+// A team the host sets up at start-game (members are user IDs)
+export interface GameTeam {
+  name: string;
+  members: string[];
+  answerMode?: 'first' | 'majority';
+}
+
+// A team's running score as broadcast by the server, highest first
+export interface TeamStanding {
+  teamId: string;
+  name: string;
+  score: number;
+  answerMode: 'first' | 'majority';
+  members: { userId: string; playerName: string | null }[];
+}
+
+// Who has buzzed in on the current question of a buzzer game
+export interface BuzzerState {
+  winner: { userId: string; playerName: string; pointsEarned: number } | null;
+  lockedOut: string[];
+  correctAnswer?: string;
+}
+
+// Wagers being taken before the final question of a finalWager game
+export interface WagerPhase {
+  questionNumber: number;
+  category: string;
+  maxWager: number; // Most this player may stake (their current score)
+  timeRemaining: number;
+  wageredPlayers: string[]; // Who has wagered so far (amounts stay hidden)
+  wager: number | null; // This player's wager once placed
+}
+
 // Game room context interface
 interface GamePlayer {
   id: string;
   email: string;
   score: number;
+  rawScore?: number; // Score without the handicap
+  handicap?: PlayerHandicap | null;
   hasAnswered: boolean;
+  connected: boolean;
 }
 
 interface GameQuestion {
   id: string;
   question: string;
-  choices: string[];
+  type?: QuestionType;
+  choices: string[]; // Empty for free_text and numeric questions
+  matchPrompts?: string[]; // Matching questions: each is paired with one of the choices
+  media?: QuestionMedia;
   answer: string;
   category: string;
   difficulty: string;
+  hasHint?: boolean; // A hint can be bought with the hint lifeline
 }
 
 interface GameRoomContextType {
@@ -34,27 +126,48 @@ interface GameRoomContextType {
   timeRemaining: number;
   finalScores: Record<string, number> | null;
   userScore: number;
+  teamStandings: TeamStanding[] | null;
+  gameMode: GameMode;
+  buzzer: BuzzerState | null;
+  wagerPhase: WagerPhase | null;
+  finalRound: boolean; // The question in play is the final wager question
+  finalWager: number | null; // What this player staked on the final question
+  lifelinesLeft: Record<LifelineName, number> | null;
+  questionLifelines: QuestionLifelines;
+  mediaLoading: boolean; // The question's media is loading and its countdown hasn't started
   connecting: boolean;
+  isSpectator: boolean;
   gameMetadata: {
     generationSource?: string;
     topics?: string[];
     difficulty?: string;
     ageGroup?: string;
+    rules?: GameRules;
     aiGenerated?: boolean;
   } | null;
   joinRoom: () => Promise<void>;
+  watchRoom: () => Promise<void>;
   leaveRoom: () => void;
   startGame: (options?: {
     topics?: string[];
     difficulty?: string;
     ageGroup?: string;
+    rules?: GameRules;
+    teams?: GameTeam[];
   }) => void;
-  submitAnswer: (answer: string) => void;
+  submitAnswer: (answer: SubmittedAnswer) => void;
+  submitWager: (wager: number) => void;
+  spendLifeline: (lifeline: LifelineName) => void;
+  requestSync: () => void;
+  playQuestionSound: () => void;
 
   lastResult: {
     questionNumber: number;
     isCorrect: boolean;
+    credit?: number; // Share of an ordering or matching answer that was right
     correctAnswer: string;
+    combo: number; // Correct answers in a row, including this one
+    comboMultiplier: number;
   } | null;
 }
 
@@ -72,99 +185,243 @@ export const GameRoomProvider: React.FC<{ children: ReactNode }> = ({ children }
   const [timeRemaining, setTimeRemaining] = useState(30);
   const [finalScores, setFinalScores] = useState<Record<string, number> | null>(null);
   const [userScore, setUserScore] = useState(0);
+  const [teamStandings, setTeamStandings] = useState<TeamStanding[] | null>(null);
+  const [gameMode, setGameMode] = useState<GameMode>('classic');
+  const [buzzer, setBuzzer] = useState<BuzzerState | null>(null);
+  const [wagerPhase, setWagerPhase] = useState<WagerPhase | null>(null);
+  const [finalRound, setFinalRound] = useState(false);
+  const [finalWager, setFinalWager] = useState<number | null>(null);
+  const [lifelinesLeft, setLifelinesLeft] = useState<Record<LifelineName, number> | null>(null);
+  const [questionLifelines, setQuestionLifelines] = useState<QuestionLifelines>({});
+  const [mediaLoading, setMediaLoading] = useState(false);
+  // Sound clip of the current question, loaded before its countdown starts
+  const questionSoundRef = useRef<Audio.Sound | null>(null);
   const [lastResult, setLastResult] = useState<{
     questionNumber: number;
     isCorrect: boolean;
+    credit?: number; // Share of an ordering or matching answer that was right
     correctAnswer: string;
+    combo: number;
+    comboMultiplier: number;
   } | null>(null);
   // Keep a local list of questions for dev-bypass (solo play)
   const [localQuestions, setLocalQuestions] = useState<GameQuestion[]>([]);
   const [questionStartTime, setQuestionStartTime] = useState<number>(Date.now());
   const [connecting, setConnecting] = useState(false);
+  const [isSpectator, setIsSpectator] = useState(false);
   const [gameMetadata, setGameMetadata] = useState<{
     generationSource?: string;
     topics?: string[];
     difficulty?: string;
     ageGroup?: string;
+    rules?: GameRules;
     aiGenerated?: boolean;
   } | null>(null);
 
   // Handle client-side countdown each second based on timeRemaining
   useEffect(() => {
-    if (!gameActive || !currentQuestion) return;
+    if (!gameActive || !currentQuestion || mediaLoading) return;
 
     const interval = setInterval(() => {
       setTimeRemaining(prev => (prev > 0 ? prev - 1 : 0));
     }, 1000);
 
     return () => clearInterval(interval);
-  }, [gameActive, currentQuestion]);
+  }, [gameActive, currentQuestion, mediaLoading]);
+
+  // Load a question's picture or sound clip so it's there the moment the countdown starts
+  const preloadQuestionMedia = async (media: QuestionMedia) => {
+    await questionSoundRef.current?.unloadAsync();
+    questionSoundRef.current = null;
+
+    if (media.type === 'image') {
+      await Image.prefetch(media.url);
+    } else {
+      const { sound } = await Audio.Sound.createAsync({ uri: media.url });
+      questionSoundRef.current = sound;
+    }
+  };
 
-  const { user, isDevBypass } = useAuth();
+  const { user, session, isDevBypass } = useAuth();
   const { currentFamily } = useFamily();
 
-  // Join game room
-  const joinRoom = async () => {
-    if (!user || !currentFamily || socket?.connected) return;
+  // Connect to the family's game room as a player, or as a spectator who only watches
+  const connectToRoom = async (asSpectator: boolean) => {
+    if (!user || !session || !currentFamily || socket?.connected) return;
 
     try {
       setConnecting(true);
+      setIsSpectator(asSpectator);
       
       // Create socket connection to the /game namespace
       const apiUrl = getApiUrl();
+      // The server derives our identity from the access token, so send it with the handshake
       const newSocket = io(`${apiUrl}/game`, {
-        query: {
-          userId: user.id,
-          familyId: currentFamily.id,
+        auth: {
+          token: session.access_token,
         },
       });
 
       // Set up socket event listeners
+      // (Re)join the family room on every connect, so an automatic reconnect picks the game back up
       newSocket.on('connect', () => {
         console.log('Connected to game server');
         setConnecting(false);
+        newSocket.emit(asSpectator ? 'join-as-spectator' : 'join-room', {
+          familyId: currentFamily.id,
+          playerName: user.email?.split('@')[0] || user.email || 'Player',
+        });
+      });
+
+      newSocket.on('disconnect', (reason) => {
+        console.log('Disconnected from game server:', reason);
+        setConnecting(false);
+
+        // The server holds our seat for a short grace period while the socket reconnects
+        if (reason !== 'io client disconnect') {
+          showToast.info('Connection lost', 'Trying to reconnect you to the game...');
+        }
       });
 
-      newSocket.on('disconnect', () => {
-        console.log('Disconnected from game server');
+      // Rejected by the server's auth middleware (missing, invalid or expired token)
+      newSocket.on('connect_error', (error) => {
+        console.error('Game server connection error:', error.message);
         setConnecting(false);
+        showToast.error('Connection Error', error.message);
       });
 
-      // Join the family room with required payload expected by server
-      newSocket.emit('join-room', {
-        familyId: currentFamily.id,
-        userId: user.id,
-        playerName: user.email?.split('@')[0] || user.email || 'Player',
+      newSocket.on('join-room-error', (data) => {
+        console.error('Join room error:', data);
+        showToast.error('Could not join game', data.error);
+      });
+
+      newSocket.on('join-as-spectator-error', (data) => {
+        console.error('Spectate error:', data);
+        showToast.error('Could not watch game', data.error);
+      });
+
+      newSocket.on('submit-wager-error', (data) => {
+        console.error('Wager error:', data);
+        showToast.error('Wager not placed', data.error);
+      });
+
+      newSocket.on('use-lifeline-error', (data) => {
+        console.error('Lifeline error:', data);
+        showToast.error('Lifeline not used', data.error);
+      });
+
+      // The local media store sends URLs relative to the backend
+      const withMediaUrl = (question: any) => (question.media?.url?.startsWith('/')
+        ? { ...question, media: { ...question.media, url: `${apiUrl}${question.media.url}` } }
+        : question);
+
+      // Server's record of the lifelines used on a question -> what they revealed to us
+      const toQuestionLifelines = (used: any): QuestionLifelines => ({
+        removedChoices: used?.fiftyFifty?.removedChoices,
+        extraSeconds: used?.extraTime?.seconds,
+        hint: used?.hint?.hint,
+        votes: used?.askFamily?.votes,
       });
 
       // Listen for room events
-      const mapServerPlayers = (serverPlayers: any[]): GamePlayer[] =>
+      // `scores` is the server's { userId: { playerName, score, isHost } } map
+      const mapServerPlayers = (serverPlayers: any[], scores: Record<string, any> = {}): GamePlayer[] =>
         serverPlayers.map(p => ({
           id: p.userId || p.id || p.user_id || p.uid,
           email: p.playerName ? `${p.playerName}@app` : p.email || 'player@app',
-          score: p.score || 0,
+          score: p.score || scores[p.userId]?.score || 0,
+          rawScore: scores[p.userId]?.rawScore,
+          handicap: p.handicap || null,
           hasAnswered: p.hasAnswered || false,
+          connected: p.connected !== false,
         }));
 
+      /**
+       * Rebuild local game state from the server's sanitized room snapshot
+       * (sent with `room-joined` and in reply to `request-sync`)
+       */
+      const applyStateSnapshot = (state: any) => {
+        if (!state) return;
+
+        const answered: string[] = state.answeredPlayers || [];
+        setPlayers(mapServerPlayers(state.players || [], state.scores).map(player => ({
+          ...player,
+          hasAnswered: answered.includes(player.id),
+        })));
+
+        if (state.metadata) {
+          setGameMetadata(state.metadata);
+        }
+        setTeamStandings(state.teams || null);
+
+        if (state.status !== 'playing') return;
+
+        // A game is in progress: pick up our score and the question in play
+        setGameActive(true);
+        setTotalQuestions(state.totalQuestions || 5);
+        setUserScore(state.scores?.[user.id]?.score || 0);
+        setLifelinesLeft(state.lifelinesLeft || null);
+
+        if (state.wagerPhase) {
+          setCurrentQuestion(null);
+          setWagerPhase({
+            questionNumber: state.wagerPhase.questionNumber,
+            category: state.wagerPhase.category,
+            maxWager: state.wagerPhase.maxWagers?.[user.id] || 0,
+            timeRemaining: state.wagerPhase.timeRemaining,
+            wageredPlayers: state.wagerPhase.wageredPlayers || [],
+            wager: null,
+          });
+        }
+
+        const current = state.currentQuestion;
+        if (current) {
+          setCurrentQuestion(current.question);
+          setGameMode(current.mode || 'classic');
+          setBuzzer(current.buzzer || null);
+          setQuestionIndex(current.questionNumber - 1);
+          setTimeRemaining(current.timeRemaining);
+          setQuestionStartTime(Date.now() - (current.timeLimit - current.timeRemaining) * 1000);
+        }
+      };
+
       newSocket.on('room-joined', (data) => {
         console.log('Joined room:', data);
-        if (data.players) {
-          setPlayers(mapServerPlayers(data.players));
-        }
+        applyStateSnapshot(data.state);
+      });
+
+      newSocket.on('state-sync', (data) => {
+        console.log('State synced:', data);
+        applyStateSnapshot(data);
       });
 
       newSocket.on('player-joined', (data) => {
         console.log('Player joined:', data);
         if (data.room?.players) {
-          setPlayers(mapServerPlayers(data.room.players));
+          setPlayers(mapServerPlayers(data.room.players, data.room.scores));
         }
       });
 
       newSocket.on('player-left', (data) => {
         console.log('Player left:', data);
-        if (data.players) {
-          setPlayers(mapServerPlayers(data.players));
+        if (data.room?.players) {
+          setPlayers(mapServerPlayers(data.room.players, data.room.scores));
+        }
+      });
+
+      newSocket.on('player-disconnected', (data) => {
+        console.log('Player disconnected:', data);
+        if (data.room?.players) {
+          setPlayers(mapServerPlayers(data.room.players, data.room.scores));
+        }
+      });
+
+      newSocket.on('player-reconnected', (data) => {
+        console.log('Player reconnected:', data);
+        if (data.room?.players) {
+          setPlayers(mapServerPlayers(data.room.players, data.room.scores));
         }
+        showToast.info('Player reconnected', data.message);
       });
 
       // Listen for game events
@@ -175,6 +432,11 @@ export const GameRoomProvider: React.FC<{ children: ReactNode }> = ({ children }
         setTotalQuestions(data.totalQuestions || 5);
         setFinalScores(null);
         setUserScore(0);
+        setTeamStandings(data.gameState?.teams || null);
+        setWagerPhase(null);
+        setFinalRound(false);
+        setFinalWager(null);
+        setLifelinesLeft(data.metadata?.rules?.lifelines || null);
         
         // Store game metadata
         if (data.metadata) {
@@ -203,7 +465,7 @@ export const GameRoomProvider: React.FC<{ children: ReactNode }> = ({ children }
         console.log('Question delivered:', data);
 
         const index = data.questionNumber ? data.questionNumber - 1 : 0;
-        const question = data.question;
+        const question = data.question && withMediaUrl(data.question);
         
         // Enhanced validation and logging
         if (!question) {
@@ -216,18 +478,54 @@ export const GameRoomProvider: React.FC<{ children: ReactNode }> = ({ children }
           console.log('Full question object:', JSON.stringify(question, null, 2));
         }
         
-        if (!question.choices || !Array.isArray(question.choices) || question.choices.length === 0) {
+        const isTypedAnswer = question.type === 'free_text' || question.type === 'numeric';
+        if (!isTypedAnswer && (!question.choices || !Array.isArray(question.choices) || question.choices.length === 0)) {
           console.error('ERROR: Invalid choices in question:', question.choices);
         }
         
+        const timeLimit = data.timeLimit || question.timeLimit || 30;
+        // A resumed question (after a reconnect) carries the time actually left on the server's countdown
+        const remaining = typeof data.timeRemaining === 'number' ? data.timeRemaining : timeLimit;
+
         // Set the question even if some fields are missing, to help debug
         setCurrentQuestion(question);
+        setGameMode(data.mode || 'classic');
+        setBuzzer(data.buzzer || null);
+        setWagerPhase(null);
+        setFinalRound(!!data.finalRound);
+        // A resumed question brings back the lifelines we already used on it
+        setQuestionLifelines(data.resumed ? toQuestionLifelines(data.lifelinesUsed) : {});
+        if (data.lifelinesLeft) {
+          setLifelinesLeft(data.lifelinesLeft);
+        }
         setQuestionIndex(index);
-        setTimeRemaining(data.timeLimit || question.timeLimit || 30);
-        setQuestionStartTime(Date.now());
+        setTimeRemaining(remaining);
+        setQuestionStartTime(Date.now() - (timeLimit - remaining) * 1000);
+
+        // A question with media only starts once it's loaded (question-started), even if loading fails
+        setMediaLoading(!!data.mediaPreload);
+        if (data.mediaPreload && question.media) {
+          preloadQuestionMedia(question.media)
+            .catch(error => console.warn('[GameRoom] Could not preload question media:', error))
+            .finally(() => newSocket.emit('media-ready', {
+              familyId: currentFamily.id,
+              questionNumber: data.questionNumber,
+            }));
+        }
 
-        // Reset answered flag for all players on new question
-        setPlayers(prev => prev.map(player => ({ ...player, hasAnswered: false })));
+        if (data.resumed) {
+          // Rejoined mid-game: restore the game screen we lost with the connection
+          setGameActive(true);
+          if (data.totalQuestions) {
+            setTotalQuestions(data.totalQuestions);
+          }
+          setPlayers(prev => prev.map(player =>
+            player.id === user?.id ? { ...player, hasAnswered: !!data.hasAnswered } : player
+          ));
+        } else {
+          // Reset answered flag for all players on new question
+          setPlayers(prev => prev.map(player => ({ ...player, hasAnswered: false })));
+        }
         
         console.log(`[GameRoom] Question ${index + 1} set:`, {
           questionText: question.question || 'MISSING',
@@ -237,6 +535,85 @@ export const GameRoomProvider: React.FC<{ children: ReactNode }> = ({ children }
         });
       });
 
+      // A media question's countdown has started
+      newSocket.on('question-started', (data) => {
+        console.log('Question started:', data);
+        setMediaLoading(false);
+        setTimeRemaining(data.timeLimit);
+        setQuestionStartTime(Date.now());
+      });
+
+      // Our lifeline worked: apply what it revealed to the question in play
+      newSocket.on('lifeline-used', (data) => {
+        console.log('Lifeline used:', data);
+        setLifelinesLeft(data.lifelinesLeft);
+        if (typeof data.newTotalScore === 'number') {
+          setUserScore(data.newTotalScore);
+        }
+
+        switch (data.lifeline) {
+          case 'fiftyFifty':
+            setQuestionLifelines(prev => ({ ...prev, removedChoices: data.removedChoices }));
+            break;
+          case 'extraTime':
+            setQuestionLifelines(prev => ({ ...prev, extraSeconds: data.seconds }));
+            setTimeRemaining(prev => prev + data.seconds);
+            break;
+          case 'hint':
+            setQuestionLifelines(prev => ({ ...prev, hint: data.hint }));
+            break;
+          case 'askFamily':
+            setQuestionLifelines(prev => ({ ...prev, votes: data.votes }));
+            break;
+        }
+      });
+
+      // Final question of a finalWager game: stake points before it's shown
+      newSocket.on('wager-requested', (data) => {
+        console.log('Wager requested:', data);
+        setCurrentQuestion(null);
+        setWagerPhase(prev => ({
+          questionNumber: data.questionNumber,
+          category: data.category,
+          maxWager: data.maxWagers?.[user.id] || 0,
+          timeRemaining: data.timeRemaining,
+          wageredPlayers: data.wageredPlayers || [],
+          // A resumed request doesn't repeat our amount, so keep the one we already placed
+          wager: prev && prev.questionNumber === data.questionNumber ? prev.wager : null,
+        }));
+        if (data.resumed) {
+          setGameActive(true);
+        }
+      });
+
+      // Confirmation of our own wager
+      newSocket.on('wager-submitted', (data) => {
+        console.log('Wager submitted:', data);
+        setFinalWager(data.wager);
+        setWagerPhase(prev => prev && {
+          ...prev,
+          wager: data.wager,
+          wageredPlayers: prev.wageredPlayers.includes(user.id) ? prev.wageredPlayers : [...prev.wageredPlayers, user.id],
+        });
+      });
+
+      // Someone placed a wager (the amount stays hidden)
+      newSocket.on('wager-received', (data) => {
+        console.log('Wager received:', data);
+        setWagerPhase(prev => prev && !prev.wageredPlayers.includes(data.userId)
+          ? { ...prev, wageredPlayers: [...prev.wageredPlayers, data.userId] }
+          : prev);
+      });
+
+      newSocket.on('wagers-locked', (data) => {
+        console.log('Wagers locked:', data);
+        setWagerPhase(null);
+        if ((data.defaultedPlayers || []).some((p: any) => p.userId === user.id)) {
+          setFinalWager(0);
+          showToast.info('No wager placed', 'You are playing the final question for 0 points');
+        }
+      });
+
       // Confirmation sent back to the submitting player only
       newSocket.on('answer-submitted', (data) => {
         console.log('Answer submitted (self-confirmation):', data);
@@ -249,7 +626,10 @@ export const GameRoomProvider: React.FC<{ children: ReactNode }> = ({ children }
         setLastResult({
           questionNumber: data.questionNumber,
           isCorrect: data.isCorrect,
+          credit: data.credit,
           correctAnswer: data.correctAnswer,
+          combo: data.combo || 0,
+          comboMultiplier: data.comboMultiplier || 1,
         });
 
         setPlayers(prev => prev.map(player => {
@@ -268,6 +648,15 @@ export const GameRoomProvider: React.FC<{ children: ReactNode }> = ({ children }
       newSocket.on('scores-updated', (data) => {
         console.log('Scores updated:', data);
 
+        if (data.teamStandings) {
+          setTeamStandings(data.teamStandings);
+        }
+
+        // Buzzer games: track who won the question and who is locked out
+        if (data.buzzer) {
+          setBuzzer({ ...data.buzzer, correctAnswer: data.correctAnswer });
+        }
+
         if (data.currentScores) {
           setPlayers(prev => {
             const updated: GamePlayer[] = [...prev];
@@ -282,6 +671,7 @@ export const GameRoomProvider: React.FC<{ children: ReactNode }> = ({ children }
                 updated[existingIndex] = {
                   ...updated[existingIndex],
                   score: scoreInfo.score,
+                  rawScore: scoreInfo.rawScore,
                   hasAnswered: true,
                 };
               } else {
@@ -291,6 +681,7 @@ export const GameRoomProvider: React.FC<{ children: ReactNode }> = ({ children }
                   email: `${scoreInfo.playerName || 'Player'}@local`,
                   score: scoreInfo.score,
                   hasAnswered: true,
+                  connected: true,
                 });
               }
             }
@@ -299,14 +690,87 @@ export const GameRoomProvider: React.FC<{ children: ReactNode }> = ({ children }
         }
       });
 
+      // A numeric question closed without an exact answer: the closest guesses win it
+      newSocket.on('closest-answer', (data) => {
+        console.log('Closest answer:', data);
+
+        if (data.teamStandings) {
+          setTeamStandings(data.teamStandings);
+        }
+
+        const won = (data.winners || []).some((w: any) => w.userId === user?.id);
+        setLastResult(prev => prev && prev.questionNumber === data.questionNumber
+          ? { ...prev, isCorrect: won, correctAnswer: data.correctAnswer }
+          : prev);
+        showToast.info(won ? 'Your guess was closest!' : 'Closest guess', data.message);
+
+        if (data.currentScores) {
+          setPlayers(prev => prev.map(player => {
+            const scoreInfo = data.currentScores[player.id];
+            return scoreInfo ? { ...player, score: scoreInfo.score, rawScore: scoreInfo.rawScore } : player;
+          }));
+          if (data.currentScores[user.id]) {
+            setUserScore(data.currentScores[user.id].score);
+          }
+        }
+      });
+
+      // Server closed the question because its countdown ran out
+      newSocket.on('question-timeout', (data) => {
+        console.log('Question timed out:', data);
+
+        if (data.teamStandings) {
+          setTeamStandings(data.teamStandings);
+        }
+
+        const timedOut = (data.timedOutPlayers || []).some((p: any) => p.userId === user?.id);
+        if (timedOut) {
+          setLastResult({
+            questionNumber: data.questionNumber,
+            isCorrect: false,
+            correctAnswer: data.correctAnswer,
+            combo: 0,
+            comboMultiplier: 1,
+          });
+          showToast.info("Time's up!", `The correct answer was: ${data.correctAnswer}`);
+        }
+
+        setTimeRemaining(0);
+        if (data.currentScores) {
+          setPlayers(prev => prev.map(player => {
+            const scoreInfo = data.currentScores[player.id];
+            return scoreInfo ? { ...player, score: scoreInfo.score, hasAnswered: true } : player;
+          }));
+          // A missed final wager question costs the wager
+          if (data.currentScores[user.id]) {
+            setUserScore(data.currentScores[user.id].score);
+          }
+        }
+      });
+
       // (Legacy listener removed: handled above)
 
       newSocket.on('game-ended', (data) => {
         console.log('Game ended:', data);
         setGameActive(false);
         setCurrentQuestion(null);
-        setFinalScores(data.finalScores || {});
-        setPlayers(data.players || []);
+        // playerResults: { userId: { playerName, gameScore, rawGameScore, handicap, ... } }
+        const results: Record<string, any> = data.playerResults || {};
+        setFinalScores(Object.fromEntries(
+          Object.entries(results).map(([userId, result]) => [userId, result.gameScore])
+        ));
+        setPlayers(Object.entries(results).map(([userId, result]) => ({
+          id: userId,
+          email: `${result.playerName || 'Player'}@app`,
+          score: result.gameScore || 0,
+          rawScore: result.rawGameScore,
+          handicap: result.handicap || null,
+          hasAnswered: true,
+          connected: true,
+        })));
+        if (data.teamResults) {
+          setTeamStandings(data.teamResults);
+        }
       });
 
       setSocket(newSocket);
@@ -316,6 +780,12 @@ export const GameRoomProvider: React.FC<{ children: ReactNode }> = ({ children }
     }
   };
 
+  // Join game room as a player
+  const joinRoom = () => connectToRoom(false);
+
+  // Watch the game room without playing (e.g. on a TV)
+  const watchRoom = () => connectToRoom(true);
+
   // Leave game room
   const leaveRoom = () => {
     if (socket) {
@@ -331,6 +801,18 @@ export const GameRoomProvider: React.FC<{ children: ReactNode }> = ({ children }
     setTimeRemaining(30);
     setFinalScores(null);
     setUserScore(0);
+    setTeamStandings(null);
+    setGameMode('classic');
+    setBuzzer(null);
+    setWagerPhase(null);
+    setFinalRound(false);
+    setFinalWager(null);
+    setLifelinesLeft(null);
+    setQuestionLifelines({});
+    setMediaLoading(false);
+    questionSoundRef.current?.unloadAsync();
+    questionSoundRef.current = null;
+    setIsSpectator(false);
   };
 
   // Start game (host only; support solo-play in dev bypass)
@@ -338,6 +820,8 @@ export const GameRoomProvider: React.FC<{ children: ReactNode }> = ({ children }
     topics?: string[];
     difficulty?: string;
     ageGroup?: string;
+    rules?: GameRules;
+    teams?: GameTeam[];
   }) => {
     // In dev mode, we still want to use the socket connection to get AI-generated questions
     // The only difference is we allow single-player games
@@ -348,7 +832,9 @@ export const GameRoomProvider: React.FC<{ children: ReactNode }> = ({ children }
         familyId: currentFamily.id,
         topics: options?.topics || [],
         difficulty: options?.difficulty || 'mixed',
-        ageGroup: options?.ageGroup || 'mixed'
+        ageGroup: options?.ageGroup || 'mixed',
+        ...(options?.rules && { rules: options.rules }),
+        ...(options?.teams && { teams: options.teams })
       };
       
       console.log('Starting game with options:', gameOptions);
@@ -365,7 +851,10 @@ export const GameRoomProvider: React.FC<{ children: ReactNode }> = ({ children }
   };
 
   // Submit answer (handles both multiplayer and solo dev-bypass modes)
-  const submitAnswer = (answer: string) => {
+  const submitAnswer = (answer: SubmittedAnswer) => {
+    // Spectators only watch
+    if (isSpectator) return;
+
     // Always use socket connection for answer submission
     if (socket && currentQuestion && gameActive && currentFamily) {
       const timeTaken = Math.floor((Date.now() - questionStartTime) / 1000);
@@ -392,6 +881,67 @@ export const GameRoomProvider: React.FC<{ children: ReactNode }> = ({ children }
     }
   };
 
+  // Stake points on the final question while wagers are being taken
+  const submitWager = (wager: number) => {
+    if (isSpectator) return;
+
+    if (socket && wagerPhase && currentFamily) {
+      socket.emit('submit-wager', {
+        familyId: currentFamily.id,
+        wager,
+      });
+    } else {
+      console.error('[submitWager] Cannot submit wager:', {
+        socketConnected: socket?.connected,
+        hasWagerPhase: !!wagerPhase,
+        hasFamily: !!currentFamily
+      });
+    }
+  };
+
+  // Spend a lifeline on the question in play
+  const spendLifeline = (lifeline: LifelineName) => {
+    if (isSpectator) return;
+
+    if (socket && currentQuestion && gameActive && currentFamily) {
+      socket.emit('use-lifeline', {
+        familyId: currentFamily.id,
+        questionNumber: questionIndex + 1,
+        lifeline,
+      });
+    } else {
+      console.error('[spendLifeline] Cannot use lifeline:', {
+        socketConnected: socket?.connected,
+        hasQuestion: !!currentQuestion,
+        gameActive,
+        hasFamily: !!currentFamily
+      });
+    }
+  };
+
+  // Ask the server for a fresh snapshot of the room (e.g. after the app was in the background)
+  const requestSync = () => {
+    if (socket?.connected && currentFamily) {
+      socket.emit('request-sync', { familyId: currentFamily.id });
+    }
+  };
+
+  // Play (or replay) the current question's sound clip
+  const playQuestionSound = () => {
+    questionSoundRef.current?.replayAsync().catch(error => console.warn('[GameRoom] Could not play question sound:', error));
+  };
+
+  // Timers and socket events may have been missed while backgrounded, so resync on return
+  useEffect(() => {
+    const subscription = AppState.addEventListener('change', nextState => {
+      if (nextState === 'active') {
+        requestSync();
+      }
+    });
+
+    return () => subscription.remove();
+  }, [socket, currentFamily]);
+
   // Clean up socket on unmount
   useEffect(() => {
     return () => {
@@ -412,12 +962,27 @@ export const GameRoomProvider: React.FC<{ children: ReactNode }> = ({ children }
     timeRemaining,
     finalScores,
     userScore,
+    teamStandings,
+    gameMode,
+    buzzer,
+    wagerPhase,
+    finalRound,
+    finalWager,
+    lifelinesLeft,
+    questionLifelines,
+    mediaLoading,
     connecting,
+    isSpectator,
     gameMetadata,
     joinRoom,
+    watchRoom,
     leaveRoom,
     startGame,
     submitAnswer,
+    submitWager,
+    spendLifeline,
+    requestSync,
+    playQuestionSound,
     lastResult,
   };
 
@@ -15,35 +15,49 @@ import { useFocusEffect } from '@react-navigation/native';
 // Import contexts and services
 import { useAuth } from '../contexts/AuthContext';
 import { useFamily } from '../contexts/FamilyContext';
-import { fetchFamilyLeaderboard, fetchUserLeaderboardPosition, LeaderboardEntry } from '../services/supabase';
+import {
+  fetchFamilyLeaderboard,
+  fetchFamilyCategoryStats,
+  LeaderboardEntry,
+  LeaderboardWindow,
+  MemberCategoryStats,
+} from '../services/supabase';
+
+// Periods the leaderboard can be ranked over, in toggle order
+const LEADERBOARD_WINDOWS: { value: LeaderboardWindow; label: string }[] = [
+  { value: 'week', label: 'Week' },
+  { value: 'month', label: 'Month' },
+  { value: 'season', label: 'Season' },
+  { value: 'all', label: 'All-time' },
+];
 
 export default function LeaderboardScreen() {
-  const { user } = useAuth();
+  const { user, session } = useAuth();
   const { currentFamily } = useFamily();
 
   // State management
   const [leaderboardData, setLeaderboardData] = useState<LeaderboardEntry[]>([]);
-  const [userPosition, setUserPosition] = useState<LeaderboardEntry | null>(null);
+  const [selectedWindow, setSelectedWindow] = useState<LeaderboardWindow>('week');
+  const [categoryStats, setCategoryStats] = useState<MemberCategoryStats[]>([]);
   const [loading, setLoading] = useState(true);
   const [refreshing, setRefreshing] = useState(false);
   const [error, setError] = useState<string | null>(null);
 
   // Fetch leaderboard data
   const fetchLeaderboardData = useCallback(async (showLoading = true) => {
-    if (!currentFamily || !user) return;
+    if (!currentFamily || !user || !session?.access_token) return;
 
     try {
       if (showLoading) setLoading(true);
       setError(null);
 
-      // Fetch both family leaderboard and user position
-      const [familyLeaderboard, userLeaderboardPosition] = await Promise.all([
-        fetchFamilyLeaderboard(currentFamily.id),
-        fetchUserLeaderboardPosition(currentFamily.id, user.id),
+      // Strengths are all-time; the leaderboard still loads if they can't be fetched
+      const [familyLeaderboard, familyCategoryStats] = await Promise.all([
+        fetchFamilyLeaderboard(currentFamily.id, selectedWindow, session.access_token),
+        fetchFamilyCategoryStats(currentFamily.id, session.access_token).catch(() => []),
       ]);
-
       setLeaderboardData(familyLeaderboard);
-      setUserPosition(userLeaderboardPosition);
+      setCategoryStats(familyCategoryStats);
     } catch (error) {
       console.error('Error fetching leaderboard:', error);
       setError('Failed to load leaderboard data');
@@ -56,9 +70,12 @@ export default function LeaderboardScreen() {
       setLoading(false);
       setRefreshing(false);
     }
-  }, [currentFamily, user]);
+  }, [currentFamily, user, session, selectedWindow]);
+
+  // Your own entry, if you played in the selected window
+  const userPosition = leaderboardData.find(entry => entry.user_id === user?.id) || null;
 
-  // Load data when screen comes into focus
+  // Load data when screen comes into focus (and whenever the period changes)
   useFocusEffect(
     useCallback(() => {
       fetchLeaderboardData();
@@ -91,11 +108,46 @@ export default function LeaderboardScreen() {
     return date.toLocaleDateString();
   };
 
-  // Get user display name from email
-  const getUserDisplayName = (email: string) => {
-    return email.split('@')[0];
+  // Get the name a player used in their latest game
+  const getUserDisplayName = (entry: LeaderboardEntry) => {
+    return entry.player_name || 'Player';
   };
 
+  // Turn a category key into a readable name ('general_knowledge' -> 'General Knowledge')
+  const formatCategory = (category: string) => {
+    return category
+      .split('_')
+      .map(word => word.charAt(0).toUpperCase() + word.slice(1))
+      .join(' ');
+  };
+
+  // Arrow showing whether a member is getting better at a category
+  const getTrendIcon = (trend: MemberCategoryStats['categories'][number]['trend']) => {
+    switch (trend) {
+      case 'improving': return '📈';
+      case 'slipping': return '📉';
+      default: return '';
+    }
+  };
+
+  // Toggle between the periods the leaderboard is ranked over
+  const renderWindowToggle = () => (
+    <View style={styles.windowToggle}>
+      {LEADERBOARD_WINDOWS.map(({ value, label }) => (
+        <TouchableOpacity
+          key={value}
+          style={[styles.windowOption, selectedWindow === value && styles.windowOptionSelected]}
+          onPress={() => setSelectedWindow(value)}
+          disabled={loading || refreshing}
+        >
+          <Text style={[styles.windowOptionText, selectedWindow === value && styles.windowOptionTextSelected]}>
+            {label}
+          </Text>
+        </TouchableOpacity>
+      ))}
+    </View>
+  );
+
   // Get rank color based on position
   const getRankColor = (rank: number) => {
     switch (rank) {
@@ -146,9 +198,12 @@ export default function LeaderboardScreen() {
         contentContainerStyle={styles.centerContainer}
         refreshControl={<RefreshControl refreshing={refreshing} onRefresh={handleRefresh} />}
       >
+        {renderWindowToggle()}
         <Text style={styles.emptyTitle}>🎯 No scores yet!</Text>
         <Text style={styles.emptyMessage}>
-          Play your first trivia game to see the leaderboard
+          {selectedWindow === 'all'
+            ? 'Play your first trivia game to see the leaderboard'
+            : 'Nobody has played in this period yet. Play a game to get on the board!'}
         </Text>
         <TouchableOpacity style={styles.refreshButton} onPress={handleRefresh}>
           <Text style={styles.refreshButtonText}>Refresh</Text>
@@ -169,6 +224,8 @@ export default function LeaderboardScreen() {
         <Text style={styles.headerSubtitle}>{currentFamily?.name}</Text>
       </View>
 
+      {renderWindowToggle()}
+
       {/* Your Position Card */}
       {userPosition && (
         <View style={styles.yourPositionCard}>
@@ -179,15 +236,15 @@ export default function LeaderboardScreen() {
                 {getRankEmoji(userPosition.rank || 0)} Rank #{userPosition.rank || '—'}
               </Text>
               <Text style={styles.yourPositionScore}>
-                {userPosition.score} points
+                {userPosition.total_score} points
               </Text>
             </View>
             <View style={styles.yourPositionDetails}>
               <Text style={styles.yourPositionDetail}>
-                🔥 {userPosition.streak} streak
+                🔥 {userPosition.current_streak} streak
               </Text>
               <Text style={styles.yourPositionDetail}>
-                🎮 {userPosition.total_games || 0} games
+                🎮 {userPosition.games_played} games
               </Text>
             </View>
           </View>
@@ -198,7 +255,7 @@ export default function LeaderboardScreen() {
       <View style={styles.leaderboardContainer}>
         <Text style={styles.leaderboardTitle}>Top Players</Text>
         
-        {leaderboardData.map((entry, index) => {
+        {leaderboardData.map((entry) => {
           const isCurrentUser = entry.user_id === user?.id;
           
           return (
@@ -228,11 +285,11 @@ export default function LeaderboardScreen() {
                     styles.playerName,
                     isCurrentUser && styles.currentUserName
                   ]}>
-                    {getUserDisplayName(entry.user?.email || '')}
+                    {getUserDisplayName(entry)}
                     {isCurrentUser && ' (You)'}
                   </Text>
                   <Text style={styles.lastPlayed}>
-                    Last played: {formatLastPlayed(entry.last_played)}
+                    Last played: {formatLastPlayed(entry.last_played_at)}
                   </Text>
                 </View>
               </View>
@@ -240,17 +297,17 @@ export default function LeaderboardScreen() {
               {/* Stats */}
               <View style={styles.statsContainer}>
                 <View style={styles.statItem}>
-                  <Text style={styles.statValue}>{entry.score}</Text>
+                  <Text style={styles.statValue}>{entry.total_score}</Text>
                   <Text style={styles.statLabel}>Points</Text>
                 </View>
                 
                 <View style={styles.statItem}>
-                  <Text style={styles.statValue}>{entry.streak}</Text>
+                  <Text style={styles.statValue}>{entry.current_streak}</Text>
                   <Text style={styles.statLabel}>Streak</Text>
                 </View>
                 
                 <View style={styles.statItem}>
-                  <Text style={styles.statValue}>{entry.total_games || 0}</Text>
+                  <Text style={styles.statValue}>{entry.games_played}</Text>
                   <Text style={styles.statLabel}>Games</Text>
                 </View>
               </View>
@@ -259,6 +316,49 @@ export default function LeaderboardScreen() {
         })}
       </View>
 
+      {/* Strengths: each member's best categories */}
+      {categoryStats.length > 0 && (
+        <View style={styles.leaderboardContainer}>
+          <Text style={styles.leaderboardTitle}>Family Strengths</Text>
+
+          {categoryStats.map((member) => {
+            const isCurrentUser = member.user_id === user?.id;
+            const strengths = member.categories.filter(stat => member.strengths.includes(stat.category));
+
+            return (
+              <View key={member.user_id} style={styles.strengthsItem}>
+                <Text style={[styles.playerName, isCurrentUser && styles.currentUserName]}>
+                  {member.player_name || 'Player'}
+                  {isCurrentUser && ' (You)'}
+                </Text>
+
+                {member.expert_in.length > 0 && (
+                  <Text style={styles.expertText}>
+                    🎓 Family expert in {member.expert_in.map(formatCategory).join(', ')}
+                  </Text>
+                )}
+
+                {strengths.length > 0 ? (
+                  strengths.map(stat => (
+                    <View key={stat.category} style={styles.strengthRow}>
+                      <Text style={styles.strengthCategory}>
+                        {formatCategory(stat.category)} {getTrendIcon(stat.trend)}
+                      </Text>
+                      <Text style={styles.strengthDetail}>
+                        {stat.accuracy}% of {stat.answered}
+                        {stat.average_time_seconds !== null && ` · ${stat.average_time_seconds}s avg`}
+                      </Text>
+                    </View>
+                  ))
+                ) : (
+                  <Text style={styles.strengthDetail}>Still finding their strengths</Text>
+                )}
+              </View>
+            );
+          })}
+        </View>
+      )}
+
       {/* Footer */}
       <View style={styles.footer}>
         <Text style={styles.footerText}>
@@ -303,6 +403,37 @@ const styles = StyleSheet.create({
     fontSize: 16,
     color: '#6b7280',
   },
+  // Period toggle styles
+  windowToggle: {
+    flexDirection: 'row',
+    backgroundColor: '#e5e7eb',
+    borderRadius: 10,
+    padding: 4,
+    marginBottom: 24,
+    alignSelf: 'stretch',
+  },
+  windowOption: {
+    flex: 1,
+    paddingVertical: 8,
+    borderRadius: 8,
+    alignItems: 'center',
+  },
+  windowOptionSelected: {
+    backgroundColor: 'white',
+    shadowColor: '#000',
+    shadowOffset: { width: 0, height: 1 },
+    shadowOpacity: 0.1,
+    shadowRadius: 2,
+    elevation: 2,
+  },
+  windowOptionText: {
+    fontSize: 14,
+    fontWeight: '600',
+    color: '#6b7280',
+  },
+  windowOptionTextSelected: {
+    color: '#3b82f6',
+  },
   // Your position card styles
   yourPositionCard: {
     backgroundColor: '#3b82f6',
@@ -435,6 +566,34 @@ const styles = StyleSheet.create({
     textTransform: 'uppercase',
     letterSpacing: 0.5,
   },
+  // Strengths styles
+  strengthsItem: {
+    paddingVertical: 12,
+    paddingHorizontal: 12,
+    borderRadius: 8,
+    marginBottom: 8,
+    backgroundColor: '#f9fafb',
+  },
+  expertText: {
+    fontSize: 13,
+    fontWeight: '600',
+    color: '#b45309',
+    marginBottom: 6,
+  },
+  strengthRow: {
+    flexDirection: 'row',
+    justifyContent: 'space-between',
+    alignItems: 'center',
+    paddingVertical: 2,
+  },
+  strengthCategory: {
+    fontSize: 14,
+    color: '#1f2937',
+  },
+  strengthDetail: {
+    fontSize: 12,
+    color: '#6b7280',
+  },
   // Loading state styles
   loadingText: {
     fontSize: 16,
@@ -3,8 +3,10 @@ import React, { useState, useEffect, useRef } from 'react';
 import {
   View,
   Text,
+  Image,
   StyleSheet,
   ScrollView,
+  TextInput,
   Dimensions,
   Platform,
 } from 'react-native';
@@ -25,7 +27,7 @@ import ConfettiCannon from 'react-native-confetti-cannon';
 import Ionicons from 'react-native-vector-icons/Ionicons';
 
 // Import contexts
-import { useGameRoom } from '../contexts/GameRoomContext';
+import { useGameRoom, LifelineName } from '../contexts/GameRoomContext';
 import { useAuth } from '../contexts/AuthContext';
 
 // Import components
@@ -38,13 +40,20 @@ import { showToast } from '../components/ToastNotification';
 import { 
   HapticManager, 
   SoundManager, 
-  calculateScore,
   getEncouragingMessage,
   getAchievement,
 } from '../utils/uxHelpers';
 
 const { width, height } = Dimensions.get('window');
 
+// Lifelines in the order they're offered under the question
+const LIFELINE_BUTTONS: { name: LifelineName; label: string }[] = [
+  { name: 'fiftyFifty', label: '50/50' },
+  { name: 'extraTime', label: '+Time' },
+  { name: 'hint', label: 'Hint' },
+  { name: 'askFamily', label: 'Ask family' },
+];
+
 export default function TriviaGameScreen() {
   // Game state from context
   const {
@@ -58,12 +67,26 @@ export default function TriviaGameScreen() {
     userScore,
     submitAnswer,
     lastResult,
+    gameMode,
+    buzzer,
+    wagerPhase,
+    finalRound,
+    finalWager,
+    submitWager,
+    lifelinesLeft,
+    questionLifelines,
+    spendLifeline,
+    mediaLoading,
+    playQuestionSound,
   } = useGameRoom();
 
   // Local state
   const { user } = useAuth();
   const navigation = useNavigation();
   const [selectedAnswer, setSelectedAnswer] = useState<string | null>(null);
+  // Ordering questions: the choices tapped so far, in order. Matching questions: { prompt: choice }
+  const [orderedChoices, setOrderedChoices] = useState<string[]>([]);
+  const [matches, setMatches] = useState<Record<string, string>>({});
   const [hasSubmitted, setHasSubmitted] = useState(false);
   const [showResult, setShowResult] = useState(false);
 
@@ -71,8 +94,34 @@ export default function TriviaGameScreen() {
   const currentQNumber = questionIndex + 1;
   const backendResult = lastResult && lastResult.questionNumber === currentQNumber ? lastResult : null;
   const isAnswerCorrect = backendResult ? backendResult.isCorrect : (selectedAnswer !== null && currentQuestion ? selectedAnswer === (currentQuestion as any).answer : false);
-  const correctAnswer = backendResult ? backendResult.correctAnswer : currentQuestion?.answer || '';
-  const [streak, setStreak] = useState(0);
+  const correctAnswer = backendResult?.correctAnswer || buzzer?.correctAnswer || currentQuestion?.answer || '';
+
+  // Buzzer round: the first correct answer wins, a wrong buzz locks you out of the question
+  const isBuzzerRound = gameMode === 'buzzer';
+  const buzzerWinner = isBuzzerRound ? buzzer?.winner || null : null;
+  const isLockedOut = isBuzzerRound && !!user && !!buzzer?.lockedOut.includes(user.id);
+  // Free-text and numeric questions are answered by typing, so they always have a submit step
+  const isTypedQuestion = currentQuestion?.type === 'free_text' || currentQuestion?.type === 'numeric';
+  // Ordering and matching puzzles are built up from several taps and can be partly right
+  const isPuzzleQuestion = currentQuestion?.type === 'ordering' || currentQuestion?.type === 'matching';
+  const matchPrompts = currentQuestion?.matchPrompts || [];
+  const hasAnswerReady = currentQuestion?.type === 'ordering'
+    ? orderedChoices.length > 0 && orderedChoices.length === currentQuestion.choices.length
+    : currentQuestion?.type === 'matching'
+      ? matchPrompts.length > 0 && matchPrompts.every(prompt => !!matches[prompt])
+      : !!selectedAnswer?.trim();
+  const partialCredit = !isAnswerCorrect && backendResult?.credit ? backendResult.credit : 0;
+  // Combo (correct answers in a row) as tracked by the server
+  const streak = lastResult?.combo || 0;
+  const comboMultiplier = lastResult?.comboMultiplier || 1;
+  // Each lifeline works once per question
+  const lifelineUsedOnQuestion: Record<LifelineName, boolean> = {
+    fiftyFifty: !!questionLifelines.removedChoices,
+    extraTime: !!questionLifelines.extraSeconds,
+    hint: !!questionLifelines.hint,
+    askFamily: !!questionLifelines.votes,
+  };
+  const removedChoices = questionLifelines.removedChoices || [];
   const [correctAnswers, setCorrectAnswers] = useState(0);
   const confettiRef = useRef<any>(null);
   
@@ -113,6 +162,8 @@ export default function TriviaGameScreen() {
     
     // Reset all states for the new question
     setSelectedAnswer(null);
+    setOrderedChoices([]);
+    setMatches({});
     setHasSubmitted(false);
     setShowResult(false);
     
@@ -139,8 +190,7 @@ export default function TriviaGameScreen() {
         const isCorrect = isAnswerCorrect;
         
         if (isCorrect) {
-          // Update streak and correct answers
-          setStreak(prev => prev + 1);
+          // Update correct answers
           setCorrectAnswers(prev => prev + 1);
           
           // Play success feedback
@@ -153,9 +203,6 @@ export default function TriviaGameScreen() {
             showToast.achievement(achievement, 'Keep up the great work!');
           }
         } else {
-          // Reset streak
-          setStreak(0);
-          
           // Play error feedback
           HapticManager.error();
           // SoundManager.play('incorrect');
@@ -185,12 +232,36 @@ export default function TriviaGameScreen() {
     console.log('[TriviaGame] Answer selected:', answer);
     
     // Prevent selection during transition or after submission
-    if (hasSubmitted || !gameActive || isTransitioning) {
+    // Media questions can't be answered until the countdown starts
+    if (hasSubmitted || !gameActive || isTransitioning || mediaLoading || buzzerWinner) {
       console.log('[TriviaGame] Answer selection blocked - hasSubmitted:', hasSubmitted, 'isTransitioning:', isTransitioning);
       return;
     }
     
     setSelectedAnswer(answer);
+
+    // Buzzer rounds have no submit step: tapping a choice buzzes in with it
+    if (isBuzzerRound) {
+      submitAnswer(answer);
+      setHasSubmitted(true);
+      HapticManager.medium();
+      return;
+    }
+
+    HapticManager.selection();
+  };
+
+  // Ordering: tap a choice to put it next in line, tap it again to take it back out
+  const handleOrderTap = (choice: string) => {
+    if (hasSubmitted || isTransitioning || mediaLoading) return;
+    setOrderedChoices(prev => prev.includes(choice) ? prev.filter(c => c !== choice) : [...prev, choice]);
+    HapticManager.selection();
+  };
+
+  // Matching: pick the choice that goes with a prompt
+  const handleMatchTap = (prompt: string, choice: string) => {
+    if (hasSubmitted || isTransitioning || mediaLoading) return;
+    setMatches(prev => ({ ...prev, [prompt]: choice }));
     HapticManager.selection();
   };
 
@@ -198,13 +269,19 @@ export default function TriviaGameScreen() {
   const handleSubmitAnswer = () => {
     console.log('[TriviaGame] Submitting answer:', selectedAnswer);
     
-    if (!selectedAnswer || hasSubmitted || !currentQuestion || isTransitioning) {
+    if (!hasAnswerReady || hasSubmitted || !currentQuestion || isTransitioning || mediaLoading) {
       console.log('[TriviaGame] Submit blocked - selectedAnswer:', selectedAnswer, 'hasSubmitted:', hasSubmitted, 'isTransitioning:', isTransitioning);
       return;
     }
 
     // Submit answer
-    submitAnswer(selectedAnswer);
+    if (currentQuestion.type === 'ordering') {
+      submitAnswer(orderedChoices);
+    } else if (currentQuestion.type === 'matching') {
+      submitAnswer(matches);
+    } else if (selectedAnswer) {
+      submitAnswer(isTypedQuestion ? selectedAnswer.trim() : selectedAnswer);
+    }
     setHasSubmitted(true);
     HapticManager.medium();
   };
@@ -281,7 +358,15 @@ export default function TriviaGameScreen() {
                   {player.email.split('@')[0]}
                   {player.id === user?.id && ' (You)'}
                 </Text>
-                <Text style={styles.scoreText}>{player.score} pts</Text>
+                <View style={styles.finalScoreValues}>
+                  <Text style={styles.scoreText}>{player.score} pts</Text>
+                  {/* Handicapped players also see what they'd have scored without it */}
+                  {!!player.handicap && typeof player.rawScore === 'number' && player.rawScore !== player.score && (
+                    <Text style={styles.rawScoreText}>
+                      {player.rawScore} without handicap
+                    </Text>
+                  )}
+                </View>
               </Animated.View>
             ))}
           </AnimatedCard>
@@ -338,6 +423,50 @@ export default function TriviaGameScreen() {
     );
   }
 
+  // Render the wager step before the final question
+  if (gameActive && wagerPhase) {
+    const { maxWager } = wagerPhase;
+    // Quick picks from nothing to all-in (duplicates dropped when the score is small)
+    const wagerOptions = Array.from(new Set([0, Math.floor(maxWager / 4), Math.floor(maxWager / 2), maxWager]));
+
+    return (
+      <SafeAreaView style={styles.container}>
+        <View style={styles.waitingContainer}>
+          <Animated.View entering={ZoomIn} style={styles.waitingIcon}>
+            <Ionicons name="cash-outline" size={80} color="#f59e0b" />
+          </Animated.View>
+          <Text style={styles.waitingTitle}>Final Question!</Text>
+          <Text style={styles.waitingSubtitle}>
+            Category: {wagerPhase.category || 'General'}
+          </Text>
+
+          {wagerPhase.wager !== null ? (
+            <Text style={styles.wagerStatus}>
+              You wagered {wagerPhase.wager} points. Waiting for the others
+              ({wagerPhase.wageredPlayers.length} of {players.length} ready)...
+            </Text>
+          ) : (
+            <>
+              <Text style={styles.wagerStatus}>
+                How many of your {maxWager} points will you risk? You have {wagerPhase.timeRemaining} seconds.
+              </Text>
+              {wagerOptions.map(option => (
+                <AnimatedButton
+                  key={option}
+                  onPress={() => submitWager(option)}
+                  title={option === maxWager && option > 0 ? `All in (${option})` : `${option} points`}
+                  variant={option === maxWager && option > 0 ? 'primary' : 'secondary'}
+                  style={styles.wagerButton}
+                  hapticType="medium"
+                />
+              ))}
+            </>
+          )}
+        </View>
+      </SafeAreaView>
+    );
+  }
+
   // Render waiting screen
   if (!gameActive || !currentQuestion) {
     return (
@@ -411,7 +540,9 @@ export default function TriviaGameScreen() {
               
               {streak > 0 && (
                 <View style={styles.streakBadge}>
-                  <Text style={styles.streakText}>🔥 {streak} streak!</Text>
+                  <Text style={styles.streakText}>
+                    🔥 {streak} streak!{comboMultiplier > 1 ? ` ${comboMultiplier}×` : ''}
+                  </Text>
                 </View>
               )}
             </View>
@@ -426,6 +557,28 @@ export default function TriviaGameScreen() {
                 <Text style={styles.categoryText}>{currentQuestion.category || 'General'}</Text>
               </View>
               <Text style={styles.questionText}>{currentQuestion.question}</Text>
+              {currentQuestion.media?.type === 'image' && (
+                <Image
+                  source={{ uri: currentQuestion.media.url }}
+                  style={styles.questionImage}
+                  resizeMode="contain"
+                />
+              )}
+              {currentQuestion.media?.type === 'audio' && !mediaLoading && (
+                <AnimatedButton
+                  onPress={playQuestionSound}
+                  title="Play sound"
+                  variant="secondary"
+                  size="small"
+                  style={styles.playSoundButton}
+                  icon={<Ionicons name="volume-high" size={18} color="#3b82f6" />}
+                />
+              )}
+              {mediaLoading && (
+                <Text style={styles.mediaLoadingText}>
+                  Loading the {currentQuestion.media?.type === 'audio' ? 'sound clip' : 'picture'}...
+                </Text>
+              )}
             </AnimatedCard>
           </Animated.View>
         ) : (
@@ -437,12 +590,78 @@ export default function TriviaGameScreen() {
           </AnimatedCard>
         )}
 
+        {/* Lifelines */}
+        {lifelinesLeft && !hasSubmitted && !buzzerWinner && !mediaLoading && (
+          <View style={styles.lifelineRow}>
+            {LIFELINE_BUTTONS.map(({ name, label }) => (
+              <AnimatedButton
+                key={name}
+                onPress={() => spendLifeline(name)}
+                title={`${label} (${lifelinesLeft[name] || 0})`}
+                variant="ghost"
+                size="small"
+                disabled={
+                  !lifelinesLeft[name] ||
+                  lifelineUsedOnQuestion[name] ||
+                  isTransitioning ||
+                  (name === 'hint' && !currentQuestion.hasHint) ||
+                  (name === 'fiftyFifty' && (currentQuestion.type || 'multiple_choice') !== 'multiple_choice') ||
+                  (name === 'askFamily' && isPuzzleQuestion)
+                }
+                style={styles.lifelineButton}
+              />
+            ))}
+          </View>
+        )}
+
+        {!!questionLifelines.hint && (
+          <Text style={styles.lifelineInfo}>💡 {questionLifelines.hint}</Text>
+        )}
+
+        {questionLifelines.votes && (
+          <Text style={styles.lifelineInfo}>
+            👪 {Object.keys(questionLifelines.votes).length > 0
+              ? Object.entries(questionLifelines.votes).map(([choice, count]) => `${choice}: ${count}`).join(' · ')
+              : 'Nobody else has answered yet'}
+          </Text>
+        )}
+
+        {/* Final wager question */}
+        {finalRound && (
+          <View style={styles.wagerBanner}>
+            <Text style={styles.wagerBannerText}>
+              🎲 Final question: {finalWager || 0} points on the line!
+            </Text>
+          </View>
+        )}
+
+        {/* Buzzer round status */}
+        {isBuzzerRound && currentQuestion && (
+          <View style={[
+            styles.buzzerBanner,
+            buzzerWinner ? styles.buzzerBannerWon : isLockedOut ? styles.buzzerBannerLocked : null,
+          ]}>
+            <Text style={styles.buzzerText}>
+              {buzzerWinner
+                ? `🏆 ${buzzerWinner.userId === user?.id ? 'You' : buzzerWinner.playerName} buzzed in first! (+${buzzerWinner.pointsEarned})`
+                : isLockedOut
+                  ? '🔒 Wrong buzz! You are locked out of this question'
+                  : '⚡ Buzzer round: first correct answer wins!'}
+            </Text>
+            {buzzerWinner && !!buzzer?.correctAnswer && (
+              <Text style={styles.buzzerSubtext}>The answer was: {buzzer.correctAnswer}</Text>
+            )}
+          </View>
+        )}
+
         {/* Answer choices */}
         <View style={styles.answersContainer}>
-          {currentQuestion && currentQuestion.choices && currentQuestion.choices.map((choice, index) => {
+          {currentQuestion && !isPuzzleQuestion && currentQuestion.choices && currentQuestion.choices
+            .filter(choice => !removedChoices.includes(choice))
+            .map((choice, index) => {
             const isSelected = selectedAnswer === choice;
-            const isCorrectChoice = backendResult ? (choice === backendResult.correctAnswer) : (currentQuestion && choice === (currentQuestion as any).answer);
-            const showCorrectAnswer = showResult && isCorrectChoice;
+            const isCorrectChoice = correctAnswer ? choice === correctAnswer : false;
+            const showCorrectAnswer = (showResult || !!buzzerWinner) && isCorrectChoice;
             const showIncorrectAnswer = showResult && isSelected && !isCorrectChoice;
             
             return (
@@ -458,7 +677,7 @@ export default function TriviaGameScreen() {
                     showIncorrectAnswer ? 'danger' :
                     isSelected ? 'primary' : 'secondary'
                   }
-                  disabled={hasSubmitted || isTransitioning}
+                  disabled={hasSubmitted || isTransitioning || mediaLoading || !!buzzerWinner}
                   style={styles.answerButton}
                   icon={
                     <Text style={styles.answerLetter}>
@@ -471,8 +690,78 @@ export default function TriviaGameScreen() {
           })}
         </View>
 
+        {/* Ordering puzzle: tap the choices in order */}
+        {currentQuestion?.type === 'ordering' && (
+          <Animated.View entering={FadeIn} style={styles.answersContainer}>
+            <Text style={styles.puzzleHint}>Tap the choices in order, first to last. Tap again to undo.</Text>
+            {currentQuestion.choices.map((choice, index) => {
+              const position = orderedChoices.indexOf(choice);
+              return (
+                <AnimatedButton
+                  key={`${questionIndex}-${index}`}
+                  onPress={() => handleOrderTap(choice)}
+                  title={choice}
+                  variant={position >= 0 ? 'primary' : 'secondary'}
+                  disabled={hasSubmitted || isTransitioning || mediaLoading}
+                  style={styles.answerButton}
+                  icon={
+                    <Text style={styles.answerLetter}>
+                      {position >= 0 ? position + 1 : '•'}
+                    </Text>
+                  }
+                />
+              );
+            })}
+          </Animated.View>
+        )}
+
+        {/* Matching puzzle: pick a choice for each prompt */}
+        {currentQuestion?.type === 'matching' && (
+          <Animated.View entering={FadeIn} style={styles.answersContainer}>
+            {matchPrompts.map(prompt => (
+              <View key={`${questionIndex}-${prompt}`} style={styles.matchRow}>
+                <Text style={styles.matchPrompt}>{prompt}</Text>
+                <View style={styles.lifelineRow}>
+                  {currentQuestion.choices.map(choice => (
+                    <AnimatedButton
+                      key={choice}
+                      onPress={() => handleMatchTap(prompt, choice)}
+                      title={choice}
+                      variant={matches[prompt] === choice ? 'primary' : 'ghost'}
+                      size="small"
+                      disabled={hasSubmitted || isTransitioning || mediaLoading}
+                      style={styles.lifelineButton}
+                    />
+                  ))}
+                </View>
+              </View>
+            ))}
+          </Animated.View>
+        )}
+
+        {/* Typed answer (free-text and numeric questions) */}
+        {isTypedQuestion && (
+          <Animated.View entering={FadeIn} style={styles.answersContainer}>
+            <TextInput
+              key={questionIndex}
+              style={styles.typedAnswerInput}
+              placeholder={currentQuestion?.type === 'numeric' ? 'Your best guess (closest wins)' : 'Type your answer'}
+              value={selectedAnswer || ''}
+              onChangeText={text => setSelectedAnswer(text)}
+              keyboardType={currentQuestion?.type === 'numeric' ? 'numeric' : 'default'}
+              autoCapitalize="none"
+              autoCorrect={false}
+              returnKeyType="done"
+              onSubmitEditing={handleSubmitAnswer}
+              editable={!hasSubmitted && !isTransitioning && !mediaLoading && !buzzerWinner}
+              maxLength={100}
+              placeholderTextColor="#9ca3af"
+            />
+          </Animated.View>
+        )}
+
         {/* Submit button */}
-        {!hasSubmitted && selectedAnswer && !isTransitioning && (
+        {(!isBuzzerRound || isTypedQuestion || isPuzzleQuestion) && !hasSubmitted && hasAnswerReady && !isTransitioning && !mediaLoading && (
           <Animated.View entering={FadeIn}>
             <AnimatedButton
               onPress={handleSubmitAnswer}
@@ -490,11 +779,15 @@ export default function TriviaGameScreen() {
             <AnimatedCard entrance="scale">
               <Text style={[
                 styles.resultText,
-                { color: isAnswerCorrect ? '#10b981' : '#ef4444' }
+                { color: isAnswerCorrect ? '#10b981' : partialCredit ? '#f59e0b' : '#ef4444' }
               ]}>
-                {isAnswerCorrect ? '✅ Correct!' : '❌ Incorrect'}
+                {isAnswerCorrect
+                  ? '✅ Correct!'
+                  : partialCredit
+                    ? `🟡 Partly right (${Math.round(partialCredit * 100)}%)`
+                    : '❌ Incorrect'}
               </Text>
-              {!isAnswerCorrect && (
+              {!isAnswerCorrect && !!correctAnswer && (
                 <Text style={styles.correctAnswerText}>
                   The correct answer was: <Text style={styles.boldText}>{correctAnswer}</Text>
                 </Text>
@@ -626,6 +919,89 @@ const styles = StyleSheet.create({
     color: '#1f2937',
     lineHeight: 28,
   },
+  questionImage: {
+    width: '100%',
+    height: 200,
+    marginTop: 12,
+    borderRadius: 8,
+  },
+  playSoundButton: {
+    alignSelf: 'flex-start',
+    marginTop: 12,
+  },
+  mediaLoadingText: {
+    fontSize: 14,
+    color: '#6b7280',
+    marginTop: 8,
+    fontStyle: 'italic',
+  },
+
+  // Lifeline styles
+  lifelineRow: {
+    flexDirection: 'row',
+    flexWrap: 'wrap',
+    justifyContent: 'center',
+    marginBottom: 12,
+  },
+  lifelineButton: {
+    marginHorizontal: 4,
+    marginBottom: 6,
+  },
+  lifelineInfo: {
+    fontSize: 15,
+    color: '#374151',
+    textAlign: 'center',
+    marginBottom: 12,
+  },
+  // Final wager styles
+  wagerStatus: {
+    fontSize: 16,
+    color: '#4b5563',
+    textAlign: 'center',
+    marginTop: 16,
+    marginBottom: 12,
+  },
+  wagerButton: {
+    width: '100%',
+    marginBottom: 10,
+  },
+  wagerBanner: {
+    backgroundColor: '#ede9fe',
+    borderRadius: 12,
+    padding: 12,
+    marginBottom: 16,
+  },
+  wagerBannerText: {
+    fontSize: 16,
+    fontWeight: '600',
+    color: '#5b21b6',
+    textAlign: 'center',
+  },
+  // Buzzer styles
+  buzzerBanner: {
+    backgroundColor: '#fef3c7',
+    borderRadius: 12,
+    padding: 12,
+    marginBottom: 16,
+    alignItems: 'center',
+  },
+  buzzerBannerWon: {
+    backgroundColor: '#d1fae5',
+  },
+  buzzerBannerLocked: {
+    backgroundColor: '#fee2e2',
+  },
+  buzzerText: {
+    fontSize: 15,
+    fontWeight: '600',
+    color: '#1f2937',
+    textAlign: 'center',
+  },
+  buzzerSubtext: {
+    fontSize: 13,
+    color: '#4b5563',
+    marginTop: 4,
+  },
   
   // Answer styles
   answersContainer: {
@@ -646,6 +1022,32 @@ const styles = StyleSheet.create({
   submitButton: {
     marginBottom: 24,
   },
+  puzzleHint: {
+    fontSize: 14,
+    color: '#6b7280',
+    textAlign: 'center',
+    marginBottom: 12,
+  },
+  matchRow: {
+    marginBottom: 12,
+  },
+  matchPrompt: {
+    fontSize: 16,
+    fontWeight: '600',
+    color: '#1f2937',
+    marginBottom: 6,
+  },
+  typedAnswerInput: {
+    backgroundColor: '#ffffff',
+    borderWidth: 2,
+    borderColor: '#e5e7eb',
+    borderRadius: 12,
+    paddingHorizontal: 16,
+    paddingVertical: 14,
+    fontSize: 18,
+    color: '#1f2937',
+    marginBottom: 12,
+  },
   
   // Result styles
   resultContainer: {
@@ -763,6 +1165,14 @@ const styles = StyleSheet.create({
     fontWeight: 'bold',
     color: '#1f2937',
   },
+  finalScoreValues: {
+    alignItems: 'flex-end',
+  },
+  rawScoreText: {
+    fontSize: 12,
+    color: '#6b7280',
+    marginTop: 2,
+  },
   
   // Stats card
   statsCard: {
@@ -2,6 +2,7 @@
 import { createClient } from '@supabase/supabase-js';
 import AsyncStorage from '@react-native-async-storage/async-storage';
 import { Platform } from 'react-native';
+import getApiUrl from '../utils/getApiUrl';
 
 // Supabase configuration - replace with your actual values
 const supabaseUrl = 'https://qygifhupmiizivxtmsug.supabase.co';
@@ -101,125 +102,102 @@ export interface Question {
   difficulty: 'easy' | 'medium' | 'hard';
 }
 
+// Period a leaderboard is ranked over: this week, this month, this season (quarter) or all-time
+export type LeaderboardWindow = 'week' | 'month' | 'season' | 'all';
+
+// Leaderboard entry, totalled over the window's completed games
 export interface LeaderboardEntry {
-  family_id: string;
   user_id: string;
-  score: number;
-  streak: number;
-  // Additional fields for display
-  user?: {
-    email: string;
-  };
-  rank?: number;
-  total_games?: number;
-  last_played?: string;
+  player_name: string | null;
+  total_score: number;
+  raw_total_score: number;
+  games_played: number;
+  games_won: number;
+  current_streak: number;
+  best_streak: number;
+  average_score: number;
+  last_played_at: string | null;
+  rank: number;
+}
+
+// A member's mastery of one question category
+export interface CategoryStat {
+  category: string;
+  answered: number;
+  correct: number;
+  accuracy: number; // Percent, partly right answers counting for their share
+  average_time_seconds: number | null;
+  trend: 'improving' | 'steady' | 'slipping' | null; // null until there are enough answers
+  last_answered_at: string | null;
+}
+
+// A family member's strengths profile
+export interface MemberCategoryStats {
+  user_id: string;
+  player_name: string | null;
+  categories: CategoryStat[]; // Best accuracy first
+  strengths: string[];
+  expert_in: string[]; // Categories where they have the family's best accuracy
 }
 
 // API Services
 
 /**
- * Fetch leaderboard data for a specific family
+ * Fetch a family's leaderboard over a window from the backend
  * @param familyId - The family ID to fetch leaderboard for
- * @returns Promise with leaderboard entries
+ * @param window - Period to rank over
+ * @param accessToken - The signed-in user's access token
+ * @returns Promise with ranked leaderboard entries (every player who played in the window)
  */
-export const fetchFamilyLeaderboard = async (familyId: string): Promise<LeaderboardEntry[]> => {
+export const fetchFamilyLeaderboard = async (
+  familyId: string,
+  window: LeaderboardWindow,
+  accessToken: string
+): Promise<LeaderboardEntry[]> => {
   try {
-    // Fetch leaderboard data with user information joined
-    const { data, error } = await supabase
-      .from('leaderboards')
-      .select(`
-        family_id,
-        user_id,
-        score,
-        streak,
-        total_games,
-        last_played,
-        users:user_id (
-          email
-        )
-      `)
-      .eq('family_id', familyId)
-      .order('score', { ascending: false })
-      .limit(10);
-
-    if (error) {
-      console.error('Error fetching leaderboard:', error);
-      throw error;
+    const response = await fetch(`${getApiUrl()}/families/${familyId}/leaderboard?window=${window}`, {
+      headers: {
+        Authorization: `Bearer ${accessToken}`,
+      },
+    });
+
+    const result = await response.json();
+    if (!response.ok) {
+      throw new Error(result.error || 'Failed to fetch leaderboard');
     }
 
-    // Transform and rank the data with proper type handling
-    const rankedLeaderboard: LeaderboardEntry[] = (data || []).map((entry, index) => ({
-      family_id: entry.family_id,
-      user_id: entry.user_id,
-      score: entry.score || 0,
-      streak: entry.streak || 0,
-      total_games: entry.total_games || 0,
-      last_played: entry.last_played,
-      // Handle the joined user data properly - users is an array, take first element
-      user: Array.isArray(entry.users) && entry.users.length > 0 
-        ? { email: entry.users[0].email } 
-        : { email: 'Unknown' },
-      rank: index + 1,
-    }));
-
-    return rankedLeaderboard;
+    return result.data?.leaderboard || [];
   } catch (error) {
     console.error('Failed to fetch family leaderboard:', error);
     throw error;
   }
-};
+}; 
 
 /**
- * Fetch user's position in family leaderboard
+ * Fetch every family member's per-category mastery stats from the backend
  * @param familyId - The family ID
- * @param userId - The user ID
- * @returns Promise with user's leaderboard entry
+ * @param accessToken - The signed-in user's access token
+ * @returns Promise with each member's strengths profile
  */
-export const fetchUserLeaderboardPosition = async (
-  familyId: string, 
-  userId: string
-): Promise<LeaderboardEntry | null> => {
+export const fetchFamilyCategoryStats = async (
+  familyId: string,
+  accessToken: string
+): Promise<MemberCategoryStats[]> => {
   try {
-    const { data, error } = await supabase
-      .from('leaderboards')
-      .select(`
-        family_id,
-        user_id,
-        score,
-        streak,
-        total_games,
-        last_played,
-        users:user_id (
-          email
-        )
-      `)
-      .eq('family_id', familyId)
-      .eq('user_id', userId)
-      .single();
-
-    if (error) {
-      if (error.code === 'PGRST116') {
-        // No leaderboard entry found for this user
-        return null;
-      }
-      console.error('Error fetching user leaderboard position:', error);
-      throw error;
+    const response = await fetch(`${getApiUrl()}/families/${familyId}/category-stats`, {
+      headers: {
+        Authorization: `Bearer ${accessToken}`,
+      },
+    });
+
+    const result = await response.json();
+    if (!response.ok) {
+      throw new Error(result.error || 'Failed to fetch category stats');
     }
 
-    return {
-      family_id: data.family_id,
-      user_id: data.user_id,
-      score: data.score || 0,
-      streak: data.streak || 0,
-      total_games: data.total_games || 0,
-      last_played: data.last_played,
-      // Handle the joined user data properly - users is an array, take first element
-      user: Array.isArray(data.users) && data.users.length > 0 
-        ? { email: data.users[0].email } 
-        : { email: 'Unknown' },
-    };
+    return result.data?.members || [];
   } catch (error) {
-    console.error('Failed to fetch user leaderboard position:', error);
+    console.error('Failed to fetch family category stats:', error);
     throw error;
   }
-}; 
\ No newline at end of file
+};
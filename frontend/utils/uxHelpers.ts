@@ -181,36 +181,6 @@ export const AnimationPresets = {
   },
 };
 
-// Score calculation with bonus multipliers
-export const calculateScore = (
-  isCorrect: boolean,
-  timeRemaining: number,
-  streak: number,
-  difficulty: 'easy' | 'medium' | 'hard'
-): number => {
-  if (!isCorrect) return 0;
-
-  // Base points by difficulty
-  const basePoints = {
-    easy: 50,
-    medium: 100,
-    hard: 150,
-  };
-
-  // Time bonus (more points for faster answers)
-  const timeBonus = Math.floor(timeRemaining * 2);
-
-  // Streak multiplier
-  const streakMultiplier = 1 + (streak * 0.1); // 10% bonus per streak
-
-  // Calculate total
-  const total = Math.floor(
-    (basePoints[difficulty] + timeBonus) * streakMultiplier
-  );
-
-  return total;
-};
-
 // Format time for display
 export const formatTime = (seconds: number): string => {
   const mins = Math.floor(seconds / 60);
@@ -0,0 +1,28 @@
+-- Per-category mastery stats for Family Together
+
+-- Each family member's running totals per question category, updated as games finish
+-- recent_results keeps the credit (0 to 1) of the member's latest answers in the category, oldest first,
+-- so the API can tell whether they're improving or slipping
+CREATE TABLE IF NOT EXISTS category_stats (
+    id UUID DEFAULT gen_random_uuid() PRIMARY KEY,
+    family_id UUID NOT NULL REFERENCES families(id) ON DELETE CASCADE,
+    user_id UUID NOT NULL REFERENCES auth.users(id) ON DELETE CASCADE,
+    category VARCHAR(50) NOT NULL,
+    player_name VARCHAR(100), -- Name the member used in their latest game
+    answered INTEGER DEFAULT 0,
+    correct INTEGER DEFAULT 0,
+    total_credit NUMERIC(10, 2) DEFAULT 0, -- Partly right answers count for their share
+    total_time_seconds NUMERIC(12, 1) DEFAULT 0,
+    recent_results JSONB DEFAULT '[]',
+    last_answered_at TIMESTAMP WITH TIME ZONE,
+    updated_at TIMESTAMP WITH TIME ZONE DEFAULT timezone('utc'::text, now()) NOT NULL,
+    UNIQUE(family_id, user_id, category)
+);
+
+CREATE INDEX IF NOT EXISTS idx_category_stats_family_id ON category_stats(family_id);
+
+ALTER TABLE category_stats ENABLE ROW LEVEL SECURITY;
+
+-- RLS Policy: Family members can view their family's category stats (the backend writes them)
+CREATE POLICY "Family members can view category stats" ON category_stats
+    FOR SELECT USING (is_family_member(family_id));
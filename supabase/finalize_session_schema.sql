@@ -0,0 +1,171 @@
+-- Saving a finished game in one transaction for Family Together
+
+-- A finished real-time game (or completed REST session) changes several tables: the session row,
+-- its answers, each player's category_stats and each player's leaderboards entry. The backend sends
+-- what the game added and finalize_trivia_session applies all of it together, adding to the running
+-- totals inside the database. A failure part way saves nothing, and two games finishing at the same
+-- time can't overwrite each other's totals.
+
+-- The last p_count elements of a JSON array, in order
+CREATE OR REPLACE FUNCTION last_json_elements(p_array JSONB, p_count INTEGER)
+RETURNS JSONB AS $$
+    SELECT COALESCE(jsonb_agg(element ORDER BY position), '[]'::jsonb)
+    FROM jsonb_array_elements(COALESCE(p_array, '[]'::jsonb)) WITH ORDINALITY AS elements(element, position)
+    WHERE position > jsonb_array_length(COALESCE(p_array, '[]'::jsonb)) - p_count
+$$ LANGUAGE sql IMMUTABLE;
+
+-- p_session_id: the session saved at start-session (REST sessions), or NULL to insert p_session
+-- p_session: trivia_sessions row (family_id, started_by, started_at, completed_at, scores,
+--   questions_used, session_config, game_data)
+-- p_answers: trivia_answers rows, without session_id
+-- p_category_results: what the game adds to each player's categories: [{ user_id, category,
+--   player_name, answered, correct, total_credit, total_time_seconds, results }] where results
+--   is the credit of each answer, oldest first
+-- p_player_results: each player's game: [{ user_id, score, raw_score, won }]
+-- p_recent_result_count: how many of a player's latest results category_stats keeps
+-- Returns { session, entries } where entries are the players' updated leaderboards rows
+CREATE OR REPLACE FUNCTION finalize_trivia_session(
+    p_session_id UUID,
+    p_session JSONB,
+    p_answers JSONB,
+    p_category_results JSONB,
+    p_player_results JSONB,
+    p_recent_result_count INTEGER DEFAULT 10
+)
+RETURNS JSONB AS $$
+DECLARE
+    v_session trivia_sessions;
+    v_family_id UUID := (p_session->>'family_id')::UUID;
+    v_completed_at TIMESTAMP WITH TIME ZONE := (p_session->>'completed_at')::TIMESTAMP WITH TIME ZONE;
+    v_entries JSONB;
+BEGIN
+    IF p_session_id IS NULL THEN
+        INSERT INTO trivia_sessions (
+            family_id, started_by, started_at, completed_at, completed,
+            scores, questions_used, session_config, game_data
+        )
+        VALUES (
+            v_family_id,
+            (p_session->>'started_by')::UUID,
+            (p_session->>'started_at')::TIMESTAMP WITH TIME ZONE,
+            v_completed_at,
+            true,
+            p_session->'scores',
+            p_session->'questions_used',
+            p_session->'session_config',
+            p_session->'game_data'
+        )
+        RETURNING * INTO v_session;
+    ELSE
+        -- A session can only be completed once
+        UPDATE trivia_sessions
+        SET completed_at = v_completed_at,
+            completed = true,
+            scores = p_session->'scores',
+            questions_used = p_session->'questions_used',
+            session_config = p_session->'session_config',
+            game_data = p_session->'game_data'
+        WHERE id = p_session_id
+          AND family_id = v_family_id
+          AND completed = false
+        RETURNING * INTO v_session;
+
+        IF NOT FOUND THEN
+            RAISE EXCEPTION 'Trivia session % not found or already completed', p_session_id;
+        END IF;
+    END IF;
+
+    INSERT INTO trivia_answers (
+        session_id, user_id, question_id, question_number, category, difficulty,
+        user_answer, is_correct, credit, points_earned, time_taken_seconds, answered_at
+    )
+    SELECT
+        v_session.id, a.user_id, a.question_id, a.question_number, a.category, a.difficulty,
+        a.user_answer, a.is_correct, a.credit, a.points_earned, a.time_taken_seconds, a.answered_at
+    FROM jsonb_to_recordset(p_answers) AS a(
+        user_id UUID,
+        question_id UUID,
+        question_number INTEGER,
+        category VARCHAR(50),
+        difficulty VARCHAR(20),
+        user_answer TEXT,
+        is_correct BOOLEAN,
+        credit NUMERIC(3, 2),
+        points_earned INTEGER,
+        time_taken_seconds INTEGER,
+        answered_at TIMESTAMP WITH TIME ZONE
+    );
+
+    INSERT INTO category_stats AS stats (
+        family_id, user_id, category, player_name, answered, correct,
+        total_credit, total_time_seconds, recent_results, last_answered_at, updated_at
+    )
+    SELECT
+        v_family_id, c.user_id, c.category, c.player_name, c.answered, c.correct,
+        c.total_credit, c.total_time_seconds, last_json_elements(c.results, p_recent_result_count),
+        v_completed_at, v_completed_at
+    FROM jsonb_to_recordset(p_category_results) AS c(
+        user_id UUID,
+        category VARCHAR(50),
+        player_name VARCHAR(100),
+        answered INTEGER,
+        correct INTEGER,
+        total_credit NUMERIC,
+        total_time_seconds NUMERIC,
+        results JSONB
+    )
+    ON CONFLICT (family_id, user_id, category) DO UPDATE SET
+        player_name = COALESCE(EXCLUDED.player_name, stats.player_name),
+        answered = stats.answered + EXCLUDED.answered,
+        correct = stats.correct + EXCLUDED.correct,
+        total_credit = stats.total_credit + EXCLUDED.total_credit,
+        total_time_seconds = stats.total_time_seconds + EXCLUDED.total_time_seconds,
+        recent_results = last_json_elements(
+            COALESCE(stats.recent_results, '[]'::jsonb) || EXCLUDED.recent_results,
+            p_recent_result_count
+        ),
+        last_answered_at = EXCLUDED.last_answered_at,
+        updated_at = EXCLUDED.updated_at;
+
+    -- Streak: consecutive games with points; the top score of the game wins it
+    WITH updated_entries AS (
+        INSERT INTO leaderboards AS entry (
+            family_id, user_id, total_score, raw_total_score, games_played, games_won,
+            current_streak, best_streak, average_score, last_played_at, updated_at
+        )
+        SELECT
+            v_family_id, p.user_id, p.score, p.raw_score, 1,
+            CASE WHEN p.won THEN 1 ELSE 0 END,
+            CASE WHEN p.score > 0 THEN 1 ELSE 0 END,
+            CASE WHEN p.score > 0 THEN 1 ELSE 0 END,
+            p.score, v_completed_at, v_completed_at
+        FROM jsonb_to_recordset(p_player_results) AS p(
+            user_id UUID,
+            score INTEGER,
+            raw_score INTEGER,
+            won BOOLEAN
+        )
+        ON CONFLICT (family_id, user_id) DO UPDATE SET
+            total_score = entry.total_score + EXCLUDED.total_score,
+            raw_total_score = COALESCE(entry.raw_total_score, 0) + EXCLUDED.raw_total_score,
+            games_played = entry.games_played + 1,
+            games_won = entry.games_won + EXCLUDED.games_won,
+            current_streak = CASE WHEN EXCLUDED.total_score > 0 THEN entry.current_streak + 1 ELSE 0 END,
+            best_streak = GREATEST(
+                entry.best_streak,
+                CASE WHEN EXCLUDED.total_score > 0 THEN entry.current_streak + 1 ELSE 0 END
+            ),
+            average_score = ROUND((entry.total_score + EXCLUDED.total_score)::NUMERIC / (entry.games_played + 1), 2),
+            last_played_at = EXCLUDED.last_played_at,
+            updated_at = EXCLUDED.updated_at
+        RETURNING entry.*
+    )
+    SELECT COALESCE(jsonb_agg(to_jsonb(updated_entries)), '[]'::jsonb) INTO v_entries FROM updated_entries;
+
+    RETURN jsonb_build_object('session', to_jsonb(v_session), 'entries', v_entries);
+END;
+$$ LANGUAGE plpgsql;
+
+-- Only the backend (service role) saves games; players can't post their own results
+REVOKE EXECUTE ON FUNCTION finalize_trivia_session(UUID, JSONB, JSONB, JSONB, JSONB, INTEGER) FROM PUBLIC, anon, authenticated;
+GRANT EXECUTE ON FUNCTION finalize_trivia_session(UUID, JSONB, JSONB, JSONB, JSONB, INTEGER) TO service_role;
@@ -0,0 +1,22 @@
+-- Real-time game results for Family Together
+
+-- Finished real-time games are saved as trivia sessions; game_data keeps the questions' details,
+-- raw scores, every recorded answer and, for team games, the team results
+ALTER TABLE trivia_sessions
+ADD COLUMN IF NOT EXISTS game_data JSONB;
+
+-- Every answer of a real-time game is saved, including unanswered questions (user_answer is null)
+-- and AI-generated questions that aren't in the questions table (question_id is null)
+ALTER TABLE trivia_answers
+ALTER COLUMN question_id DROP NOT NULL,
+ALTER COLUMN user_answer DROP NOT NULL,
+ALTER COLUMN user_answer TYPE TEXT, -- Ordering and matching answers are saved as JSON
+ADD COLUMN IF NOT EXISTS question_number INTEGER,
+ADD COLUMN IF NOT EXISTS category VARCHAR(50),
+ADD COLUMN IF NOT EXISTS difficulty VARCHAR(20),
+ADD COLUMN IF NOT EXISTS credit NUMERIC(3, 2), -- Share of the answer that was right, from 0 to 1
+ADD COLUMN IF NOT EXISTS points_earned INTEGER;
+
+-- Average points per game quickly outgrow DECIMAL(5,2)
+ALTER TABLE leaderboards
+ALTER COLUMN average_score TYPE DECIMAL(10, 2);
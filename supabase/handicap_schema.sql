@@ -0,0 +1,11 @@
+-- Handicap scoring for Family Together real-time games
+
+-- Age bracket and optional custom handicap on each family membership
+-- A custom handicap ({ "pointsMultiplier": 1.5, "extraSeconds": 5 }) overrides the age bracket's default
+ALTER TABLE family_members
+ADD COLUMN IF NOT EXISTS age_bracket VARCHAR(20) CHECK (age_bracket IN ('under_8', '8_12', '13_17', 'adult')),
+ADD COLUMN IF NOT EXISTS handicap JSONB;
+
+-- Leaderboard totals without handicaps, next to the handicapped total_score
+ALTER TABLE leaderboards
+ADD COLUMN IF NOT EXISTS raw_total_score INTEGER DEFAULT 0;
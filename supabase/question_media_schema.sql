@@ -0,0 +1,13 @@
+-- Picture and sound questions for Family Together trivia
+
+-- A question can show a picture or play a sound clip; media_path is the asset's path in the media store
+-- (the question-media Storage bucket in production, backend/data/media in development)
+ALTER TABLE questions
+ADD COLUMN IF NOT EXISTS media_type VARCHAR(10) CHECK (media_type IN ('image', 'audio')),
+ADD COLUMN IF NOT EXISTS media_path TEXT;
+
+-- Public bucket, so clients can load assets straight from their URLs
+-- Uploads go through the backend's service role key (npm run upload:media)
+INSERT INTO storage.buckets (id, name, public)
+VALUES ('question-media', 'question-media', true)
+ON CONFLICT (id) DO NOTHING;
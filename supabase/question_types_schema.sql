@@ -0,0 +1,14 @@
+-- Question types for Family Together trivia
+
+-- Each question is multiple choice, true/false, free text, numeric ("closest guess wins"), ordering or matching
+-- Free-text and numeric questions are typed, so their choices are an empty array
+ALTER TABLE questions
+ADD COLUMN IF NOT EXISTS type VARCHAR(20) DEFAULT 'multiple_choice',
+ADD COLUMN IF NOT EXISTS accepted_answers JSONB, -- Other spellings a free-text answer may match (e.g. ["JFK", "John Kennedy"])
+ADD COLUMN IF NOT EXISTS tolerance NUMERIC, -- How far off a numeric guess may be and still be correct (exact when null)
+ADD COLUMN IF NOT EXISTS answer_key JSONB; -- Ordering: the choices in the correct order. Matching: { "prompt": "choice" } pairs
+
+-- Named so the list of types can grow by re-running this file
+ALTER TABLE questions DROP CONSTRAINT IF EXISTS questions_type_check;
+ALTER TABLE questions
+ADD CONSTRAINT questions_type_check CHECK (type IN ('multiple_choice', 'true_false', 'free_text', 'numeric', 'ordering', 'matching'));
@@ -0,0 +1,8 @@
+-- REST session progress for Family Together
+
+-- Every answer to a REST session saves the session's scores and answers again. progress_version
+-- goes up with each save, and a save only goes through if the version is still the one the answer
+-- was recorded on; otherwise the answer is recorded again on top of the newer progress, so two
+-- answers submitted at the same time can't overwrite each other.
+ALTER TABLE trivia_sessions
+ADD COLUMN IF NOT EXISTS progress_version INTEGER NOT NULL DEFAULT 0;